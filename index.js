@@ -1,301 +1,268 @@
+const EventEmitter = require('events');
+const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
+const { FlowEngine } = require('./src/flow/engine');
+const { truncate } = require('./src/flow/paginate');
+const { screens, entry } = require('./src/flow/screens');
+const { DEFAULT_LANGUAGE, translate, translator, checkCatalogs } = require('./src/i18n');
+const { createStorage } = require('./src/storage');
+const { FarmerRepository, present } = require('./src/farmers/repository');
+const { totalAcreage } = require('./src/farmers/plots');
+const { PolicyRepository } = require('./src/insurance/policies');
+const { ClaimRepository } = require('./src/insurance/claims');
+const { AgentRepository } = require('./src/agents/repository');
+const { WeatherDatasets } = require('./src/weather/datasets');
+const { TriggerEngine } = require('./src/weather/engine');
+const { PrivacyRequests } = require('./src/privacy/requests');
+const { describeInput } = require('./src/privacy/redact');
+const { logger, addContext, requestContext } = require('./src/logging');
+const { AuditTrail } = require('./src/audit');
+const { CONTENT_TYPE, createUssdMetrics } = require('./src/metrics');
+const { Journeys } = require('./src/metrics/journeys');
+const { registerPremiumPayments } = require('./src/insurance/premiums');
+const { createPaymentProvider } = require('./src/payments');
+const { Payments } = require('./src/payments/payments');
+const { createSessionStore } = require('./src/sessions');
+const { normalizeMsisdn } = require('./src/validation');
+const { createSmsProvider } = require('./src/sms');
+const { Messenger } = require('./src/sms/messenger');
+const { registerNotifications } = require('./src/sms/notifications');
+const { GATEWAYS } = require('./src/gateways');
+const { createApi } = require('./src/api');
+const { requireApiKey, configuredKeys } = require('./src/api/auth');
+const { ApiError, errorHandler } = require('./src/api/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware to parse URL-encoded bodies (as sent by Africa's Talking)
+// Middleware to parse URL-encoded bodies (as sent by Africa's Talking); JSON gateways use the JSON parser below
 app.use(bodyParser.urlencoded({ extended: false }));
-app.use(bodyParser.json());
+// The raw body is kept for checking payment callback signatures. Uploads
+// that may be larger than the default 100 kB parse their own bodies.
+const OWN_BODY_PARSER = ['/api/v1/weather/datasets'];
+const jsonBody = bodyParser.json({ verify: (req, res, buffer) => { req.rawBody = buffer.toString('utf8'); } });
+app.use((req, res, next) => (OWN_BODY_PARSER.includes(req.path) ? next() : jsonBody(req, res, next)));
+// Every log line written while handling a request carries its requestId
+app.use(requestContext());
 
-// In-memory storage for farmer data
-const farmerDatabase = {};
+// Debug routes are open in development; in production they need an admin
+// API key and the /test simulator is switched off
+const PRODUCTION = process.env.NODE_ENV === 'production';
+const debugAccess = PRODUCTION ? [requireApiKey(), errorHandler] : [];
 
-// In-memory session storage for registration flow
-const sessionData = {};
+// Persistent storage (STORAGE_DRIVER=file|memory, DATA_DIR=./data)
+const storage = createStorage();
 
-// Session timeout management (5 minutes)
-const SESSION_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+// Farmer registry, agents, insurance policies and claims, opened in start() before the server accepts requests
+let farmers;
+let policies;
+let claims;
+let agents;
 
-// Clean up expired sessions every minute
-setInterval(() => {
-    const now = Date.now();
-    Object.keys(sessionData).forEach(sessionId => {
-        if (sessionData[sessionId] && now - sessionData[sessionId].lastActivity > SESSION_TIMEOUT) {
-            console.log(`Cleaning up expired session: ${sessionId}`);
-            delete sessionData[sessionId];
-        }
-    });
-}, 60000); // Check every minute
+// Data subject requests and the privacy audit trail, opened in start()
+let privacy;
+
+// Hash-chained log of every change to farmer data (see src/audit), opened in start()
+let audit;
+
+// Weather data and the index trigger engine, opened in start()
+let datasets;
+let engine;
+
+// Outbound SMS (SMS_PROVIDER=fake|africastalking); the provider and queue are set up in start()
+let smsProvider;
+let messenger;
+
+// Mobile money (PAYMENTS_PROVIDER=fake|mpesa); the provider and payment records are set up in start()
+let paymentProvider;
+let payments;
+
+// Domain events from the flow (farmer.registered, farmer.updated, ...)
+const events = new EventEmitter();
+
+// Prometheus metrics for GET /metrics; journeys feed the funnel report and are opened in start()
+const metrics = createUssdMetrics();
+metrics.registry.gauge('farmers_registered', 'Farmers in the registry', () => farmers.count());
+metrics.registry.gauge('ussd_sessions_active', 'USSD sessions in the session store', () => sessions.count());
+let journeys;
+
+// Session store for the registration flow (SESSION_STORE=memory|redis, REDIS_URL)
+const sessions = createSessionStore();
+
+// Maximum USSD payload length, including the CON/END prefix
+const USSD_MAX_LENGTH = Number(process.env.USSD_MAX_LENGTH) || 182;
+
+// Conversation flow built from the declarative screen definitions
+const flow = new FlowEngine(screens, {
+    start: 'MAIN_MENU',
+    entry,
+    maxLength: USSD_MAX_LENGTH - 'CON '.length
+});
+
+// Session timeout management - expiry is enforced by the session store's TTL
+const SESSION_TIMEOUT = Number(process.env.SESSION_TIMEOUT) || 5 * 60 * 1000; // 5 minutes
 
 /**
- * Main USSD endpoint that handles all Africa's Talking requests
- * Expects POST requests with: sessionId, phoneNumber, serviceCode, text
+ * USSD endpoints, one per gateway (Africa's Talking on POST /ussd, Beem
+ * Africa on POST /ussd/beem). Adapters in src/gateways turn each request
+ * into the same event and render the reply; handleUssd() does the rest.
  */
-app.post('/ussd', (req, res) => {
-    // Extract parameters from Africa's Talking
-    const { sessionId, phoneNumber, text = '' } = req.body;
-    
-    // Log incoming request for debugging
-    console.log(`USSD Request - SessionId: ${sessionId}, Phone: ${phoneNumber}, Text: "${text}"`);
-    
-    // Set response timeout to prevent hanging
-    const timeoutId = setTimeout(() => {
-        if (!res.headersSent) {
-            console.error(`Response timeout for session: ${sessionId}`);
-            res.set('Content-Type', 'text/plain');
-            res.send('END Request timeout. Please try again.');
-        }
-    }, 25000); // 25 seconds timeout
-    
-    // Parse user input - Africa's Talking sends all inputs separated by *
-    const userInputs = text.split('*').filter(input => input);
-    const currentInput = userInputs[userInputs.length - 1] || '';
-    const inputLevel = userInputs.length;
-    
-    // Initialize session data if new session
-    if (!sessionData[sessionId]) {
-        sessionData[sessionId] = {
-            phoneNumber,
-            stage: 'MAIN_MENU',
-            farmerData: {},
-            lastActivity: Date.now(),
-            createdAt: Date.now()
-        };
-    } else {
-        // Update last activity time
-        sessionData[sessionId].lastActivity = Date.now();
-    }
-    
-    let response = '';
-    const session = sessionData[sessionId];
-    
-    // Handle case where session was lost/expired
-    if (!session) {
-        console.warn(`Session not found: ${sessionId}. Creating new session.`);
-        sessionData[sessionId] = {
-            phoneNumber,
-            stage: 'MAIN_MENU',
-            farmerData: {},
-            lastActivity: Date.now(),
-            createdAt: Date.now()
-        };
-        // Force restart from main menu
-        response = generateMainMenu();
-        sessionData[sessionId].stage = 'MAIN_MENU';
-        clearTimeout(timeoutId);
-        res.set('Content-Type', 'text/plain');
-        res.send(response);
-        return;
-    }
-    
-    // Main USSD flow logic
-    if (text === '') {
-        // First interaction - show main menu
-        response = generateMainMenu();
-        session.stage = 'MAIN_MENU';
-    } 
-    else if (inputLevel === 1) {
-        // User selected from main menu
-        switch (currentInput) {
-            case '1':
-                // Start registration flow
-                response = 'CON Welcome to Farmer Registration\n';
-                response += 'Please enter your full name:';
-                session.stage = 'ENTER_NAME';
-                break;
-            case '2':
-                // Check registration status
-                if (farmerDatabase[phoneNumber]) {
-                    const farmer = farmerDatabase[phoneNumber];
-                    response = `END Your Registration Details:\n`;
-                    response += `Name: ${farmer.name}\n`;
-                    response += `County: ${farmer.county}\n`;
-                    response += `Crop: ${farmer.crop}\n`;
-                    response += `Farm Size: ${farmer.farmSize} acres\n`;
-                    response += `Registered: ${farmer.registrationDate}`;
-                } else {
-                    response = 'END You are not registered yet.\n';
-                    response += 'Please dial again and select option 1 to register.';
-                }
-                cleanupSession(sessionId);
-                break;
-            case '3':
-                // Exit
-                response = 'END Thank you for using Farmer Registration Service.\n';
-                response += 'Goodbye!';
-                cleanupSession(sessionId);
-                break;
-            default:
-                response = 'END Invalid option. Please try again.';
-                cleanupSession(sessionId);
+Object.values(GATEWAYS).forEach(gateway => {
+    app.post(gateway.route, ussdEndpoint(gateway));
+});
+
+function ussdEndpoint(gateway) {
+    return async (req, res) => {
+        const event = gateway.parse(req);
+        if (!event) {
+            return res.status(400).json({ error: `Not a ${gateway.name} USSD request` });
         }
-    }
-    else if (session.stage === 'ENTER_NAME' && inputLevel === 2) {
-        // Save name and ask for county
-        session.farmerData.name = currentInput;
-        response = 'CON Enter your county location:\n';
-        response += '1. Nairobi\n';
-        response += '2. Kiambu\n';
-        response += '3. Machakos\n';
-        response += '4. Nakuru\n';
-        response += '5. Meru\n';
-        response += '6. Kisumu\n';
-        response += '7. Mombasa\n';
-        response += '8. Other';
-        session.stage = 'SELECT_COUNTY';
-    }
-    else if (session.stage === 'SELECT_COUNTY' && inputLevel === 3) {
-        // Process county selection
-        const counties = {
-            '1': 'Nairobi',
-            '2': 'Kiambu',
-            '3': 'Machakos',
-            '4': 'Nakuru',
-            '5': 'Meru',
-            '6': 'Kisumu',
-            '7': 'Mombasa'
-        };
+        const { sessionId } = event;
+        const receivedAt = Date.now();
+        addContext({ sessionId, gateway: gateway.name });
         
-        if (currentInput === '8') {
-            // User selected "Other"
-            response = 'CON Please type your county name:';
-            session.stage = 'ENTER_CUSTOM_COUNTY';
-        } else if (counties[currentInput]) {
-            session.farmerData.county = counties[currentInput];
-            response = generateCropMenu();
-            session.stage = 'SELECT_CROP';
-        } else {
-            response = 'END Invalid selection. Please try again.';
-            cleanupSession(sessionId);
-        }
-    }
-    else if (session.stage === 'ENTER_CUSTOM_COUNTY' && inputLevel === 4) {
-        // Save custom county and proceed to crop selection
-        session.farmerData.county = currentInput;
-        response = generateCropMenu();
-        session.stage = 'SELECT_CROP';
-    }
-    else if (session.stage === 'SELECT_CROP') {
-        // Handle crop selection - this stage comes after county selection
-        const crops = {
-            '1': 'Maize',
-            '2': 'Wheat',
-            '3': 'Rice',
-            '4': 'Beans',
-            '5': 'Potatoes',
-            '6': 'Tea',
-            '7': 'Coffee',
-            '8': 'Sugarcane'
-        };
+        // Log incoming request for debugging
+        // Never the inputs themselves: they hold names, PINs and one-time codes
+        logger.info('USSD request', { phoneNumber: event.phoneNumber, text: describeInput(event.inputs) });
         
-        if (currentInput === '9') {
-            response = 'CON Please type your crop type:';
-            session.stage = 'ENTER_CUSTOM_CROP';
-        } else if (crops[currentInput]) {
-            session.farmerData.crop = crops[currentInput];
-            response = 'CON Enter your farm size in acres:\n';
-            response += '(Example: 2.5 or 10)';
-            session.stage = 'ENTER_FARM_SIZE';
-        } else {
-            response = 'END Invalid selection. Please try again.';
-            cleanupSession(sessionId);
-        }
-    }
-    else if (session.stage === 'ENTER_CUSTOM_CROP') {
-        // Save custom crop and ask for farm size
-        session.farmerData.crop = currentInput;
-        response = 'CON Enter your farm size in acres:\n';
-        response += '(Example: 2.5 or 10)';
-        session.stage = 'ENTER_FARM_SIZE';
-    }
-    else if (session.stage === 'ENTER_FARM_SIZE') {
-        // Validate and save farm size
-        const farmSize = parseFloat(currentInput);
-        if (isNaN(farmSize) || farmSize <= 0) {
-            response = 'CON Invalid farm size. Please enter a valid number:\n';
-            response += '(Example: 2.5 or 10)';
-        } else {
-            session.farmerData.farmSize = farmSize;
-            // Show confirmation
-            response = generateConfirmation(session.farmerData);
-            session.stage = 'CONFIRM_REGISTRATION';
-        }
-    }
-    else if (session.stage === 'CONFIRM_REGISTRATION') {
-        // Handle confirmation
-        if (currentInput === '1') {
-            // Save to database
-            const registrationData = {
-                ...session.farmerData,
-                phoneNumber,
-                registrationDate: new Date().toLocaleString('en-KE', { 
-                    timeZone: 'Africa/Nairobi' 
-                })
-            };
-            farmerDatabase[phoneNumber] = registrationData;
-            
-            response = 'END Registration successful!\n';
-            response += `Thank you ${session.farmerData.name}.\n`;
-            response += 'You will receive SMS confirmation shortly.\n';
-            response += 'For assistance, call 0700000000';
+        // Set response timeout to prevent hanging
+        const timeoutId = setTimeout(() => {
+            if (!res.headersSent) {
+                logger.error('Response timeout');
+                metrics.timeouts.inc({ gateway: gateway.name });
+                gateway.render(res, { end: true, text: translate(DEFAULT_LANGUAGE, 'system.timeout') }, event);
+            }
+        }, 25000); // 25 seconds timeout
+        
+        const { result, session } = await handleUssd(event);
+        const stage = (session && session.stage) || 'none';
+        metrics.requests.inc({ gateway: gateway.name, stage, type: result.end ? 'END' : 'CON' });
+        metrics.duration.observe({ stage }, (Date.now() - receivedAt) / 1000);
+        if (event.start && session) metrics.sessionsStarted.inc({ gateway: gateway.name });
+        
+        // Clear the timeout since we're sending a response
+        clearTimeout(timeoutId);
+        if (!res.headersSent) {
+            // Screens show farmer details, so only the outcome is logged
+            logger.info('USSD response', { type: result.end ? 'END' : 'CON', stage: (session && session.stage) || null, length: result.text.length });
             
-            // Log successful registration
-            console.log('New farmer registered:', registrationData);
+            // Log session completion for END responses
+            if (result.end && session) {
+                logger.info('Session completed', { durationMs: Date.now() - session.createdAt });
+                if (!event.hangup) metrics.sessionsEnded.inc({ stage });
+                await cleanupSession(sessionId);
+            }
             
-            cleanupSession(sessionId);
-        } else if (currentInput === '2') {
-            // Cancel registration
-            response = 'END Registration cancelled.\n';
-            response += 'Dial again to start over.';
-            cleanupSession(sessionId);
-        } else {
-            response = 'END Invalid option. Registration cancelled.';
-            cleanupSession(sessionId);
+            gateway.render(res, result, event);
         }
-    }
-    else {
-        // Fallback for any unexpected state
-        console.log(`Unexpected state - Session: ${sessionId}, Stage: ${session.stage}, InputLevel: ${inputLevel}, Text: "${text}"`);
         
-        // Try to recover by checking input level and guessing stage
-        if (inputLevel === 1 && ['1', '2', '3'].includes(currentInput)) {
-            // Looks like main menu selection, reset to main menu
-            response = generateMainMenu();
-            session.stage = 'MAIN_MENU';
-        } else if (inputLevel === 0 || text === '') {
-            // Empty input, show main menu
-            response = generateMainMenu();
-            session.stage = 'MAIN_MENU';
+        // Only once the caller has their screen: the funnel is not worth gateway time
+        if (session) await recordJourney(sessionId, session, { gateway: gateway.name, ended: result.end, hangup: event.hangup });
+    };
+}
+
+/**
+ * Run one gateway event through the flow: open, resume or close the
+ * caller's session and feed it the inputs it has not seen yet. Resolves
+ * { result: { end, text }, session }.
+ */
+async function handleUssd({ sessionId, phoneNumber: caller, start, hangup, inputs, cumulative, requestId = null }) {
+    // Gateways and the simulator format numbers differently; farmers are keyed by E.164
+    const phoneNumber = normalizeMsisdn(caller);
+    
+    let session = null;
+    let result;
+    
+    try {
+        if (!phoneNumber) {
+            logger.warn('Unsupported phone number', { phoneNumber: caller });
+            result = { end: true, text: translate(DEFAULT_LANGUAGE, 'validation.phoneInvalid') };
+        } else if (hangup) {
+            // The gateway says the caller has gone; the session is closed below
+            session = await sessions.get(sessionId);
+            if (session && session.phoneNumber !== phoneNumber) session = null;
+            result = { end: true, text: translate(sessionLanguage(session), 'exit.goodbye') };
+        } else if (start) {
+            // First interaction - start a fresh session
+            session = createSession(phoneNumber, requestId);
+            result = await flow.begin(buildContext(sessionId, session));
+            await sessions.set(sessionId, session, SESSION_TIMEOUT);
         } else {
-            // Complete unknown state, end session
-            response = 'END An error occurred. Please dial again to restart.';
-            cleanupSession(sessionId);
+            session = await sessions.get(sessionId);
+            
+            if (!session) {
+                // The store's TTL removed it; the inputs can't be trusted on their own
+                logger.warn('Session expired or not found');
+                metrics.sessionsExpired.inc();
+                result = { end: true, text: translate(DEFAULT_LANGUAGE, 'system.sessionExpired') };
+            } else if (session.phoneNumber !== phoneNumber) {
+                // A session only ever acts for the number that opened it; the
+                // owner's session is left as it is
+                logger.warn('Session continued from another number', { phoneNumber, owner: session.phoneNumber });
+                session = null;
+                result = { end: true, text: translate(DEFAULT_LANGUAGE, 'system.sessionExpired') };
+            } else {
+                // Update last activity time
+                session.lastActivity = Date.now();
+                const ctx = buildContext(sessionId, session);
+                
+                // Cumulative gateways resend every input; only those the session has not consumed are new.
+                // Incremental ones resend a request under the same id.
+                const retried = Boolean(requestId) && requestId === session.lastRequestId;
+                session.lastRequestId = requestId;
+                for (const input of cumulative ? inputs.slice(session.inputCount) : retried ? [] : inputs) {
+                    session.inputCount++;
+                    const stage = session.stage;
+                    result = await flow.handleInput(ctx, input.trim());
+                    if (result.invalid) metrics.invalidInputs.inc({ screen: stage });
+                    if (result.end) break;
+                }
+                
+                if (!result) {
+                    // Gateway retried the same request - show the current screen again
+                    result = await flow.current(ctx);
+                    await sessions.touch(sessionId, SESSION_TIMEOUT);
+                } else if (!result.end) {
+                    await sessions.set(sessionId, session, SESSION_TIMEOUT);
+                }
+            }
         }
+    } catch (error) {
+        logger.error('Flow error', { stage: session && session.stage, text: describeInput(inputs), error });
+        result = { end: true, text: translate(sessionLanguage(session), 'system.error') };
     }
     
     // Ensure response is never empty
-    if (!response || response.trim() === '') {
-        console.error(`Empty response detected - Session: ${sessionId}, Stage: ${session.stage}, InputLevel: ${inputLevel}, Text: "${text}"`);
-        response = 'END System error. Please try again later.';
-        cleanupSession(sessionId);
+    if (!result || !result.text || result.text.trim() === '') {
+        logger.error('Empty response detected', { stage: session && session.stage, text: describeInput(inputs) });
+        result = { end: true, text: translate(sessionLanguage(session), 'system.emptyResponse') };
     }
     
-    // Clear the timeout since we're sending a response
-    clearTimeout(timeoutId);
-    
-    // Log the response for debugging
-    console.log(`Response for ${sessionId}: "${response}"`);
-    
-    // Log session completion for END responses
-    if (response.startsWith('END')) {
-        console.log(`Session completed: ${sessionId}, Duration: ${Date.now() - session.createdAt}ms`);
+    // Last line of defence: the flow engine pages screens, so this should never trigger
+    if (result.text.length > flow.maxLength) {
+        logger.warn(`Response over ${USSD_MAX_LENGTH} chars`, { stage: session && session.stage });
+        result = { ...result, text: truncate(result.text, flow.maxLength) };
     }
     
-    // Send response back to Africa's Talking
-    res.set('Content-Type', 'text/plain');
-    res.send(response);
-});
+    return { result, session };
+}
+
+/**
+ * Note the screen a session reached for the funnel report. The county is
+ * the one picked during registration, else the registered farmer's.
+ */
+async function recordJourney(sessionId, session, { gateway, ended, hangup }) {
+    try {
+        const farmer = session.farmerData.county ? null : await farmers.get(session.phoneNumber);
+        const county = session.farmerData.county || (farmer && farmer.county) || null;
+        await journeys.record(sessionId, { gateway, stage: session.stage, county, ended, hangup });
+    } catch (error) {
+        // The funnel is best effort; the caller still gets their screen
+        logger.error('Journey not recorded', error);
+    }
+}
+
 
 /**
  * Root endpoint - shows welcome message
@@ -319,15 +286,19 @@ app.get('/', (req, res) => {
                     <h3>Available Endpoints:</h3>
                     <ul>
                         <li><code>POST /ussd</code> - Main USSD endpoint (for Africa's Talking)</li>
+                        <li><code>POST /ussd/beem</code> - USSD endpoint for Beem Africa</li>
                         <li><code>GET /health</code> - Health check status</li>
                         <li><code>GET /farmers</code> - View registered farmers</li>
-                        <li><code>GET /test</code> - Interactive USSD tester</li>
+                        <li><code>GET /sms/messages</code> - Outbound SMS and their delivery status</li>
+                        <li><code>GET /metrics</code> - Prometheus metrics</li>
+                        <li><code>/api/v1/farmers</code> - Admin API (API key required)</li>
+                        <li><code>GET /test</code> - Interactive USSD console (several phones, step history, transcripts)</li>
                     </ul>
                     <h3>Your ngrok URL:</h3>
                     <p><strong>${req.protocol}://${req.get('host')}/ussd</strong></p>
                     <p>Use this URL in your Africa's Talking USSD channel configuration.</p>
                     <br>
-                    <a href="/test" style="background: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Open USSD Tester</a>
+                    <a href="/test" style="background: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Open USSD Console</a>
                 </div>
             </body>
         </html>
@@ -348,431 +319,294 @@ app.get('/ussd', (req, res) => {
 /**
  * Debug endpoint to view current sessions
  */
-app.get('/sessions', (req, res) => {
-    const sessions = Object.keys(sessionData).map(sessionId => ({
+app.get('/sessions', ...debugAccess, async (req, res) => {
+    const active = (await sessions.list()).map(({ sessionId, session }) => ({
         sessionId,
-        phoneNumber: sessionData[sessionId].phoneNumber,
-        stage: sessionData[sessionId].stage,
-        lastActivity: new Date(sessionData[sessionId].lastActivity).toLocaleString(),
-        duration: Date.now() - sessionData[sessionId].createdAt,
-        farmerData: sessionData[sessionId].farmerData
+        phoneNumber: session.phoneNumber,
+        stage: session.stage,
+        path: flow.effectivePath(session).join('*'),
+        lastActivity: new Date(session.lastActivity).toLocaleString(),
+        duration: Date.now() - session.createdAt,
+        farmerData: session.farmerData
     }));
     
     res.json({
-        activeSessions: sessions.length,
-        sessions
+        activeSessions: active.length,
+        sessions: active
     });
 });
 
+/**
+ * Debug endpoint to view one session, as the /test console shows it after each step
+ */
+app.get('/sessions/:sessionId', ...debugAccess, async (req, res) => {
+    const session = await sessions.get(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: `No active session ${req.params.sessionId}` });
+    }
+    res.json({ sessionId: req.params.sessionId, path: flow.effectivePath(session).join('*'), session });
+});
+
+/**
+ * Prometheus metrics (see src/metrics); production scrapers need an admin API key
+ */
+app.get('/metrics', ...debugAccess, async (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(await metrics.registry.render());
+});
+
 /**
  * Health check endpoint - GET request
  */
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
     res.json({ 
         status: 'running',
-        registeredFarmers: Object.keys(farmerDatabase).length,
-        activeSessions: Object.keys(sessionData).length
+        storage: storage.driver,
+        registeredFarmers: await farmers.count(),
+        activeSessions: await sessions.count()
     });
 });
 
 /**
- * Interactive USSD Tester - Web interface for testing
+ * Interactive USSD console (public/test): several phones side by side with
+ * the raw exchange and session state of every step
  */
-app.get('/test', (req, res) => {
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>USSD Tester - Farmer Registration</title>
-            <style>
-                * { box-sizing: border-box; margin: 0; padding: 0; }
-                body { 
-                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    min-height: 100vh;
-                    display: flex;
-                    justify-content: center;
-                    align-items: center;
-                    padding: 20px;
-                }
-                .phone-container {
-                    background: #1a1a1a;
-                    border-radius: 30px;
-                    padding: 20px;
-                    width: 100%;
-                    max-width: 380px;
-                    box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-                }
-                .phone-screen {
-                    background: #fff;
-                    border-radius: 20px;
-                    padding: 20px;
-                    min-height: 500px;
-                    display: flex;
-                    flex-direction: column;
-                }
-                .ussd-header {
-                    background: #4CAF50;
-                    color: white;
-                    padding: 15px;
-                    border-radius: 10px;
-                    margin-bottom: 20px;
-                    text-align: center;
-                }
-                .ussd-display {
-                    background: #f5f5f5;
-                    padding: 20px;
-                    border-radius: 10px;
-                    min-height: 250px;
-                    white-space: pre-wrap;
-                    font-family: 'Courier New', monospace;
-                    font-size: 14px;
-                    line-height: 1.6;
-                    margin-bottom: 20px;
-                    border: 2px solid #e0e0e0;
-                }
-                .keypad {
-                    display: grid;
-                    grid-template-columns: repeat(3, 1fr);
-                    gap: 10px;
-                    margin-bottom: 15px;
-                }
-                .key {
-                    background: #f0f0f0;
-                    border: none;
-                    padding: 20px;
-                    font-size: 20px;
-                    font-weight: bold;
-                    border-radius: 10px;
-                    cursor: pointer;
-                    transition: all 0.2s;
-                }
-                .key:hover {
-                    background: #e0e0e0;
-                    transform: scale(0.95);
-                }
-                .key:active {
-                    background: #d0d0d0;
-                }
-                .key.send {
-                    background: #4CAF50;
-                    color: white;
-                    grid-column: span 2;
-                }
-                .key.send:hover {
-                    background: #45a049;
-                }
-                .key.cancel {
-                    background: #f44336;
-                    color: white;
-                }
-                .key.cancel:hover {
-                    background: #da190b;
-                }
-                .input-display {
-                    background: white;
-                    padding: 15px;
-                    border-radius: 10px;
-                    margin-bottom: 15px;
-                    border: 2px solid #4CAF50;
-                    min-height: 50px;
-                    font-size: 18px;
-                    font-family: 'Courier New', monospace;
-                }
-                .status {
-                    text-align: center;
-                    padding: 10px;
-                    background: #e8f4f8;
-                    border-radius: 10px;
-                    margin-bottom: 15px;
-                    font-size: 12px;
-                }
-                .session-ended {
-                    background: #ffebee;
-                    color: #c62828;
-                    padding: 20px;
-                    border-radius: 10px;
-                    text-align: center;
-                    margin-top: 20px;
-                }
-                .text-input {
-                    width: 100%;
-                    padding: 15px;
-                    font-size: 16px;
-                    border: 2px solid #4CAF50;
-                    border-radius: 10px;
-                    margin-bottom: 10px;
-                    font-family: 'Courier New', monospace;
-                }
-                .action-buttons {
-                    display: grid;
-                    grid-template-columns: 1fr 1fr;
-                    gap: 10px;
-                    margin-bottom: 10px;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="phone-container">
-                <div class="phone-screen">
-                    <div class="ussd-header">
-                        <strong>USSD Test Interface</strong>
-                        <div style="font-size: 12px; margin-top: 5px;">*384*1234#</div>
-                    </div>
-                    
-                    <div class="status">
-                        Session ID: <span id="sessionId">-</span> | 
-                        Phone: <span id="phoneNumber">+254712345678</span>
-                    </div>
-                    
-                    <div class="ussd-display" id="ussdDisplay">
-                        Press "Dial USSD" to start...
-                    </div>
-                    
-                    <div id="inputSection">
-                        <input type="text" id="textInput" class="text-input" placeholder="Enter your response..." disabled>
-                        
-                        <div class="keypad" id="keypad" style="display:none;">
-                            <button class="key" onclick="appendNumber('1')">1</button>
-                            <button class="key" onclick="appendNumber('2')">2</button>
-                            <button class="key" onclick="appendNumber('3')">3</button>
-                            <button class="key" onclick="appendNumber('4')">4</button>
-                            <button class="key" onclick="appendNumber('5')">5</button>
-                            <button class="key" onclick="appendNumber('6')">6</button>
-                            <button class="key" onclick="appendNumber('7')">7</button>
-                            <button class="key" onclick="appendNumber('8')">8</button>
-                            <button class="key" onclick="appendNumber('9')">9</button>
-                            <button class="key" onclick="clearInput()">Clear</button>
-                            <button class="key" onclick="appendNumber('0')">0</button>
-                            <button class="key" onclick="backspace()">←</button>
-                        </div>
-                        
-                        <div class="action-buttons">
-                            <button class="key send" onclick="sendUSSD()" id="sendButton">Dial USSD</button>
-                            <button class="key cancel" onclick="endSession()">End</button>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            
-            <script>
-                let sessionId = '';
-                let phoneNumber = '+254712345678';
-                let textAccumulator = '';
-                let sessionActive = false;
-                let waitingForText = false;
-                
-                function generateSessionId() {
-                    return 'test-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
-                }
-                
-                function appendNumber(num) {
-                    if (sessionActive && !waitingForText) {
-                        document.getElementById('textInput').value += num;
-                    }
-                }
-                
-                function clearInput() {
-                    document.getElementById('textInput').value = '';
-                }
-                
-                function backspace() {
-                    const input = document.getElementById('textInput');
-                    input.value = input.value.slice(0, -1);
-                }
-                
-                async function sendUSSD() {
-                    const input = document.getElementById('textInput').value;
-                    const sendButton = document.getElementById('sendButton');
-                    
-                    if (!sessionActive) {
-                        // Start new session
-                        sessionId = generateSessionId();
-                        textAccumulator = '';
-                        sessionActive = true;
-                        document.getElementById('sessionId').textContent = sessionId.substring(0, 20) + '...';
-                        document.getElementById('phoneNumber').textContent = phoneNumber;
-                        sendButton.textContent = 'Send';
-                        document.getElementById('textInput').disabled = false;
-                        document.getElementById('keypad').style.display = 'grid';
-                    } else {
-                        // Continue session
-                        if (input) {
-                            textAccumulator = textAccumulator ? textAccumulator + '*' + input : input;
-                        }
-                    }
-                    
-                    try {
-                        const response = await fetch('/ussd', {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/x-www-form-urlencoded',
-                            },
-                            body: new URLSearchParams({
-                                sessionId: sessionId,
-                                phoneNumber: phoneNumber,
-                                text: textAccumulator
-                            })
-                        });
-                        
-                        const data = await response.text();
-                        displayResponse(data);
-                        
-                        // Clear input for next entry
-                        document.getElementById('textInput').value = '';
-                        
-                        // Check if session ended
-                        if (data.startsWith('END')) {
-                            endSession();
-                        } else {
-                            // Check if we need text input or number input
-                            const displayText = data.replace('CON ', '');
-                            waitingForText = displayText.includes('enter') || 
-                                           displayText.includes('Enter') || 
-                                           displayText.includes('type') ||
-                                           displayText.includes('Type');
-                            
-                            if (waitingForText) {
-                                document.getElementById('keypad').style.display = 'none';
-                                document.getElementById('textInput').placeholder = 'Type your answer...';
-                            } else {
-                                document.getElementById('keypad').style.display = 'grid';
-                                document.getElementById('textInput').placeholder = 'Select option number...';
-                            }
-                        }
-                        
-                    } catch (error) {
-                        console.error('Error:', error);
-                        document.getElementById('ussdDisplay').textContent = 'Error: Could not connect to USSD service';
-                    }
-                }
-                
-                function displayResponse(response) {
-                    let displayText = response;
-                    if (response.startsWith('CON ')) {
-                        displayText = response.substring(4);
-                    } else if (response.startsWith('END ')) {
-                        displayText = response.substring(4);
-                    }
-                    document.getElementById('ussdDisplay').textContent = displayText;
-                }
-                
-                function endSession() {
-                    sessionActive = false;
-                    sessionId = '';
-                    textAccumulator = '';
-                    waitingForText = false;
-                    document.getElementById('sendButton').textContent = 'Dial USSD';
-                    document.getElementById('textInput').disabled = true;
-                    document.getElementById('textInput').value = '';
-                    document.getElementById('textInput').placeholder = 'Enter your response...';
-                    document.getElementById('keypad').style.display = 'none';
-                    document.getElementById('sessionId').textContent = '-';
-                }
-                
-                // Allow Enter key to send
-                document.getElementById('textInput').addEventListener('keypress', function(e) {
-                    if (e.key === 'Enter') {
-                        sendUSSD();
-                    }
-                });
-                
-                // Allow changing phone number
-                document.getElementById('phoneNumber').addEventListener('click', function() {
-                    if (!sessionActive) {
-                        const newNumber = prompt('Enter phone number:', phoneNumber);
-                        if (newNumber) {
-                            phoneNumber = newNumber;
-                            this.textContent = phoneNumber;
-                        }
-                    }
-                });
-            </script>
-        </body>
-        </html>
-    `);
-});
+app.use('/test', (req, res, next) => {
+    if (PRODUCTION) {
+        return errorHandler(ApiError.notFound('The USSD tester is disabled in production'), req, res, next);
+    }
+    next();
+}, express.static(path.join(__dirname, 'public', 'test')));
 
 /**
  * Debug endpoint to view all registered farmers (for testing)
  */
-app.get('/farmers', (req, res) => {
+app.get('/farmers', ...debugAccess, async (req, res) => {
+    const list = req.query.phone ? await farmers.search(req.query.phone) : await farmers.list();
     res.json({
-        count: Object.keys(farmerDatabase).length,
-        farmers: farmerDatabase
+        count: list.length,
+        farmers: Object.fromEntries(list.map(farmer => [farmer.phoneNumber, { ...present(farmer), totalAcreage: totalAcreage(farmer) }]))
     });
 });
 
 /**
- * Generate main menu
+ * Debug endpoint to view one farmer's change history
  */
-function generateMainMenu() {
-    let menu = 'CON Welcome to Farmer Registration Service\n';
-    menu += 'Please select an option:\n';
-    menu += '1. Register as new farmer\n';
-    menu += '2. Check registration status\n';
-    menu += '3. Exit';
-    return menu;
-}
+app.get('/farmers/:phone/history', ...debugAccess, async (req, res) => {
+    const farmer = await farmers.get(req.params.phone);
+    if (!farmer) {
+        return res.status(404).json({ error: `No farmer registered with ${req.params.phone}` });
+    }
+    res.json({ phoneNumber: farmer.phoneNumber, history: await farmers.history(farmer.phoneNumber) });
+});
+
+/**
+ * Delivery report callback from Africa's Talking (form-encoded id, status,
+ * failureReason). Always answered with 200 so the gateway stops retrying.
+ */
+app.post('/sms/delivery-report', async (req, res) => {
+    const message = await messenger.handleDeliveryReport(req.body);
+    if (message) {
+        logger.info('SMS delivery report', { messageId: message.id, status: req.body.status });
+    } else {
+        logger.warn('Delivery report for unknown message', { messageId: req.body.id });
+    }
+    res.sendStatus(200);
+});
 
 /**
- * Generate crop selection menu
+ * Debug endpoint to view outbound SMS status records
  */
-function generateCropMenu() {
-    let menu = 'CON Select your main crop:\n';
-    menu += '1. Maize\n';
-    menu += '2. Wheat\n';
-    menu += '3. Rice\n';
-    menu += '4. Beans\n';
-    menu += '5. Potatoes\n';
-    menu += '6. Tea\n';
-    menu += '7. Coffee\n';
-    menu += '8. Sugarcane\n';
-    menu += '9. Other';
-    return menu;
+app.get('/sms/messages', ...debugAccess, async (req, res) => {
+    const list = await messenger.list({ to: req.query.phone });
+    res.json({ count: list.length, messages: list });
+});
+
+/**
+ * Messages "sent" by the fake SMS provider
+ */
+app.get('/sms/outbox', ...debugAccess, (req, res) => {
+    if (!smsProvider.outbox) {
+        return res.status(404).json({ error: `The ${smsProvider.name} SMS provider has no local outbox` });
+    }
+    res.json({ count: smsProvider.outbox().length, messages: smsProvider.outbox() });
+});
+
+/**
+ * Payment result callback from the provider. Answered 200 with Daraja's
+ * acknowledgement for anything authentic, including duplicates and unknown
+ * checkouts, so the provider stops retrying.
+ */
+app.post('/payments/callback', async (req, res) => {
+    const { outcome, payment } = await payments.handleCallback({
+        rawBody: req.rawBody,
+        headers: req.headers,
+        query: req.query,
+        body: req.body
+    });
+    if (outcome === 'rejected') {
+        logger.warn('Payment callback with an invalid signature rejected');
+        return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid signature' });
+    }
+    if (outcome === 'malformed') {
+        return res.status(400).json({ ResultCode: 1, ResultDesc: 'Not a payment result' });
+    }
+    if (outcome === 'unknown') logger.warn('Payment callback for an unknown checkout');
+    if (outcome === 'duplicate') logger.info('Duplicate payment callback ignored', { paymentId: payment.id });
+    if (outcome === 'applied') logger.info('Payment callback applied', { paymentId: payment.id, reference: payment.reference, status: payment.status });
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+/**
+ * Debug endpoint to view payment records, optionally for one phone number
+ */
+app.get('/payments', ...debugAccess, async (req, res) => {
+    const list = await payments.list({ phoneNumber: req.query.phone && normalizeMsisdn(req.query.phone) });
+    res.json({ count: list.length, payments: list });
+});
+
+/**
+ * Create a fresh session positioned before the start screen; `requestId`
+ * is the opening request's, for gateways that number their requests
+ */
+function createSession(phoneNumber, requestId = null) {
+    return {
+        phoneNumber,
+        stage: flow.start,
+        language: null,
+        farmerData: {},
+        inputCount: 0,
+        lastRequestId: requestId,
+        lastActivity: Date.now(),
+        createdAt: Date.now()
+    };
 }
 
 /**
- * Generate registration confirmation screen
+ * Context object handed to screen definitions. phoneNumber is the farmer
+ * the session acts for: the caller, or the farmer a signed-in agent is
+ * registering. The caller is always the number that opened the session.
  */
-function generateConfirmation(data) {
-    let confirmation = 'CON Confirm your details:\n';
-    confirmation += `Name: ${data.name}\n`;
-    confirmation += `County: ${data.county}\n`;
-    confirmation += `Crop: ${data.crop}\n`;
-    confirmation += `Farm: ${data.farmSize} acres\n\n`;
-    confirmation += '1. Confirm & Register\n';
-    confirmation += '2. Cancel';
-    return confirmation;
+function buildContext(sessionId, session) {
+    const callerNumber = session.phoneNumber;
+    return {
+        sessionId,
+        get phoneNumber() {
+            return (session.agent && session.farmerData.farmerPhoneNumber) || callerNumber;
+        },
+        callerNumber,
+        session,
+        farmers,
+        agents,
+        policies,
+        claims,
+        payments,
+        privacy,
+        events,
+        t: translator(() => sessionLanguage(session))
+    };
+}
+
+function sessionLanguage(session) {
+    return (session && session.language) || DEFAULT_LANGUAGE;
 }
 
 /**
  * Clean up session data after completion
  */
-function cleanupSession(sessionId) {
+async function cleanupSession(sessionId) {
     // Immediate cleanup for END responses
-    if (sessionData[sessionId]) {
-        console.log(`Cleaning up session: ${sessionId}`);
-        delete sessionData[sessionId];
+    logger.debug('Cleaning up session', { sessionId });
+    await sessions.delete(sessionId);
+}
+
+/**
+ * Open storage, then start the server. Resolves the listening server; port 0
+ * picks a free port (the test harness in test/harness.js does this).
+ */
+async function start({ port = PORT } = {}) {
+    // Both refuse to fall back to their fakes in production
+    smsProvider = createSmsProvider();
+    paymentProvider = createPaymentProvider();
+
+    // Report untranslated messages; they fall back to English at runtime
+    Object.entries(checkCatalogs()).forEach(([language, keys]) => {
+        logger.warn(`Missing "${language}" translations, falling back to ${DEFAULT_LANGUAGE}`, { language, keys });
+    });
+
+    audit = await AuditTrail.open(storage);
+    if (audit.usingDevKey) {
+        logger.warn('AUDIT_KEY is not set: audit trail subjects use a development key');
+    }
+    farmers = await FarmerRepository.open(storage, { audit });
+    logger.info('Farmer registry loaded', { driver: storage.driver, farmers: await farmers.count() });
+    agents = await AgentRepository.open(storage);
+    policies = await PolicyRepository.open(storage);
+    claims = await ClaimRepository.open(storage);
+    privacy = await PrivacyRequests.open(storage);
+    journeys = await Journeys.open(storage, { sessionTimeout: SESSION_TIMEOUT });
+    journeys.start();
+
+    messenger = await Messenger.open(storage, smsProvider);
+    registerNotifications(events, messenger);
+    messenger.start();
+    logger.info('SMS provider ready', { provider: smsProvider.name });
+
+    payments = await Payments.open(storage, paymentProvider, { events });
+    registerPremiumPayments(events, { farmers, policies });
+    payments.start();
+    logger.info('Payment provider ready', { provider: paymentProvider.name });
+
+    datasets = await WeatherDatasets.open(storage);
+    engine = await TriggerEngine.open(storage, { datasets, policies, farmers, events });
+
+    // Admin API; errorHandler also answers body parsing errors as JSON
+    app.use('/api/v1', createApi({ farmers, agents, policies, claims, datasets, engine, payments, messenger, privacy, journeys, audit, events }), errorHandler);
+    if (!configuredKeys().length) {
+        logger.warn('ADMIN_API_KEYS is not set: the admin API and production debug routes refuse all requests');
     }
+
+    return new Promise(resolve => {
+        const server = app.listen(port, () => {
+            const { port } = server.address();
+            logger.info('USSD Farmer Registration App running', {
+                port,
+                endpoints: Object.fromEntries(Object.values(GATEWAYS).map(gateway => [gateway.name, `http://localhost:${port}${gateway.route}`])),
+                health: `http://localhost:${port}/health`,
+                farmers: `http://localhost:${port}/farmers`
+            });
+            resolve(server);
+        });
+    });
 }
 
 /**
- * Start the server
+ * Stop background work and flush pending writes
  */
-app.listen(PORT, () => {
-    console.log(`USSD Farmer Registration App running on port ${PORT}`);
-    console.log(`USSD endpoint: http://localhost:${PORT}/ussd`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log(`View farmers: http://localhost:${PORT}/farmers`);
-    console.log('\nReady to receive Africa\'s Talking USSD requests!');
-});
+async function stop() {
+    if (messenger) await messenger.stop();
+    if (payments) payments.stop();
+    if (journeys) await journeys.stop();
+    await Promise.all([storage.close(), sessions.close()]);
+}
 
 /**
- * Graceful shutdown
+ * Graceful shutdown - flush pending writes before exiting
  */
-process.on('SIGINT', () => {
-    console.log('\nShutting down gracefully...');
-    console.log(`Total farmers registered: ${Object.keys(farmerDatabase).length}`);
+async function shutdown() {
+    logger.info('Shutting down gracefully', farmers ? { farmers: await farmers.count() } : {});
+    await stop();
     process.exit(0);
-});
\ No newline at end of file
+}
+
+// Started directly (npm start); the test harness requires this file and starts it itself
+if (require.main === module) {
+    start().catch(error => {
+        logger.error('Failed to start', error);
+        process.exit(1);
+    });
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = { app, start, stop };
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * USSD console: several simulated handsets side by side
+ *
+ * Each phone posts to /ussd the way Africa's Talking does, with every input
+ * so far joined with "*". Every step keeps the raw request, the raw reply
+ * and the session state read back from GET /sessions/:id, so an earlier
+ * step can be inspected again or branched into a new phone. A run saves as
+ * a transcript in the format of test/transcripts and replays from the
+ * toolbar; replayed steps whose screen differs from the recording are
+ * marked.
+ */
+(function () {
+    'use strict';
+
+    const DEFAULT_PHONE = '+254712345678';
+    const SERVICE_CODE = '*384*1234#';
+    const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'Clear', '0', '←'];
+
+    const phones = document.getElementById('phones');
+    const template = document.getElementById('phoneTemplate');
+    let created = 0;
+
+    function newSessionId() {
+        return `console-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    }
+
+    function formatJson(value) {
+        return value === null ? '(no session: it ended or expired)' : JSON.stringify(value, null, 2);
+    }
+
+    class Phone {
+        constructor(phoneNumber = DEFAULT_PHONE) {
+            this.phoneNumber = phoneNumber;
+            this.sessionId = null;
+            this.inputs = [];
+            this.steps = [];
+            this.selected = -1;
+            this.ended = true;
+
+            const node = template.content.firstElementChild.cloneNode(true);
+            this.node = node;
+            this.el = name => node.querySelector(`.${name}`);
+            this.el('phone-number').value = phoneNumber;
+            this.el('entry').addEventListener('submit', event => {
+                event.preventDefault();
+                this.submit();
+            });
+            this.el('hangup').addEventListener('click', () => this.hangup());
+            this.el('close').addEventListener('click', () => node.remove());
+            this.el('save').addEventListener('click', () => this.save());
+            this.el('branch').addEventListener('click', () => this.branch(this.selected));
+            KEYS.forEach(key => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = key;
+                button.addEventListener('click', () => this.press(key));
+                this.el('keypad').appendChild(button);
+            });
+            phones.appendChild(node);
+            created++;
+        }
+
+        press(key) {
+            const reply = this.el('reply');
+            if (reply.disabled) return;
+            if (key === 'Clear') reply.value = '';
+            else if (key === '←') reply.value = reply.value.slice(0, -1);
+            else reply.value += key;
+            reply.focus();
+        }
+
+        async submit() {
+            if (this.ended) return this.dial();
+            const reply = this.el('reply');
+            const input = reply.value;
+            reply.value = '';
+            await this.send(input);
+        }
+
+        /**
+         * Open a new session from the number in the header
+         */
+        async dial(expected) {
+            this.phoneNumber = this.el('phone-number').value.trim() || DEFAULT_PHONE;
+            this.sessionId = newSessionId();
+            this.inputs = [];
+            this.steps = [];
+            this.el('steps').textContent = '';
+            this.ended = false;
+            this.el('session-id').textContent = this.sessionId;
+            this.el('phone-number').disabled = true;
+            this.el('reply').disabled = false;
+            this.el('send').textContent = 'Send';
+            return this.exchange(null, expected);
+        }
+
+        async send(input) {
+            if (this.ended) return null;
+            return this.exchange(input);
+        }
+
+        /**
+         * One request to /ussd; null input is the dial. Resolves the step.
+         */
+        async exchange(input, expected) {
+            const inputs = input === null ? [] : [...this.inputs, input];
+            const body = new URLSearchParams({
+                sessionId: this.sessionId,
+                phoneNumber: this.phoneNumber,
+                serviceCode: SERVICE_CODE,
+                text: inputs.join('*')
+            });
+            let reply;
+            let status;
+            try {
+                const response = await fetch('/ussd', { method: 'POST', body });
+                status = `${response.status} ${response.statusText}\nContent-Type: ${response.headers.get('Content-Type')}`;
+                reply = await response.text();
+            } catch (error) {
+                status = 'no response';
+                reply = `END Network error: ${error.message}`;
+            }
+            this.inputs = inputs;
+            const step = {
+                input,
+                request: `POST /ussd\nContent-Type: application/x-www-form-urlencoded\n\n${body}\n\n${[...body].map(([key, value]) => `${key}: ${value}`).join('\n')}`,
+                response: `HTTP ${status}\n\n${reply}`,
+                reply,
+                session: await this.sessionState(),
+                mismatch: expected !== undefined && reply !== expected.join('\n')
+            };
+            this.steps.push(step);
+            this.addStep(step, this.steps.length - 1);
+            if (reply.startsWith('END')) this.finish();
+            this.select(this.steps.length - 1);
+            return step;
+        }
+
+        async sessionState() {
+            try {
+                const response = await fetch(`/sessions/${encodeURIComponent(this.sessionId)}`);
+                return response.ok ? (await response.json()).session : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        addStep(step, index) {
+            const item = document.createElement('li');
+            const kind = step.reply.slice(0, 3);
+            item.textContent = `${index}. ${step.input === null ? '(dial)' : JSON.stringify(step.input)} → ${kind} ${step.session ? step.session.stage : ''}`;
+            if (step.mismatch) item.classList.add('mismatch');
+            item.addEventListener('click', () => this.select(index));
+            this.el('steps').appendChild(item);
+        }
+
+        /**
+         * Show a step: its screen on the handset and its exchange alongside
+         */
+        select(index) {
+            const step = this.steps[index];
+            if (!step) return;
+            this.selected = index;
+            [...this.el('steps').children].forEach((item, i) => item.classList.toggle('selected', i === index));
+            const screen = this.el('screen');
+            screen.textContent = step.reply.replace(/^(CON|END) /, '');
+            screen.classList.toggle('ended', step.reply.startsWith('END'));
+            screen.classList.toggle('history', index !== this.steps.length - 1);
+            this.el('request').textContent = step.request;
+            this.el('response').textContent = step.response;
+            this.el('state').textContent = formatJson(step.session);
+            this.el('branch').disabled = false;
+        }
+
+        /**
+         * The gateway does not tell the service about hang-ups; the session
+         * simply expires on the server
+         */
+        hangup() {
+            this.finish();
+            this.el('screen').classList.add('ended');
+        }
+
+        finish() {
+            this.ended = true;
+            this.el('reply').disabled = true;
+            this.el('reply').value = '';
+            this.el('phone-number').disabled = false;
+            this.el('send').textContent = 'Dial';
+        }
+
+        /**
+         * A new phone with a fresh session that repeats this run's inputs up
+         * to and including the step, ready to continue from there
+         */
+        branch(index) {
+            const steps = this.steps.slice(0, index + 1).map(step => ({ input: step.input, screen: step.reply.split('\n') }));
+            return new Phone(this.phoneNumber).replay(steps);
+        }
+
+        /**
+         * Dial and send each recorded input, marking screens that differ
+         */
+        async replay(steps) {
+            const [first, ...rest] = steps;
+            if (!first) return;
+            await this.dial(first.screen);
+            for (const step of rest) {
+                if (this.ended) break;
+                await this.exchange(step.input, step.screen);
+            }
+        }
+
+        /**
+         * Download the run as a transcript (see test/transcripts)
+         */
+        save() {
+            if (!this.steps.length) return;
+            const description = window.prompt('Describe this run:', '');
+            if (description === null) return;
+            const transcript = {
+                description,
+                phoneNumber: this.phoneNumber,
+                steps: this.steps.map(step => ({ input: step.input, screen: step.reply.split('\n') }))
+            };
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([`${JSON.stringify(transcript, null, 2)}\n`], { type: 'application/json' }));
+            link.download = `transcript-${this.phoneNumber.replace(/\D/g, '')}-${Date.now()}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+    }
+
+    document.getElementById('addPhone').addEventListener('click', () => {
+        // Each new phone gets its own number so registrations do not collide
+        const last = Number(DEFAULT_PHONE.slice(-3)) + created;
+        new Phone(`${DEFAULT_PHONE.slice(0, -3)}${String(last % 1000).padStart(3, '0')}`);
+    });
+
+    document.getElementById('loadTranscript').addEventListener('change', async event => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (!file) return;
+        let transcript;
+        try {
+            transcript = JSON.parse(await file.text());
+        } catch (error) {
+            return window.alert(`Not a transcript: ${error.message}`);
+        }
+        if (!Array.isArray(transcript.steps)) return window.alert('Not a transcript: it has no steps');
+        new Phone(transcript.phoneNumber || DEFAULT_PHONE).replay(transcript.steps);
+    });
+
+    new Phone();
+}());
@@ -0,0 +1,56 @@
+/**
+ * Farmers registered by agents, for commissions and the agents' own menu
+ *
+ * A farmer's `registeredBy` holds the phone number of the agent who
+ * registered them (null when farmers registered themselves or came from an
+ * import). Months are calendar months in Kenyan time, as "YYYY-MM".
+ */
+
+const TIME_ZONE = 'Africa/Nairobi';
+
+/**
+ * "YYYY-MM" of a timestamp in Kenyan time
+ */
+function monthOf(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: TIME_ZONE }).slice(0, 7);
+}
+
+/**
+ * The month before a "YYYY-MM" month
+ */
+function previousMonth(month) {
+    const [year, number] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, number - 2, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * "October 2026" in the given language
+ */
+function monthName(month, language) {
+    const [year, number] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, number - 1, 15))
+        .toLocaleDateString(`${language}-KE`, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Farmers an agent registered, newest first, optionally in one month
+ */
+async function registeredBy(farmers, agentPhoneNumber, { month } = {}) {
+    return (await farmers.list())
+        .filter(farmer => farmer.registeredBy === agentPhoneNumber)
+        .filter(farmer => !month || monthOf(farmer.registeredAt) === month)
+        .reverse();
+}
+
+/**
+ * Registrations per agent in a month: { [agentPhoneNumber]: count }
+ */
+async function monthlyCounts(farmers, month) {
+    const counts = {};
+    (await farmers.list())
+        .filter(farmer => farmer.registeredBy && monthOf(farmer.registeredAt) === month)
+        .forEach(farmer => { counts[farmer.registeredBy] = (counts[farmer.registeredBy] || 0) + 1; });
+    return counts;
+}
+
+module.exports = { monthOf, previousMonth, monthName, registeredBy, monthlyCounts };
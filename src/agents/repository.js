@@ -0,0 +1,189 @@
+/**
+ * Registered agents - cooperative clerks and extension officers who dial in
+ * on behalf of farmers
+ *
+ * Stored in the "agents" collection keyed by the agent's phone number:
+ *   { phoneNumber, name, organisation, language, status, pin,
+ *     failedPinAttempts, pinLockedUntil, lastLoginAt, createdAt, updatedAt }
+ * `status` is active or suspended; suspended agents are treated like any
+ * other caller. `pin` is a hash (see src/auth/pin) and never leaves this
+ * module through present().
+ *
+ * Changes that read an agent or their activity and write it back hold a
+ * per-agent lock (see src/storage/lock), so a login cannot undo a
+ * suspension or PIN reset made at the same time, parallel wrong PINs are
+ * all counted and no activity entry is lost.
+ *
+ * Logins, failed PINs and registrations are logged per agent in the
+ * "agent-activity" collection:
+ *   { phoneNumber, entries: [{ at, action, farmerPhoneNumber }] }
+ */
+
+const { hashPin, attemptPin } = require('../auth/pin');
+const { normalizeMsisdn } = require('../validation');
+const { keyedLock } = require('../storage/lock');
+
+const AGENT_STATUSES = ['active', 'suspended'];
+
+class AgentRepository {
+    constructor(collection, activityCollection) {
+        this.collection = collection;
+        this.activityCollection = activityCollection;
+        this.lock = keyedLock();
+    }
+
+    static async open(storage) {
+        const collection = await storage.collection('agents');
+        const activityCollection = await storage.collection('agent-activity');
+        return new AgentRepository(collection, activityCollection);
+    }
+
+    get(phoneNumber) {
+        return this.collection.get(key(phoneNumber));
+    }
+
+    /**
+     * Active agent with this number, or null
+     */
+    async active(phoneNumber) {
+        const agent = await this.get(phoneNumber);
+        return agent && agent.status === 'active' ? agent : null;
+    }
+
+    /**
+     * Add an agent; resolves null if the number is already an agent
+     */
+    create({ phoneNumber, name, organisation = null, language = null, pin }) {
+        phoneNumber = key(phoneNumber);
+        return this.lock(phoneNumber, async () => {
+            if (await this.get(phoneNumber)) return null;
+            const now = new Date().toISOString();
+            return this.collection.put(phoneNumber, {
+                phoneNumber,
+                name,
+                organisation,
+                language,
+                status: 'active',
+                pin: await hashPin(pin),
+                failedPinAttempts: 0,
+                pinLockedUntil: null,
+                lastLoginAt: null,
+                createdAt: now,
+                updatedAt: now
+            });
+        });
+    }
+
+    /**
+     * Change fields; a new `pin` is hashed and clears any lockout. Resolves
+     * null if there is no such agent.
+     */
+    async update(phoneNumber, { pin, ...changes }) {
+        const pinChanges = pin === undefined ? {} : { pin: await hashPin(pin), failedPinAttempts: 0, pinLockedUntil: null };
+        return this.lock(key(phoneNumber), async () => {
+            const existing = await this.get(phoneNumber);
+            if (!existing) return null;
+            return this.collection.put(existing.phoneNumber, {
+                ...existing,
+                ...changes,
+                ...pinChanges,
+                phoneNumber: existing.phoneNumber,
+                updatedAt: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * Check an agent's PIN, keeping count of failures (see attemptPin).
+     * Resolves { outcome, agent, attemptsLeft, lockedUntil }; outcome is
+     * `unknown` for a number that is not an active agent.
+     */
+    async login(phoneNumber, pin) {
+        // Read, check and write under the lock: a suspension or PIN reset in
+        // between is seen, and each wrong PIN counts on top of the last
+        const result = await this.lock(key(phoneNumber), async () => {
+            const agent = await this.active(phoneNumber);
+            if (!agent) return null;
+            const { outcome, changes, attemptsLeft, lockedUntil } = await attemptPin(agent, pin);
+            const now = new Date().toISOString();
+            const updated = await this.collection.put(agent.phoneNumber, {
+                ...agent,
+                ...changes,
+                ...(outcome === 'ok' ? { lastLoginAt: now } : {})
+            });
+            // Already under the lock, so not through record()
+            await this.appendActivity(agent.phoneNumber, { ok: 'login', wrong: 'loginFailed', locked: 'loginLocked' }[outcome]);
+            return { outcome, agent: updated, attemptsLeft, lockedUntil };
+        });
+        return result || { outcome: 'unknown', agent: null, attemptsLeft: 0, lockedUntil: null };
+    }
+
+    /**
+     * Add an entry to an agent's activity
+     */
+    record(phoneNumber, action, options) {
+        return this.lock(key(phoneNumber), () => this.appendActivity(key(phoneNumber), action, options));
+    }
+
+    /**
+     * record() for callers that already hold the agent's lock
+     */
+    async appendActivity(phoneNumber, action, { farmerPhoneNumber = null } = {}) {
+        const activity = (await this.activityCollection.get(phoneNumber)) || { phoneNumber, entries: [] };
+        activity.entries.push({ at: new Date().toISOString(), action, farmerPhoneNumber });
+        await this.activityCollection.put(phoneNumber, activity);
+    }
+
+    /**
+     * An agent's activity, oldest first
+     */
+    async activity(phoneNumber) {
+        const activity = await this.activityCollection.get(key(phoneNumber));
+        return activity ? activity.entries : [];
+    }
+
+    /**
+     * Put `pseudonym` in place of a farmer's phone number in every agent's
+     * activity (see src/privacy/subject); resolves how many entries changed
+     */
+    async anonymizeFarmer(farmerPhoneNumber, pseudonym) {
+        let changed = 0;
+        for (const { phoneNumber } of await this.activityCollection.values()) {
+            // Read again under the agent's lock so entries added meanwhile are kept
+            await this.lock(phoneNumber, async () => {
+                const activity = await this.activityCollection.get(phoneNumber);
+                if (!activity) return;
+                const entries = activity.entries.map(entry => {
+                    if (entry.farmerPhoneNumber !== farmerPhoneNumber) return entry;
+                    changed++;
+                    return { ...entry, farmerPhoneNumber: pseudonym };
+                });
+                if (entries.some((entry, index) => entry !== activity.entries[index])) {
+                    await this.activityCollection.put(phoneNumber, { ...activity, entries });
+                }
+            });
+        }
+        return changed;
+    }
+
+    /**
+     * All agents, by name
+     */
+    async list() {
+        const agents = await this.collection.values();
+        return agents.sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+/**
+ * An agent record without its PIN hash
+ */
+function present({ pin, ...agent }) {
+    return agent;
+}
+
+function key(phoneNumber) {
+    return normalizeMsisdn(phoneNumber) || phoneNumber;
+}
+
+module.exports = { AgentRepository, AGENT_STATUSES, present };
@@ -0,0 +1,128 @@
+/**
+ * /api/v1/agents - field agents who register farmers over USSD
+ *
+ *   GET    /                      agents, with this month's registrations
+ *   POST   /                      add an agent: { phoneNumber, name, pin, organisation, language }
+ *   GET    /registrations         registrations per agent (?month=YYYY-MM, default this month)
+ *   GET    /:phone                one agent
+ *   PATCH  /:phone                change name, organisation, language, status or pin
+ *   GET    /:phone/farmers        farmers the agent registered (?month=YYYY-MM)
+ *   GET    /:phone/activity       logins, failed PINs and registrations, oldest first
+ *
+ * PIN hashes are never returned. Setting a new pin also lifts a lockout.
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+const { isSupported } = require('../i18n');
+const { checkName, checkPhoneNumber, checkPin, checkText, describe } = require('../validation');
+const { AGENT_STATUSES, present } = require('../agents/repository');
+const { monthOf, registeredBy, monthlyCounts } = require('../agents/registrations');
+
+const EDITABLE_FIELDS = ['name', 'organisation', 'language', 'status', 'pin'];
+
+/**
+ * Validate agent fields from a request body; collects every problem
+ */
+function parseAgent(body = {}, { creating }) {
+    const details = [];
+    const fields = {};
+    const check = (field, result) => {
+        if (result.error) details.push({ field, message: describe(result.error) });
+        else fields[field] = result.value;
+    };
+
+    if (!creating) {
+        Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field))
+            .forEach(field => details.push({ field, message: 'Cannot be changed' }));
+    }
+    if (creating) check('phoneNumber', checkPhoneNumber(body.phoneNumber));
+    if (creating || body.name !== undefined) check('name', checkName(body.name));
+    if (creating || body.pin !== undefined) check('pin', checkPin(body.pin));
+    if (body.organisation !== undefined) {
+        if (body.organisation === null) fields.organisation = null;
+        else check('organisation', checkText(body.organisation));
+    }
+    if (body.language !== undefined) {
+        if (body.language === null || isSupported(body.language)) fields.language = body.language;
+        else details.push({ field: 'language', message: 'Unsupported language' });
+    }
+    if (body.status !== undefined) {
+        if (AGENT_STATUSES.includes(body.status)) fields.status = body.status;
+        else details.push({ field: 'status', message: `Must be one of ${AGENT_STATUSES.join(', ')}` });
+    }
+    if (details.length) throw ApiError.validation(details);
+    return fields;
+}
+
+function parseMonth(query) {
+    if (query.month === undefined) return null;
+    const month = String(query.month);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        throw ApiError.validation([{ field: 'month', message: 'Must be a month as YYYY-MM' }]);
+    }
+    return month;
+}
+
+function agentsRouter({ agents, farmers }) {
+    const router = express.Router();
+
+    async function load(phone) {
+        const agent = await agents.get(phone);
+        if (!agent) throw ApiError.notFound(`No agent with phone number ${phone}`);
+        return agent;
+    }
+
+    router.get('/', async (req, res) => {
+        const month = monthOf(new Date());
+        const counts = await monthlyCounts(farmers, month);
+        const list = await agents.list();
+        res.json({ data: list.map(agent => ({ ...present(agent), registrations: { month, count: counts[agent.phoneNumber] || 0 } })) });
+    });
+
+    router.post('/', async (req, res) => {
+        const fields = parseAgent(req.body, { creating: true });
+        const agent = await agents.create(fields);
+        if (!agent) throw new ApiError(409, 'already_exists', `${fields.phoneNumber} is already an agent`);
+        await agents.record(agent.phoneNumber, 'created');
+        res.status(201).json({ data: present(agent) });
+    });
+
+    router.get('/registrations', async (req, res) => {
+        const month = parseMonth(req.query) || monthOf(new Date());
+        const counts = await monthlyCounts(farmers, month);
+        const list = await agents.list();
+        res.json({
+            month,
+            data: list.map(agent => ({ phoneNumber: agent.phoneNumber, name: agent.name, organisation: agent.organisation, count: counts[agent.phoneNumber] || 0 })),
+            total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+        });
+    });
+
+    router.get('/:phone', async (req, res) => {
+        res.json({ data: present(await load(req.params.phone)) });
+    });
+
+    router.patch('/:phone', async (req, res) => {
+        const existing = await load(req.params.phone);
+        const updated = await agents.update(existing.phoneNumber, parseAgent(req.body, { creating: false }));
+        if (req.body && req.body.pin !== undefined) await agents.record(existing.phoneNumber, 'pinReset');
+        res.json({ data: present(updated) });
+    });
+
+    router.get('/:phone/farmers', async (req, res) => {
+        const agent = await load(req.params.phone);
+        const month = parseMonth(req.query);
+        const list = await registeredBy(farmers, agent.phoneNumber, { month });
+        res.json({ month, count: list.length, data: list });
+    });
+
+    router.get('/:phone/activity', async (req, res) => {
+        const agent = await load(req.params.phone);
+        res.json({ data: await agents.activity(agent.phoneNumber) });
+    });
+
+    return router;
+}
+
+module.exports = { agentsRouter };
@@ -0,0 +1,39 @@
+/**
+ * /api/v1/audit - the farmer audit trail (see src/audit)
+ *
+ *   GET /          entries, oldest first (?phone=0712345678&action=updated)
+ *   GET /verify    check the hash chain: { valid, entries, head } and, if it
+ *                  is broken, { brokenAt, reason }
+ *
+ * Entries name the fields that changed, never their values.
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+const { normalizeMsisdn } = require('../validation');
+const { ACTIONS } = require('../audit');
+
+function auditRouter({ audit }) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const { phone, action } = req.query;
+        const phoneNumber = phone === undefined ? null : normalizeMsisdn(phone);
+        if (phone !== undefined && !phoneNumber) {
+            throw ApiError.validation([{ field: 'phone', message: 'Not a supported phone number' }]);
+        }
+        if (action !== undefined && !ACTIONS.includes(action)) {
+            throw ApiError.validation([{ field: 'action', message: `Must be one of ${ACTIONS.join(', ')}` }]);
+        }
+        const entries = await audit.entries({ phoneNumber, action });
+        res.json({ count: entries.length, data: entries });
+    });
+
+    router.get('/verify', async (req, res) => {
+        res.json({ data: await audit.verify() });
+    });
+
+    return router;
+}
+
+module.exports = { auditRouter };
@@ -0,0 +1,43 @@
+/**
+ * API key authentication
+ *
+ * Keys come from ADMIN_API_KEYS (comma-separated) and are sent as
+ * "Authorization: Bearer <key>" or "X-API-Key: <key>". With no keys
+ * configured every request is refused, so the API is closed by default.
+ */
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+function configuredKeys(value = process.env.ADMIN_API_KEYS) {
+    return String(value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Middleware accepting any of `keys`; compared in constant time
+ */
+function requireApiKey(keys = configuredKeys()) {
+    const digests = keys.map(digest);
+
+    return (req, res, next) => {
+        const header = req.get('authorization') || '';
+        const presented = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : req.get('x-api-key');
+        if (!digests.length) {
+            return next(new ApiError(503, 'api_disabled', 'Admin API is disabled: set ADMIN_API_KEYS to enable it'));
+        }
+        if (!presented) {
+            return next(new ApiError(401, 'unauthorized', 'Missing API key'));
+        }
+        const candidate = digest(presented);
+        if (!digests.some(known => crypto.timingSafeEqual(known, candidate))) {
+            return next(new ApiError(401, 'unauthorized', 'Invalid API key'));
+        }
+        next();
+    };
+}
+
+module.exports = { requireApiKey, configuredKeys };
@@ -0,0 +1,98 @@
+/**
+ * /api/v1/claims - staff review of crop loss claims
+ *
+ *   GET    /              claims, newest first (?status=, ?phone=, ?policyId=)
+ *   GET    /:id           one claim with its status history
+ *   POST   /:id/status    move a claim on: { status, note, payoutAmount }
+ *
+ * Status changes follow TRANSITIONS in src/insurance/claims.js and each one
+ * sends the farmer an SMS. Approving without a payoutAmount pays the lost
+ * share of the sum insured; rejecting needs a note, which the farmer sees.
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+const { ClaimTransitionError, CLAIM_STATUSES } = require('../insurance/claims');
+const { normalizeMsisdn } = require('../validation');
+
+function parseClaimFilters(query) {
+    const details = [];
+    const filters = {};
+    if (query.status !== undefined) {
+        if (CLAIM_STATUSES.includes(query.status)) filters.status = query.status;
+        else details.push({ field: 'status', message: `Must be one of ${CLAIM_STATUSES.join(', ')}` });
+    }
+    if (query.phone !== undefined) {
+        filters.phoneNumber = normalizeMsisdn(query.phone);
+        if (!filters.phoneNumber) details.push({ field: 'phone', message: 'Not a supported phone number' });
+    }
+    if (query.policyId !== undefined) filters.policyId = String(query.policyId).toUpperCase();
+    if (details.length) throw ApiError.validation(details);
+    return filters;
+}
+
+function parseStatusChange(body = {}) {
+    const details = [];
+    const { status, note = null, payoutAmount } = body;
+    if (!CLAIM_STATUSES.includes(status)) {
+        details.push({ field: 'status', message: `Must be one of ${CLAIM_STATUSES.join(', ')}` });
+    }
+    if (note !== null && (typeof note !== 'string' || !note.trim())) {
+        details.push({ field: 'note', message: 'Must be a non-empty string' });
+    }
+    if (status === 'rejected' && !note) {
+        details.push({ field: 'note', message: 'A rejection needs a note for the farmer' });
+    }
+    if (payoutAmount !== undefined) {
+        if (status !== 'approved') {
+            details.push({ field: 'payoutAmount', message: 'Can only be set when approving' });
+        } else if (typeof payoutAmount !== 'number' || !Number.isFinite(payoutAmount) || payoutAmount < 0) {
+            details.push({ field: 'payoutAmount', message: 'Must be an amount of 0 or more' });
+        }
+    }
+    if (details.length) throw ApiError.validation(details);
+    return { status, note: note && note.trim(), payoutAmount };
+}
+
+function claimsRouter({ claims, policies, farmers, events }) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const list = await claims.list(parseClaimFilters(req.query));
+        res.json({ data: list, page: { total: list.length } });
+    });
+
+    router.get('/:id', async (req, res) => {
+        const claim = await claims.get(req.params.id);
+        if (!claim) throw ApiError.notFound(`No claim ${req.params.id}`);
+        res.json({ data: claim });
+    });
+
+    router.post('/:id/status', async (req, res) => {
+        const change = parseStatusChange(req.body);
+        const claim = await claims.get(req.params.id);
+        if (!claim) throw ApiError.notFound(`No claim ${req.params.id}`);
+
+        if (change.status === 'approved' && change.payoutAmount === undefined) {
+            const policy = await policies.get(claim.policyId);
+            change.payoutAmount = policy ? Math.round(policy.sumInsured * claim.lossPercent / 100) : null;
+        }
+
+        let updated;
+        try {
+            updated = await claims.transition(claim.id, change.status, { ...change, by: 'admin' });
+        } catch (error) {
+            if (error instanceof ClaimTransitionError) {
+                const allowed = error.allowed.length ? error.allowed.join(', ') : 'none, the claim is closed';
+                throw new ApiError(409, 'invalid_transition', error.message, [{ field: 'status', message: `Allowed next: ${allowed}` }]);
+            }
+            throw error;
+        }
+        events.emit('claim.updated', updated, await farmers.get(updated.phoneNumber));
+        res.json({ data: updated });
+    });
+
+    return router;
+}
+
+module.exports = { claimsRouter };
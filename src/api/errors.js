@@ -0,0 +1,51 @@
+/**
+ * Admin API errors
+ *
+ * Every failure is answered as JSON:
+ *   { "error": { "code": "validation_failed", "message": "...", "details": [{ "field", "message" }] } }
+ */
+
+const { logger } = require('../logging');
+
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    static validation(details) {
+        return new ApiError(400, 'validation_failed', 'The request is invalid', details);
+    }
+
+    static notFound(message) {
+        return new ApiError(404, 'not_found', message);
+    }
+}
+
+function notFound(req, res, next) {
+    next(ApiError.notFound(`No route for ${req.method} ${req.originalUrl}`));
+}
+
+/**
+ * Express error handler for the API router (needs all four arguments)
+ */
+function errorHandler(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+        error = new ApiError(400, 'invalid_json', 'Request body is not valid JSON');
+    }
+    if (error.type === 'entity.too.large') {
+        error = new ApiError(413, 'payload_too_large', `Request body is larger than ${error.limit} bytes`);
+    }
+    if (!(error instanceof ApiError)) {
+        logger.error('API error', { method: req.method, path: req.originalUrl, error });
+        error = new ApiError(500, 'internal_error', 'Something went wrong');
+    }
+    const body = { code: error.code, message: error.message };
+    if (error.details) body.details = error.details;
+    res.status(error.status).json({ error: body });
+}
+
+module.exports = { ApiError, notFound, errorHandler };
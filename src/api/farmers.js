@@ -0,0 +1,362 @@
+/**
+ * /api/v1/farmers - admin access to the farmer registry
+ *
+ *   GET    /            list with filters, sort and cursor paging
+ *   GET    /export.csv  all matching farmers as CSV (same filters and sort)
+ *   GET    /export.ndjson   ... as one JSON record per line
+ *   POST   /import      bulk CSV import (see src/farmers/import.js)
+ *   GET    /:phone      one farmer
+ *   GET    /:phone/policies   the farmer's insurance policies, newest first
+ *   PATCH  /:phone      change fields (see EDITABLE_FIELDS)
+ *   DELETE /:phone      remove the farmer and their change history
+ *
+ * Phone numbers in the path may be in any format src/validation accepts
+ * (0712345678, 254712345678, ...); a leading + must be URL-encoded (%2B254...).
+ * PIN hashes are never returned; records say `hasPin` instead.
+ */
+
+const { once } = require('events');
+const express = require('express');
+const { ApiError } = require('./errors');
+const { isSupported } = require('../i18n');
+const {
+    checkName, checkAcreage, checkText, normalizeMsisdn, describe
+} = require('../validation');
+const locations = require('../locations');
+const { SEASONS, createPlot, totalAcreage } = require('../farmers/plots');
+const {
+    SORT_FIELDS, filterFarmers, sortFarmers, pageOf, decodeCursor
+} = require('../farmers/query');
+const { BOM, EXPORT_COLUMNS, csvRow, exportRow } = require('../farmers/csv');
+const { importFarmers, ImportError } = require('../farmers/import');
+const { present: withoutPin } = require('../farmers/repository');
+const { logger } = require('../logging');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const EDITABLE_FIELDS = ['name', 'county', 'subCounty', 'ward', 'language', 'plots'];
+
+/**
+ * Parse listing filters from the query string; collects every problem
+ * instead of stopping at the first one
+ */
+function parseFilters(query, details) {
+    const filters = {};
+
+    if (query.county !== undefined) {
+        const county = locations.findCounty(query.county);
+        if (county) filters.county = county.name;
+        else details.push({ field: 'county', message: `Unknown county "${query.county}"` });
+    }
+    if (query.crop !== undefined) {
+        if (String(query.crop).trim()) filters.crop = String(query.crop).trim();
+        else details.push({ field: 'crop', message: 'Must not be empty' });
+    }
+
+    ['registeredFrom', 'registeredTo'].forEach(field => {
+        if (query[field] === undefined) return;
+        const date = parseDate(query[field], field === 'registeredTo');
+        if (date) filters[field] = date;
+        else details.push({ field, message: 'Must be a date (YYYY-MM-DD) or ISO timestamp' });
+    });
+
+    ['minAcreage', 'maxAcreage'].forEach(field => {
+        if (query[field] === undefined) return;
+        const value = Number(query[field]);
+        if (query[field] !== '' && Number.isFinite(value) && value >= 0) filters[field] = value;
+        else details.push({ field, message: 'Must be a number of acres, 0 or more' });
+    });
+
+    if (query.agent !== undefined) {
+        filters.registeredBy = normalizeMsisdn(query.agent);
+        if (!filters.registeredBy) details.push({ field: 'agent', message: 'Not a supported phone number' });
+    }
+
+    if (filters.registeredFrom && filters.registeredTo && filters.registeredFrom > filters.registeredTo) {
+        details.push({ field: 'registeredTo', message: 'Must not be before registeredFrom' });
+    }
+    if (filters.minAcreage > filters.maxAcreage) {
+        details.push({ field: 'maxAcreage', message: 'Must not be below minAcreage' });
+    }
+    return filters;
+}
+
+/**
+ * A bare date covers the whole day: from its start, or up to its end
+ */
+function parseDate(value, endOfDay) {
+    const text = String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const date = new Date(`${text}T00:00:00.000Z`);
+        if (isNaN(date)) return null;
+        return endOfDay ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) : date;
+    }
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+}
+
+function parseSort(query, details) {
+    const sort = String(query.sort || 'registeredAt');
+    const field = sort.replace(/^-/, '');
+    if (!SORT_FIELDS[field]) {
+        details.push({ field: 'sort', message: `Must be one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix "-" for descending)` });
+    }
+    return { field, descending: sort.startsWith('-') };
+}
+
+function parseListing(query) {
+    const details = [];
+    const filters = parseFilters(query, details);
+    const { field, descending } = parseSort(query, details);
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            details.push({ field: 'limit', message: `Must be a whole number from 1 to ${MAX_LIMIT}` });
+        }
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(String(query.cursor));
+        if (!cursor) details.push({ field: 'cursor', message: 'Not a cursor returned by this API' });
+    }
+
+    if (details.length) throw ApiError.validation(details);
+    return { filters, field, descending, limit, cursor };
+}
+
+function parseExport(query) {
+    const details = [];
+    const filters = parseFilters(query, details);
+    const sort = parseSort(query, details);
+    if (details.length) throw ApiError.validation(details);
+    return { filters, ...sort };
+}
+
+/**
+ * Validate a PATCH body into repository changes
+ */
+function parseChanges(body, existing) {
+    const details = [];
+    const changes = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw ApiError.validation([{ field: null, message: 'Body must be a JSON object' }]);
+    }
+    Object.keys(body)
+        .filter(field => !EDITABLE_FIELDS.includes(field))
+        .forEach(field => details.push({ field, message: 'Field cannot be changed' }));
+
+    if (body.name !== undefined) {
+        const checked = typeof body.name === 'string' ? checkName(body.name) : { error: { key: 'validation.nameRequired' } };
+        if (checked.error) details.push({ field: 'name', message: describe(checked.error) });
+        else changes.name = checked.value;
+    }
+    if (body.language !== undefined) {
+        if (isSupported(body.language)) changes.language = body.language;
+        else details.push({ field: 'language', message: `Unsupported language "${body.language}"` });
+    }
+
+    Object.assign(changes, parseLocation(body, existing, details, ''));
+
+    if (body.plots !== undefined) {
+        if (!Array.isArray(body.plots) || !body.plots.length) {
+            details.push({ field: 'plots', message: 'Must be a non-empty array' });
+        } else {
+            changes.plots = body.plots.map((plot, index) => parsePlot(plot, `plots[${index}]`, details));
+        }
+    }
+
+    if (details.length) throw ApiError.validation(details);
+    return changes;
+}
+
+/**
+ * county / subCounty / ward, checked against each other. Fields that are
+ * not given keep the values of `existing`.
+ */
+function parseLocation(body, existing, details, prefix) {
+    const changes = {};
+    if (body.county === undefined && body.subCounty === undefined && body.ward === undefined) return changes;
+
+    let county = existing ? existing.county : undefined;
+    if (body.county !== undefined) {
+        const found = locations.findCounty(body.county);
+        if (!found) {
+            details.push({ field: `${prefix}county`, message: `Unknown county "${body.county}"` });
+            return changes;
+        }
+        county = changes.county = found.name;
+    }
+
+    if (body.subCounty !== undefined && body.subCounty !== null) {
+        const subCounty = locations.subCounties(county)
+            .find(name => name.toLowerCase() === String(body.subCounty).trim().toLowerCase());
+        if (subCounty) changes.subCounty = subCounty;
+        else details.push({ field: `${prefix}subCounty`, message: `"${body.subCounty}" is not a sub-county of ${county}` });
+    } else if (body.subCounty === null || body.county !== undefined) {
+        changes.subCounty = null;
+    }
+
+    if (body.ward !== undefined && body.ward !== null) {
+        const checked = typeof body.ward === 'string' ? checkText(body.ward) : null;
+        if (checked && checked.value) changes.ward = checked.value;
+        else details.push({ field: `${prefix}ward`, message: checked ? describe(checked.error) : 'Must be a string or null' });
+    } else if (body.ward === null || body.county !== undefined || body.subCounty !== undefined) {
+        changes.ward = null;
+    }
+    return changes;
+}
+
+function parsePlot(plot, prefix, details) {
+    if (!plot || typeof plot !== 'object') {
+        details.push({ field: prefix, message: 'Must be an object' });
+        return null;
+    }
+    if (plot.county === undefined) {
+        details.push({ field: `${prefix}.county`, message: 'Is required' });
+    }
+    const location = parseLocation(plot, null, details, `${prefix}.`);
+
+    const checked = typeof plot.acreage === 'number' ? checkAcreage(plot.acreage) : null;
+    const acreage = checked && checked.value;
+    if (!checked || checked.error) {
+        details.push({ field: `${prefix}.acreage`, message: checked ? describe(checked.error) : 'Must be a number of acres' });
+    }
+
+    const crops = Array.isArray(plot.crops) ? plot.crops : [];
+    if (!Array.isArray(plot.crops)) {
+        details.push({ field: `${prefix}.crops`, message: 'Must be an array' });
+    }
+    crops.forEach((entry, index) => {
+        if (!entry || typeof entry.crop !== 'string' || !entry.crop.trim()) {
+            details.push({ field: `${prefix}.crops[${index}].crop`, message: 'Must be a non-empty string' });
+        }
+        if (entry && entry.season !== undefined && entry.season !== null && !SEASONS.includes(entry.season)) {
+            details.push({ field: `${prefix}.crops[${index}].season`, message: `Must be one of ${SEASONS.join(', ')}` });
+        }
+    });
+
+    const parsed = createPlot({
+        ...location,
+        acreage,
+        crops: crops.map(entry => ({ crop: String((entry && entry.crop) || '').trim(), season: (entry && entry.season) || null }))
+    });
+    // Existing plots keep their id so claims and policies still point at them
+    if (typeof plot.id === 'string' && plot.id) parsed.id = plot.id;
+    return parsed;
+}
+
+function present(farmer) {
+    return { ...withoutPin(farmer), totalAcreage: totalAcreage(farmer) };
+}
+
+/**
+ * Write chunks one by one, waiting whenever the client is slower than us
+ */
+async function stream(res, chunks) {
+    for (const chunk of chunks) {
+        if (res.destroyed) return;
+        if (!res.write(chunk)) await once(res, 'drain');
+    }
+    res.end();
+}
+
+function exportName(extension) {
+    return `farmers-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function farmersRouter({ farmers, policies, events }) {
+    const router = express.Router();
+
+    const load = async phoneNumber => {
+        const farmer = await farmers.get(phoneNumber);
+        if (!farmer) throw ApiError.notFound(`No farmer registered with ${phoneNumber}`);
+        return farmer;
+    };
+
+    router.get('/', async (req, res) => {
+        const { filters, field, descending, limit, cursor } = parseListing(req.query);
+        const sorted = sortFarmers(filterFarmers(await farmers.list(), filters), { field, descending });
+        const { items, nextCursor } = pageOf(sorted, { field, descending, limit, cursor });
+        res.json({
+            data: items.map(present),
+            page: { limit, total: sorted.length, nextCursor }
+        });
+    });
+
+    const matching = async query => {
+        const { filters, field, descending } = parseExport(query);
+        return sortFarmers(filterFarmers(await farmers.list(), filters), { field, descending });
+    };
+
+    router.get('/export.csv', async (req, res) => {
+        const list = await matching(req.query);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(exportName('csv'));
+        await stream(res, (function* rows() {
+            yield BOM + csvRow(EXPORT_COLUMNS);
+            for (const farmer of list) yield exportRow(farmer);
+        })());
+    });
+
+    router.get('/export.ndjson', async (req, res) => {
+        const list = await matching(req.query);
+        res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.attachment(exportName('ndjson'));
+        await stream(res, list.map(farmer => JSON.stringify(present(farmer)) + '\n'));
+    });
+
+    router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+        if (typeof req.body !== 'string') {
+            throw new ApiError(415, 'unsupported_media_type', 'Send the CSV as text/csv');
+        }
+        try {
+            const report = await importFarmers(req.body, {
+                farmers,
+                events,
+                duplicates: req.query.duplicates || 'reject',
+                dryRun: req.query.dryRun === 'true'
+            });
+            res.json(report);
+        } catch (error) {
+            if (error instanceof ImportError) {
+                throw new ApiError(400, 'invalid_import', error.message, error.details);
+            }
+            throw error;
+        }
+    });
+
+    router.get('/:phone', async (req, res) => {
+        res.json({ data: present(await load(req.params.phone)) });
+    });
+
+    router.get('/:phone/policies', async (req, res) => {
+        const farmer = await load(req.params.phone);
+        res.json({ data: await policies.forFarmer(farmer.phoneNumber) });
+    });
+
+    router.patch('/:phone', async (req, res) => {
+        const existing = await load(req.params.phone);
+        const changes = parseChanges(req.body, existing);
+        const updated = await farmers.update(existing.phoneNumber, changes, { source: 'admin' });
+
+        const changed = Object.keys(changes).filter(field => JSON.stringify(existing[field]) !== JSON.stringify(updated[field]));
+        if (changed.length) events.emit('farmer.updated', updated, changed);
+        res.json({ data: present(updated) });
+    });
+
+    router.delete('/:phone', async (req, res) => {
+        const existing = await load(req.params.phone);
+        await farmers.delete(existing.phoneNumber, { source: 'admin' });
+        logger.info('Farmer deleted through the admin API', { phoneNumber: existing.phoneNumber });
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = { farmersRouter, parseFilters, parseDate };
@@ -0,0 +1,34 @@
+/**
+ * Versioned admin API, mounted at /api/v1
+ *
+ * Every route needs an API key (see ./auth) and answers errors as JSON
+ * (see ./errors).
+ */
+
+const express = require('express');
+const { requireApiKey } = require('./auth');
+const { notFound, errorHandler } = require('./errors');
+const { farmersRouter } = require('./farmers');
+const { agentsRouter } = require('./agents');
+const { claimsRouter } = require('./claims');
+const { weatherRouter } = require('./weather');
+const { privacyRouter } = require('./privacy');
+const { reportsRouter } = require('./reports');
+const { auditRouter } = require('./audit');
+
+function createApi({ farmers, agents, policies, claims, datasets, engine, payments, messenger, privacy, journeys, audit, events, apiKeys }) {
+    const router = express.Router();
+    router.use(requireApiKey(apiKeys));
+    router.use('/farmers', farmersRouter({ farmers, policies, events }));
+    router.use('/agents', agentsRouter({ agents, farmers }));
+    router.use('/claims', claimsRouter({ claims, policies, farmers, events }));
+    router.use('/weather', weatherRouter({ datasets, engine }));
+    router.use('/privacy', privacyRouter({ farmers, agents, policies, claims, payments, engine, messenger, privacy }));
+    router.use('/reports', reportsRouter({ journeys }));
+    router.use('/audit', auditRouter({ audit }));
+    router.use(notFound);
+    router.use(errorHandler);
+    return router;
+}
+
+module.exports = { createApi };
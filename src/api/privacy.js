@@ -0,0 +1,95 @@
+/**
+ * /api/v1/privacy - data subject requests (Kenya Data Protection Act)
+ *
+ *   GET    /requests                erasure requests, newest first (?status=)
+ *   GET    /requests/:id            one request
+ *   POST   /requests/:id/complete   erase the farmer's data (see src/privacy/subject)
+ *   POST   /requests/:id/reject     decline a request: { note }
+ *   POST   /erasures                erase without a USSD request: { phoneNumber }
+ *   GET    /subjects/:phone         everything stored for a number, as one document
+ *   GET    /audit                   requests, erasures and exports, oldest first
+ *
+ * Erasure cannot be undone. Exports and erasures are written to the audit
+ * trail with the number masked.
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+const { checkPhoneNumber, checkText, normalizeMsisdn, describe } = require('../validation');
+const { REQUEST_STATUSES } = require('../privacy/requests');
+const { subjectData, hasSubjectData, eraseSubject } = require('../privacy/subject');
+
+function privacyRouter(stores) {
+    const { privacy } = stores;
+    const router = express.Router();
+
+    async function load(id) {
+        const request = await privacy.get(id);
+        if (!request) throw ApiError.notFound(`No privacy request ${id}`);
+        return request;
+    }
+
+    async function pendingRequest(id) {
+        const request = await load(id);
+        if (request.status !== 'pending') {
+            throw new ApiError(409, 'already_closed', `Request ${request.id} is already ${request.status}`);
+        }
+        return request;
+    }
+
+    async function erase(request) {
+        const pseudonym = `erased-${request.id}`;
+        const erased = await eraseSubject(request.phoneNumber, stores, { pseudonym });
+        return { data: await privacy.complete(request.id, { by: 'admin', pseudonym, erased }), erased };
+    }
+
+    router.get('/requests', async (req, res) => {
+        const { status } = req.query;
+        if (status !== undefined && !REQUEST_STATUSES.includes(status)) {
+            throw ApiError.validation([{ field: 'status', message: `Must be one of ${REQUEST_STATUSES.join(', ')}` }]);
+        }
+        res.json({ data: await privacy.list({ status }) });
+    });
+
+    router.get('/requests/:id', async (req, res) => {
+        res.json({ data: await load(req.params.id) });
+    });
+
+    router.post('/requests/:id/complete', async (req, res) => {
+        res.json(await erase(await pendingRequest(req.params.id)));
+    });
+
+    router.post('/requests/:id/reject', async (req, res) => {
+        const request = await pendingRequest(req.params.id);
+        const note = checkText((req.body || {}).note);
+        if (note.error) throw ApiError.validation([{ field: 'note', message: 'A reason is required' }]);
+        res.json({ data: await privacy.reject(request.id, { by: 'admin', note: note.value }) });
+    });
+
+    router.post('/erasures', async (req, res) => {
+        const phone = checkPhoneNumber((req.body || {}).phoneNumber);
+        if (phone.error) throw ApiError.validation([{ field: 'phoneNumber', message: describe(phone.error) }]);
+        if (!(await hasSubjectData(phone.value, stores))) {
+            throw ApiError.notFound(`Nothing is stored for ${phone.value}`);
+        }
+        const request = (await privacy.pending(phone.value)) || await privacy.requestErasure(phone.value, { via: 'admin' });
+        res.status(201).json(await erase(request));
+    });
+
+    router.get('/subjects/:phone', async (req, res) => {
+        const phoneNumber = normalizeMsisdn(req.params.phone);
+        if (!phoneNumber) throw ApiError.validation([{ field: 'phone', message: 'Not a supported phone number' }]);
+        if (!(await hasSubjectData(phoneNumber, stores))) throw ApiError.notFound(`Nothing is stored for ${phoneNumber}`);
+        const data = await subjectData(phoneNumber, stores);
+        await privacy.audit('exported', { phoneNumber, by: 'admin' });
+        res.json({ data });
+    });
+
+    router.get('/audit', async (req, res) => {
+        res.json({ data: await privacy.auditLog() });
+    });
+
+    return router;
+}
+
+module.exports = { privacyRouter };
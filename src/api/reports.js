@@ -0,0 +1,42 @@
+/**
+ * /api/v1/reports - USSD usage reports
+ *
+ *   GET /funnel    sessions reaching each screen and where they were abandoned,
+ *                  overall, by county and by day
+ *                  (?from=YYYY-MM-DD&to=YYYY-MM-DD&county=Nakuru)
+ *
+ * Screens are listed from most to least reached. A screen's `abandoned`
+ * counts sessions that went quiet (or hung up) there; `ended` counts those
+ * an END screen closed there. Sessions still within their timeout are
+ * `active`. See src/metrics/journeys.
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+
+function parseDay(query, field) {
+    if (query[field] === undefined) return null;
+    const day = String(query[field]);
+    if (!/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(day)) {
+        throw ApiError.validation([{ field, message: 'Must be a date as YYYY-MM-DD' }]);
+    }
+    return day;
+}
+
+function reportsRouter({ journeys }) {
+    const router = express.Router();
+
+    router.get('/funnel', async (req, res) => {
+        const from = parseDay(req.query, 'from');
+        const to = parseDay(req.query, 'to');
+        if (from && to && from > to) {
+            throw ApiError.validation([{ field: 'to', message: 'Must not be before from' }]);
+        }
+        const county = req.query.county === undefined ? null : String(req.query.county);
+        res.json({ data: await journeys.funnel({ from, to, county }) });
+    });
+
+    return router;
+}
+
+module.exports = { reportsRouter };
@@ -0,0 +1,102 @@
+/**
+ * /api/v1/weather - weather data and index payouts
+ *
+ *   POST   /datasets        upload readings as text/csv or JSON, up to 10 MB (?source=, ?dryRun=true)
+ *   GET    /datasets        stored datasets, without their readings
+ *   GET    /datasets/:id    one dataset with its readings
+ *   POST   /runs            evaluate triggers: { datasetId, dryRun }
+ *   GET    /runs            past runs (?datasetId=)
+ *   GET    /runs/:id        one run with the data points behind each trigger
+ *   GET    /payouts         index payouts (?phone=, ?policyId=)
+ *
+ * A file with any invalid row is refused as a whole, so a run never works
+ * on part of what was sent.
+ */
+
+const express = require('express');
+const { ApiError } = require('./errors');
+const { parseReadings, WeatherDataError } = require('../weather/readings');
+const { summary } = require('../weather/datasets');
+const { normalizeMsisdn } = require('../validation');
+
+function weatherRouter({ datasets, engine }) {
+    const router = express.Router();
+
+    // A year of daily readings for a few counties is well over the app's 100 kB JSON limit
+    const upload = [express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), express.json({ limit: '10mb' })];
+
+    router.post('/datasets', ...upload, async (req, res) => {
+        const format = typeof req.body === 'string' ? 'csv' : req.is('application/json') ? 'json' : null;
+        if (!format) {
+            throw new ApiError(415, 'unsupported_media_type', 'Send the readings as text/csv or application/json');
+        }
+        let parsed;
+        try {
+            parsed = parseReadings(req.body, format);
+        } catch (error) {
+            if (error instanceof WeatherDataError) {
+                throw new ApiError(400, 'invalid_dataset', error.message, error.details);
+            }
+            throw error;
+        }
+        if (parsed.errors.length) {
+            throw new ApiError(400, 'invalid_dataset', `${parsed.errors.length} row(s) are invalid`,
+                parsed.errors.flatMap(({ row, errors }) => errors.map(({ field, message }) => ({ field, message: `Row ${row}: ${message}` }))));
+        }
+        if (!parsed.readings.length) {
+            throw new ApiError(400, 'invalid_dataset', 'The file has no readings');
+        }
+        if (req.query.dryRun === 'true') {
+            return res.json({ dryRun: true, readingCount: parsed.readings.length });
+        }
+
+        const { dataset, created } = await datasets.add(parsed.readings, { source: req.query.source || null });
+        res.status(created ? 201 : 200).json({ data: summary(dataset), created });
+    });
+
+    router.get('/datasets', async (req, res) => {
+        res.json({ data: await datasets.list() });
+    });
+
+    router.get('/datasets/:id', async (req, res) => {
+        const dataset = await datasets.get(req.params.id);
+        if (!dataset) throw ApiError.notFound(`No dataset ${req.params.id}`);
+        res.json({ data: dataset });
+    });
+
+    router.post('/runs', async (req, res) => {
+        const { datasetId, dryRun = false } = req.body || {};
+        const details = [];
+        if (typeof datasetId !== 'string' || !datasetId) details.push({ field: 'datasetId', message: 'Is required' });
+        if (typeof dryRun !== 'boolean') details.push({ field: 'dryRun', message: 'Must be true or false' });
+        if (details.length) throw ApiError.validation(details);
+
+        const run = await engine.run(datasetId, { dryRun });
+        if (!run) throw ApiError.notFound(`No dataset ${datasetId}`);
+        res.status(dryRun ? 200 : 201).json({ data: run });
+    });
+
+    router.get('/runs', async (req, res) => {
+        res.json({ data: await engine.listRuns({ datasetId: req.query.datasetId && String(req.query.datasetId).toUpperCase() }) });
+    });
+
+    router.get('/runs/:id', async (req, res) => {
+        const run = await engine.getRun(req.params.id);
+        if (!run) throw ApiError.notFound(`No run ${req.params.id}`);
+        res.json({ data: run });
+    });
+
+    router.get('/payouts', async (req, res) => {
+        const filters = {};
+        if (req.query.phone !== undefined) {
+            filters.phoneNumber = normalizeMsisdn(req.query.phone);
+            if (!filters.phoneNumber) throw ApiError.validation([{ field: 'phone', message: 'Not a supported phone number' }]);
+        }
+        if (req.query.policyId !== undefined) filters.policyId = String(req.query.policyId).toUpperCase();
+        res.json({ data: await engine.listPayouts(filters) });
+    });
+
+    return router;
+}
+
+module.exports = { weatherRouter };
@@ -0,0 +1,129 @@
+/**
+ * Farmer audit trail - an append-only, hash-chained record of every change
+ * to farmer data, whatever made it (USSD, agent, admin API, import, privacy
+ * erasure)
+ *
+ * Entries live in the "farmer-audit" collection, keyed by sequence number:
+ *   { seq, at, action, subject, source, fields, prevHash, hash }
+ * `action` is created, replaced, updated, deleted or rekeyed; `fields` names
+ * the fields that changed. Values are never stored, and `subject` is an
+ * HMAC of the farmer's phone number under AUDIT_KEY rather than the number
+ * itself, so the trail holds no personal data and survives an erasure. It
+ * can still be searched by phone number by anyone who holds the key.
+ *
+ * Each entry's hash covers its content and the previous entry's hash, so
+ * editing, removing or reordering any entry breaks the chain from that point
+ * on; verify() finds where. The head hash it reports can be written down
+ * elsewhere, which also makes truncating the tail detectable.
+ */
+
+const crypto = require('crypto');
+const { normalizeMsisdn } = require('../validation');
+
+const ACTIONS = ['created', 'replaced', 'updated', 'deleted', 'rekeyed'];
+const GENESIS = '0'.repeat(64);
+// Only for development: anyone can recompute subjects made with this key
+const DEV_KEY = 'dev-audit-key';
+
+function hashEntry({ seq, at, action, subject, source, fields, prevHash }) {
+    return crypto.createHash('sha256')
+        .update(prevHash)
+        .update(JSON.stringify([seq, at, action, subject, source, fields, prevHash]))
+        .digest('hex');
+}
+
+/**
+ * Collection key that sorts in sequence order
+ */
+function seqKey(seq) {
+    return String(seq).padStart(12, '0');
+}
+
+class AuditTrail {
+    constructor(collection, { key = process.env.AUDIT_KEY || DEV_KEY } = {}) {
+        this.collection = collection;
+        this.key = key;
+        this.usingDevKey = key === DEV_KEY;
+        this.last = { seq: 0, hash: GENESIS };
+        // Appends run one at a time so each links to the one before
+        this.queue = Promise.resolve();
+    }
+
+    static async open(storage, options) {
+        const trail = new AuditTrail(await storage.collection('farmer-audit'), options);
+        const [last] = (await trail.all()).slice(-1);
+        if (last) trail.last = { seq: last.seq, hash: last.hash };
+        return trail;
+    }
+
+    /**
+     * Pseudonym for a phone number; any format normalizeMsisdn() accepts
+     */
+    subject(phoneNumber) {
+        return crypto.createHmac('sha256', this.key)
+            .update(normalizeMsisdn(phoneNumber) || String(phoneNumber))
+            .digest('hex');
+    }
+
+    /**
+     * Append an entry: record('updated', '+254712345678', { source, fields })
+     */
+    record(action, phoneNumber, { source = 'system', fields = [] } = {}) {
+        if (!ACTIONS.includes(action)) throw new Error(`Unknown audit action "${action}"`);
+        const append = async () => {
+            const entry = {
+                seq: this.last.seq + 1,
+                at: new Date().toISOString(),
+                action,
+                subject: this.subject(phoneNumber),
+                source,
+                fields: [...fields].sort(),
+                prevHash: this.last.hash
+            };
+            entry.hash = hashEntry(entry);
+            await this.collection.put(seqKey(entry.seq), entry);
+            this.last = { seq: entry.seq, hash: entry.hash };
+            return entry;
+        };
+        const appended = this.queue.then(append);
+        this.queue = appended.catch(() => {});
+        return appended;
+    }
+
+    /**
+     * Every entry, oldest first
+     */
+    async all() {
+        const entries = await this.collection.values();
+        return entries.sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Entries for one phone number and/or action, oldest first
+     */
+    async entries({ phoneNumber, action } = {}) {
+        const subject = phoneNumber ? this.subject(phoneNumber) : null;
+        return (await this.all())
+            .filter(entry => !subject || entry.subject === subject)
+            .filter(entry => !action || entry.action === action);
+    }
+
+    /**
+     * Walk the chain from the start. Resolves { valid, entries, head } and,
+     * when it is broken, the first bad sequence number and why.
+     */
+    async verify() {
+        const entries = await this.all();
+        let prevHash = GENESIS;
+        for (const [index, entry] of entries.entries()) {
+            const broken = reason => ({ valid: false, entries: entries.length, head: prevHash, brokenAt: index + 1, reason });
+            if (entry.seq !== index + 1) return broken(`expected entry ${index + 1}, found ${entry.seq}`);
+            if (entry.prevHash !== prevHash) return broken('does not link to the entry before it');
+            if (hashEntry(entry) !== entry.hash) return broken('content does not match its hash');
+            prevHash = entry.hash;
+        }
+        return { valid: true, entries: entries.length, head: prevHash };
+    }
+}
+
+module.exports = { AuditTrail, ACTIONS, hashEntry };
@@ -0,0 +1,136 @@
+/**
+ * PIN storage and lockout
+ *
+ * PINs are kept only as a salted scrypt hash: { salt, hash } (hex). Records
+ * protected by a PIN also carry failedPinAttempts and pinLockedUntil; after
+ * PIN_MAX_ATTEMPTS wrong PINs in a row the record is locked for PIN_LOCKOUT
+ * ms (default 3 attempts, 15 minutes) and even the right PIN is refused.
+ *
+ * A forgotten PIN is replaced after proving the phone is yours with a
+ * one-time code sent by SMS, kept the same way and valid for OTP_TTL ms.
+ * Codes live on the record ({ pinCode, failedCodeAttempts, codeLockedUntil })
+ * rather than in the session, so redialling neither sends another code
+ * while one is valid nor resets the count of wrong codes; PIN_MAX_ATTEMPTS
+ * wrong codes lock out codes for PIN_LOCKOUT ms.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+
+const PIN_MAX_ATTEMPTS = Number(process.env.PIN_MAX_ATTEMPTS) || 3;
+const PIN_LOCKOUT = Number(process.env.PIN_LOCKOUT) || 15 * 60 * 1000;
+
+const OTP_LENGTH = 6;
+const OTP_TTL = 5 * 60 * 1000;
+
+async function hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(String(pin), salt, KEY_LENGTH)).toString('hex');
+    return { salt, hash };
+}
+
+async function verifyPin(pin, stored) {
+    if (!stored || !stored.salt || !stored.hash) return false;
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = await scrypt(String(pin), stored.salt, KEY_LENGTH);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a PIN against a record ({ pin, failedPinAttempts, pinLockedUntil }).
+ * Resolves { outcome, changes, attemptsLeft, lockedUntil } where outcome is
+ *   ok       right PIN
+ *   wrong    wrong PIN, attemptsLeft more tries before the lock
+ *   locked   locked until lockedUntil, now or by this attempt
+ * `changes` are the lockout fields to save on the record.
+ */
+async function attemptPin(record, pin, { now = new Date() } = {}) {
+    if (record.pinLockedUntil && Date.parse(record.pinLockedUntil) > now.getTime()) {
+        return { outcome: 'locked', changes: {}, attemptsLeft: 0, lockedUntil: record.pinLockedUntil };
+    }
+    if (await verifyPin(pin, record.pin)) {
+        return { outcome: 'ok', changes: { failedPinAttempts: 0, pinLockedUntil: null }, attemptsLeft: PIN_MAX_ATTEMPTS, lockedUntil: null };
+    }
+    const failed = (record.failedPinAttempts || 0) + 1;
+    if (failed >= PIN_MAX_ATTEMPTS) {
+        const lockedUntil = new Date(now.getTime() + PIN_LOCKOUT).toISOString();
+        return { outcome: 'locked', changes: { failedPinAttempts: 0, pinLockedUntil: lockedUntil }, attemptsLeft: 0, lockedUntil };
+    }
+    return { outcome: 'wrong', changes: { failedPinAttempts: failed, pinLockedUntil: null }, attemptsLeft: PIN_MAX_ATTEMPTS - failed, lockedUntil: null };
+}
+
+/**
+ * A new one-time code: { code, stored } where only `stored` ({ salt, hash,
+ * expiresAt }) may be kept and `code` goes to the farmer by SMS
+ */
+async function createOtp({ now = new Date() } = {}) {
+    const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+    return { code, stored: { ...(await hashPin(code)), expiresAt: new Date(now.getTime() + OTP_TTL).toISOString() } };
+}
+
+/**
+ * Whether a typed code matches a stored one that has not expired
+ */
+async function verifyOtp(code, stored, { now = new Date() } = {}) {
+    if (!stored || Date.parse(stored.expiresAt) <= now.getTime()) return false;
+    return verifyPin(String(code).trim(), stored);
+}
+
+/**
+ * A new code for a record unless one is still valid or codes are locked.
+ * Resolves { outcome, code, changes, lockedUntil }: outcome `sent` with the
+ * code to send and `changes` to save, `pending` or `locked`.
+ */
+async function requestOtp(record, { now = new Date() } = {}) {
+    if (isLocked(record.codeLockedUntil, now)) {
+        return { outcome: 'locked', code: null, changes: {}, lockedUntil: record.codeLockedUntil };
+    }
+    if (record.pinCode && Date.parse(record.pinCode.expiresAt) > now.getTime()) {
+        return { outcome: 'pending', code: null, changes: {}, lockedUntil: null };
+    }
+    const { code, stored } = await createOtp({ now });
+    return { outcome: 'sent', code, changes: { pinCode: stored, failedCodeAttempts: 0 }, lockedUntil: null };
+}
+
+/**
+ * Check a typed code against the record's, counting failures like
+ * attemptPin. outcome is ok, wrong, locked, or expired when no code is
+ * waiting. A used, expired or locked-out code is discarded.
+ */
+async function attemptOtp(record, code, { now = new Date() } = {}) {
+    if (isLocked(record.codeLockedUntil, now)) {
+        return { outcome: 'locked', changes: {}, attemptsLeft: 0, lockedUntil: record.codeLockedUntil };
+    }
+    if (!record.pinCode || Date.parse(record.pinCode.expiresAt) <= now.getTime()) {
+        return { outcome: 'expired', changes: { pinCode: null, failedCodeAttempts: 0 }, attemptsLeft: 0, lockedUntil: null };
+    }
+    if (await verifyOtp(code, record.pinCode, { now })) {
+        return { outcome: 'ok', changes: { pinCode: null, failedCodeAttempts: 0, codeLockedUntil: null }, attemptsLeft: PIN_MAX_ATTEMPTS, lockedUntil: null };
+    }
+    const failed = (record.failedCodeAttempts || 0) + 1;
+    if (failed >= PIN_MAX_ATTEMPTS) {
+        const lockedUntil = new Date(now.getTime() + PIN_LOCKOUT).toISOString();
+        return { outcome: 'locked', changes: { pinCode: null, failedCodeAttempts: 0, codeLockedUntil: lockedUntil }, attemptsLeft: 0, lockedUntil };
+    }
+    return { outcome: 'wrong', changes: { failedCodeAttempts: failed }, attemptsLeft: PIN_MAX_ATTEMPTS - failed, lockedUntil: null };
+}
+
+function isLocked(lockedUntil, now) {
+    return Boolean(lockedUntil) && Date.parse(lockedUntil) > now.getTime();
+}
+
+/**
+ * Whole minutes until `lockedUntil`, at least 1
+ */
+function minutesLeft(lockedUntil, now = new Date()) {
+    return Math.max(1, Math.ceil((Date.parse(lockedUntil) - now.getTime()) / 60000));
+}
+
+module.exports = {
+    PIN_MAX_ATTEMPTS, PIN_LOCKOUT, OTP_LENGTH, OTP_TTL,
+    hashPin, verifyPin, attemptPin, createOtp, verifyOtp, requestOtp, attemptOtp, isLocked, minutesLeft
+};
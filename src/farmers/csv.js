@@ -0,0 +1,124 @@
+/**
+ * CSV for spreadsheets
+ *
+ * Output is RFC 4180 with CRLF line endings and a UTF-8 byte order mark so
+ * Excel opens names with accents correctly. Cells that a spreadsheet would
+ * run as a formula (=, +, -, @) are prefixed with an apostrophe, which also
+ * keeps "+2547..." from being turned into a number; parseCsv() strips it
+ * again on import.
+ */
+
+const { totalAcreage } = require('./plots');
+
+const BOM = '\uFEFF';
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+    return values.map(escapeCell).join(',') + '\r\n';
+}
+
+/**
+ * Rows of cells from CSV text; handles quoted commas, quotes and newlines
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.startsWith(BOM) ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows
+        .filter(cells => cells.some(value => value.trim()))
+        .map(cells => cells.map(value => (/^'[=+\-@]/.test(value) ? value.slice(1) : value)));
+}
+
+/**
+ * Crops as one cell: "Maize:longRains;Beans:shortRains" (season optional)
+ */
+function formatCrops(crops) {
+    return crops.map(({ crop, season }) => (season ? `${crop}:${season}` : crop)).join(';');
+}
+
+function parseCrops(cell) {
+    return String(cell || '').split(';')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [crop, season] = entry.split(':').map(part => part.trim());
+            return { crop, season: season || null };
+        });
+}
+
+const EXPORT_COLUMNS = [
+    'phoneNumber', 'name', 'county', 'subCounty', 'ward', 'language',
+    'plots', 'acreage', 'crops', 'registeredAt', 'registeredBy', 'updatedAt'
+];
+
+/**
+ * One export row per farmer; crops and acreage are summed over all plots
+ */
+function exportRow(farmer) {
+    const plots = farmer.plots || [];
+    return csvRow([
+        farmer.phoneNumber,
+        farmer.name,
+        farmer.county,
+        farmer.subCounty,
+        farmer.ward,
+        farmer.language,
+        plots.length,
+        totalAcreage(farmer),
+        formatCrops(plots.flatMap(plot => plot.crops)),
+        farmer.registeredAt,
+        farmer.registeredBy,
+        farmer.updatedAt
+    ]);
+}
+
+module.exports = {
+    BOM,
+    EXPORT_COLUMNS,
+    csvRow,
+    parseCsv,
+    formatCrops,
+    parseCrops,
+    exportRow
+};
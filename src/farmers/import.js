@@ -0,0 +1,248 @@
+/**
+ * Bulk import of farmers registered on paper
+ *
+ * CSV with a header row; column order is free:
+ *   phoneNumber, name, county, acreage, crops   required
+ *   subCounty, ward, language, registeredAt      optional
+ * `crops` uses the export format ("Maize:longRains;Beans"). Each row
+ * becomes a farmer with one plot at their location. The export's other
+ * columns (plots, registeredBy, updatedAt) are accepted and ignored, so an
+ * export imports back as it is; a farmer with several plots comes back
+ * with one holding their total acreage and all their crops.
+ *
+ * Values go through the USSD screens' own match/validate/parse functions,
+ * so a row is accepted exactly when a farmer could have typed it.
+ *
+ * Phone numbers that are already registered are handled by `duplicates`:
+ *   reject (default)  report the row as an error
+ *   merge             update name, location and language from the filled-in
+ *                     cells, and add the row's plot unless the farmer
+ *                     already has the same one
+ */
+
+const { screens, CROPS } = require('../flow/screens');
+const { DEFAULT_LANGUAGE, translator, isSupported } = require('../i18n');
+const { SEASONS, createPlot } = require('./plots');
+const { EXPORT_COLUMNS, parseCsv, parseCrops } = require('./csv');
+const { checkPhoneNumber, describe } = require('../validation');
+
+const REQUIRED_COLUMNS = ['phoneNumber', 'name', 'county', 'acreage', 'crops'];
+const OPTIONAL_COLUMNS = ['subCounty', 'ward', 'language', 'registeredAt'];
+// Export columns the import cannot set
+const IGNORED_COLUMNS = EXPORT_COLUMNS.filter(column => ![...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].includes(column));
+const DUPLICATE_POLICIES = ['reject', 'merge'];
+
+/**
+ * The file itself cannot be imported (no header, unknown columns, ...)
+ */
+class ImportError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ImportError';
+        this.details = details;
+    }
+}
+
+const t = translator(DEFAULT_LANGUAGE);
+
+/**
+ * Run input through a USSD screen: match() on option screens, validate()
+ * and parse() on text screens. Resolves { value } or { error }.
+ */
+async function throughScreen(screenId, input, farmerData) {
+    const screen = screens[screenId];
+    const ctx = { session: { farmerData }, t };
+    if (screen.match) {
+        const matched = await screen.match(input, ctx);
+        if (matched && typeof matched === 'object' && matched.value !== null && matched.value !== undefined) {
+            return { value: matched.value };
+        }
+        return { error: t(typeof matched === 'string' ? matched : 'error.invalidSelection') };
+    }
+    const error = screen.validate ? await screen.validate(input, ctx) : null;
+    if (error) return { error: typeof error === 'object' ? t(error.key, error.params) : t(error) };
+    return { value: screen.parse ? await screen.parse(input, ctx) : input };
+}
+
+/**
+ * Check one row; resolves { record, errors } where record holds the
+ * farmer fields and the plot built from the row
+ */
+async function validateRow(cells) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+    const data = {};
+
+    const checkedPhone = checkPhoneNumber(cells.phoneNumber);
+    const phoneNumber = checkedPhone.value || cells.phoneNumber.trim();
+    if (checkedPhone.error) fail('phoneNumber', describe(checkedPhone.error));
+
+    const name = await throughScreen('ENTER_NAME', cells.name, data);
+    if (name.error) fail('name', name.error);
+
+    const steps = [
+        ['county', 'SELECT_COUNTY_RESULT'],
+        ['subCounty', 'SELECT_SUB_COUNTY'],
+        ['ward', 'ENTER_WARD']
+    ];
+    for (const [index, [field, screenId]] of steps.entries()) {
+        if (!cells[field].trim()) {
+            if (field === 'county') fail(field, 'County is required');
+            // A ward can only be matched within a sub-county, as on USSD
+            steps.slice(index + 1)
+                .filter(([later]) => cells[later].trim())
+                .forEach(([later]) => fail(later, `Needs a ${field}`));
+            break;
+        }
+        const result = await throughScreen(screenId, cells[field].trim(), data);
+        if (result.error) {
+            fail(field, result.error);
+            break;
+        }
+        data[field] = result.value;
+    }
+
+    const acreage = await throughScreen('ENTER_FARM_SIZE', cells.acreage.trim(), data);
+    if (acreage.error) fail('acreage', acreage.error);
+
+    const crops = parseCrops(cells.crops).map(({ crop, season }) => ({
+        crop: CROPS.find(known => known.toLowerCase() === crop.toLowerCase()) || crop,
+        season
+    }));
+    if (!crops.length) fail('crops', 'At least one crop is required');
+    crops.filter(({ season }) => season && !SEASONS.includes(season)).forEach(({ season }) => {
+        fail('crops', `Unknown season "${season}" (expected ${SEASONS.join(', ')})`);
+    });
+
+    const language = cells.language.trim() || null;
+    if (language && !isSupported(language)) fail('language', `Unsupported language "${language}"`);
+
+    let registeredAt = null;
+    if (cells.registeredAt.trim()) {
+        const date = new Date(cells.registeredAt.trim());
+        if (isNaN(date)) fail('registeredAt', 'Not a date (use YYYY-MM-DD)');
+        else registeredAt = date.toISOString();
+    }
+
+    const { county, subCounty = null, ward = null } = data;
+    return {
+        errors,
+        record: {
+            phoneNumber,
+            name: name.value,
+            county,
+            subCounty,
+            ward,
+            language,
+            registeredAt,
+            plot: createPlot({ county, subCounty, ward, acreage: acreage.value, crops })
+        }
+    };
+}
+
+function samePlot(a, b) {
+    const shape = plot => JSON.stringify([plot.county, plot.subCounty, plot.ward, plot.acreage, plot.crops]);
+    return shape(a) === shape(b);
+}
+
+/**
+ * Import CSV text; resolves a report with one entry per data row:
+ *   { row, phoneNumber, status: created | merged | rejected, errors }
+ * `row` is the spreadsheet line number (the header is line 1). With
+ * dryRun nothing is written but the report is the same.
+ */
+async function importFarmers(text, { farmers, events, duplicates = 'reject', dryRun = false }) {
+    if (!DUPLICATE_POLICIES.includes(duplicates)) {
+        throw new ImportError('Invalid duplicates policy', [
+            { field: 'duplicates', message: `Must be one of ${DUPLICATE_POLICIES.join(', ')}` }
+        ]);
+    }
+    const [header, ...rows] = parseCsv(String(text || ''));
+    if (!header) {
+        throw new ImportError('The CSV is empty');
+    }
+    const columns = header.map(column => column.trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    const unknown = columns.filter(column => ![...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS, ...IGNORED_COLUMNS].includes(column));
+    if (missing.length || unknown.length) {
+        throw new ImportError('The CSV header is invalid', [
+            ...missing.map(column => ({ field: column, message: 'Missing column' })),
+            ...unknown.map(column => ({ field: column, message: 'Unknown column' }))
+        ]);
+    }
+
+    const report = [];
+    const seen = new Set();
+    for (const [index, values] of rows.entries()) {
+        const cells = {};
+        [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].forEach(column => {
+            const position = columns.indexOf(column);
+            cells[column] = position === -1 ? '' : values[position] || '';
+        });
+
+        const { record, errors } = await validateRow(cells);
+        const entry = { row: index + 2, phoneNumber: record.phoneNumber, status: 'rejected', errors };
+        report.push(entry);
+
+        if (!errors.length && seen.has(record.phoneNumber)) {
+            errors.push({ field: 'phoneNumber', message: 'Appears more than once in this file' });
+        }
+        seen.add(record.phoneNumber);
+
+        const existing = errors.length ? null : await farmers.get(record.phoneNumber);
+        if (existing && duplicates === 'reject') {
+            errors.push({ field: 'phoneNumber', message: 'Already registered' });
+        }
+        if (errors.length) continue;
+
+        entry.status = existing ? 'merged' : 'created';
+        if (dryRun) continue;
+
+        if (existing) {
+            const changes = { name: record.name, county: record.county };
+            // Blank sub-county or ward cells keep what is on file, unless the county moved
+            const moved = record.county !== existing.county;
+            if (record.subCounty || moved) changes.subCounty = record.subCounty;
+            if (record.ward || moved) changes.ward = record.ward;
+            if (record.language) changes.language = record.language;
+            const plots = existing.plots || [];
+            if (!plots.some(plot => samePlot(plot, record.plot))) changes.plots = [...plots, record.plot];
+
+            const updated = await farmers.update(record.phoneNumber, changes, { source: 'import' });
+            const changed = Object.keys(changes)
+                .filter(field => JSON.stringify(existing[field]) !== JSON.stringify(updated[field]));
+            if (changed.length) events.emit('farmer.updated', updated, changed);
+        } else {
+            const registeredAt = record.registeredAt || new Date().toISOString();
+            const farmer = await farmers.save({
+                name: record.name,
+                county: record.county,
+                subCounty: record.subCounty,
+                ward: record.ward,
+                plots: [record.plot],
+                phoneNumber: record.phoneNumber,
+                language: record.language,
+                registeredBy: null,
+                // Imported farmers set their PIN with an SMS code on first use
+                pin: null,
+                failedPinAttempts: 0,
+                pinLockedUntil: null,
+                // Consent given outside USSD is not recorded here
+                consent: null,
+                registrationDate: new Date(registeredAt).toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' }),
+                registeredAt
+            }, { source: 'import' });
+            events.emit('farmer.registered', farmer);
+        }
+    }
+
+    const count = status => report.filter(entry => entry.status === status).length;
+    return {
+        dryRun,
+        duplicates,
+        summary: { rows: report.length, created: count('created'), merged: count('merged'), rejected: count('rejected') },
+        rows: report
+    };
+}
+
+module.exports = { importFarmers, ImportError, REQUIRED_COLUMNS, OPTIONAL_COLUMNS, DUPLICATE_POLICIES };
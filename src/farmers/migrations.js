@@ -0,0 +1,67 @@
+/**
+ * Farmer record schema migrations
+ *
+ * Bump FARMER_SCHEMA_VERSION whenever the stored record shape changes and add
+ * a function keyed by the version it upgrades *from*. Persisted logs are
+ * migrated record by record when they are opened and then compacted, so a
+ * migration only ever runs once per data file.
+ *
+ * Version 1: { phoneNumber, name, county, crop, farmSize, language?,
+ *              registrationDate, registeredAt, updatedAt }
+ *            `language` is optional; records without it get the picker.
+ * Version 2: adds subCounty and ward; county is one of the 47 canonical
+ *            names where the old free text could be matched.
+ * Version 3: crop and farmSize move into `plots` (see ./plots). The old
+ *            values become the first plot, at the farmer's location and
+ *            with no planting season.
+ * Version 4: adds registeredBy, the phone number of the agent who
+ *            registered the farmer; null for everyone registered before.
+ * Version 5: adds pin, failedPinAttempts and pinLockedUntil (see
+ *            src/auth/pin). Farmers registered before have no PIN and set
+ *            one with a code sent by SMS the first time they need it.
+ * Version 6: adds consent ({ version, givenAt, via }, see src/privacy);
+ *            null for farmers registered before consent was recorded.
+ */
+
+const { matchCounty } = require('../locations');
+const { createPlot } = require('./plots');
+
+const FARMER_SCHEMA_VERSION = 6;
+
+const migrations = {
+    1: record => {
+        const county = matchCounty(record.county);
+        return {
+            ...record,
+            county: county || record.county,
+            // Keep what the farmer typed when it could not be matched
+            ...(county ? {} : { countyUnmatched: true }),
+            subCounty: record.subCounty || null,
+            ward: record.ward || null
+        };
+    },
+
+    2: ({ crop, farmSize, ...record }) => ({
+        ...record,
+        plots: [createPlot({
+            county: record.county,
+            subCounty: record.subCounty,
+            ward: record.ward,
+            acreage: farmSize,
+            crops: crop ? [{ crop, season: null }] : []
+        })]
+    }),
+
+    3: record => ({ ...record, registeredBy: record.registeredBy || null }),
+
+    4: record => ({
+        ...record,
+        pin: record.pin || null,
+        failedPinAttempts: record.failedPinAttempts || 0,
+        pinLockedUntil: record.pinLockedUntil || null
+    }),
+
+    5: record => ({ ...record, consent: record.consent || null })
+};
+
+module.exports = { FARMER_SCHEMA_VERSION, migrations };
@@ -0,0 +1,40 @@
+/**
+ * Farm plots
+ *
+ * A farmer has one or more plots, each with its own location, size and the
+ * crops grown on it:
+ *   { id, county, subCounty, ward, acreage, crops: [{ crop, season }] }
+ * `season` is one of SEASONS, or null for crops migrated from schema v2.
+ */
+
+const crypto = require('crypto');
+
+const SEASONS = ['longRains', 'shortRains', 'yearRound'];
+
+function createPlot({ county, subCounty = null, ward = null, acreage, crops = [] }) {
+    return {
+        id: crypto.randomBytes(3).toString('hex'),
+        county,
+        subCounty,
+        ward,
+        acreage,
+        crops
+    };
+}
+
+/**
+ * Sum of plot sizes, rounded to two decimals
+ */
+function totalAcreage(farmer) {
+    const total = (farmer.plots || []).reduce((sum, plot) => sum + (Number(plot.acreage) || 0), 0);
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Distinct crops grown across all of a farmer's plots
+ */
+function cropsGrown(farmer) {
+    return [...new Set((farmer.plots || []).flatMap(plot => plot.crops.map(entry => entry.crop)))];
+}
+
+module.exports = { SEASONS, createPlot, totalAcreage, cropsGrown };
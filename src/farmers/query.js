@@ -0,0 +1,114 @@
+/**
+ * Filtering, sorting and cursor paging over farmer records
+ *
+ * Shared by the admin API listing and the exports so both accept the same
+ * filters. Filters (all optional):
+ *   county         home county or the county of any plot (exact name)
+ *   crop           grown on any plot (case-insensitive)
+ *   registeredFrom / registeredTo   Date bounds on registeredAt, inclusive
+ *   minAcreage / maxAcreage         bounds on total acreage across plots
+ *   registeredBy   phone number of the registering agent
+ */
+
+const { totalAcreage, cropsGrown } = require('./plots');
+
+const SORT_FIELDS = {
+    registeredAt: farmer => farmer.registeredAt || '',
+    updatedAt: farmer => farmer.updatedAt || '',
+    name: farmer => String(farmer.name || '').toLowerCase(),
+    county: farmer => String(farmer.county || '').toLowerCase(),
+    totalAcreage: farmer => totalAcreage(farmer)
+};
+
+function matches(farmer, filters) {
+    const {
+        county, crop, registeredFrom, registeredTo, minAcreage, maxAcreage, registeredBy
+    } = filters;
+
+    if (county) {
+        const counties = [farmer.county, ...(farmer.plots || []).map(plot => plot.county)];
+        if (!counties.includes(county)) return false;
+    }
+    if (crop) {
+        const wanted = crop.toLowerCase();
+        if (!cropsGrown(farmer).some(grown => String(grown).toLowerCase() === wanted)) return false;
+    }
+    const registeredAt = Date.parse(farmer.registeredAt);
+    if (registeredFrom && !(registeredAt >= registeredFrom.getTime())) return false;
+    if (registeredTo && !(registeredAt <= registeredTo.getTime())) return false;
+
+    const acreage = totalAcreage(farmer);
+    if (minAcreage !== undefined && acreage < minAcreage) return false;
+    if (maxAcreage !== undefined && acreage > maxAcreage) return false;
+    if (registeredBy && farmer.registeredBy !== registeredBy) return false;
+    return true;
+}
+
+function filterFarmers(farmers, filters = {}) {
+    return farmers.filter(farmer => matches(farmer, filters));
+}
+
+/**
+ * [sort value, phone number] - the phone number breaks ties so the order
+ * is total and a cursor always points at exactly one position
+ */
+function sortKey(farmer, field) {
+    return [SORT_FIELDS[field](farmer), farmer.phoneNumber];
+}
+
+function compareKeys([leftValue, leftPhone], [rightValue, rightPhone], descending) {
+    const direction = descending ? -1 : 1;
+    if (leftValue < rightValue) return -direction;
+    if (leftValue > rightValue) return direction;
+    return leftPhone < rightPhone ? -1 : leftPhone > rightPhone ? 1 : 0;
+}
+
+function sortFarmers(farmers, { field = 'registeredAt', descending = false } = {}) {
+    return [...farmers].sort((a, b) => compareKeys(sortKey(a, field), sortKey(b, field), descending));
+}
+
+/**
+ * Opaque cursor pointing just after `farmer` in the given sort order
+ */
+function encodeCursor(farmer, field) {
+    return Buffer.from(JSON.stringify(sortKey(farmer, field))).toString('base64url');
+}
+
+/**
+ * Decoded cursor, or null when it is not one of ours
+ */
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * One page of farmers already sorted by `field`: { items, nextCursor }.
+ * `cursor` is a decoded cursor; the page starts just after it.
+ */
+function pageOf(sorted, { field = 'registeredAt', descending = false, limit, cursor = null }) {
+    let start = 0;
+    if (cursor) {
+        start = sorted.findIndex(farmer => compareKeys(sortKey(farmer, field), cursor, descending) > 0);
+        if (start === -1) start = sorted.length;
+    }
+    const items = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+    return {
+        items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null
+    };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    filterFarmers,
+    sortFarmers,
+    pageOf,
+    encodeCursor,
+    decodeCursor
+};
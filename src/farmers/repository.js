@@ -0,0 +1,312 @@
+/**
+ * Farmer registry - the only place that reads or writes farmer records
+ *
+ * Records are keyed by phone number in E.164 form (see src/validation);
+ * lookups accept any format normalizeMsisdn() understands, so "0712345678"
+ * finds "+254712345678". The repository is storage-agnostic: it works on
+ * any collection handed out by src/storage.
+ *
+ * Every update() that changes a field is also recorded in the farmer's
+ * change history ("farmer-history" collection):
+ *   { phoneNumber, entries: [{ at, source, changes: [{ field, from, to }] }] }
+ *
+ * `pin` is a hash (see src/auth/pin) and only ever leaves this module
+ * through present(). PIN changes appear in the history as "****".
+ *
+ * Changes that read a record and write it back hold a per-farmer lock (see
+ * src/storage/lock), so concurrent requests for one farmer cannot undo
+ * each other's changes.
+ *
+ * When opened with an audit trail (see src/audit), every save, update, PIN
+ * change, delete and re-key is also appended to it. The history can be
+ * erased with the farmer; the audit trail cannot.
+ */
+
+const { FARMER_SCHEMA_VERSION, migrations } = require('./migrations');
+const { normalizeMsisdn } = require('../validation');
+const { attemptPin, requestOtp, attemptOtp } = require('../auth/pin');
+const { keyedLock } = require('../storage/lock');
+const { logger } = require('../logging');
+
+class FarmerRepository {
+    constructor(collection, historyCollection, { audit = null } = {}) {
+        this.collection = collection;
+        this.historyCollection = historyCollection;
+        this.audit = audit;
+        this.lock = keyedLock();
+    }
+
+    /**
+     * Open (and migrate if needed) the farmers collection and its history
+     */
+    static async open(storage, { audit } = {}) {
+        const collection = await storage.collection('farmers', {
+            schemaVersion: FARMER_SCHEMA_VERSION,
+            migrations
+        });
+        const historyCollection = await storage.collection('farmer-history');
+        const repository = new FarmerRepository(collection, historyCollection, { audit });
+        await repository.normalizeKeys();
+        return repository;
+    }
+
+    /**
+     * Re-key records saved before phone numbers were normalized. When two
+     * records turn out to be the same farmer the most recently updated one
+     * wins and their change histories are merged.
+     */
+    async normalizeKeys() {
+        const farmers = await this.collection.values();
+        for (const farmer of farmers) {
+            const phoneNumber = normalizeMsisdn(farmer.phoneNumber);
+            if (!phoneNumber || phoneNumber === farmer.phoneNumber) continue;
+
+            const existing = await this.collection.get(phoneNumber);
+            if (existing) {
+                logger.warn('Two farmer records are the same number - keeping the latest', { from: farmer.phoneNumber, phoneNumber });
+            }
+            if (!existing || String(farmer.updatedAt) > String(existing.updatedAt)) {
+                await this.collection.put(phoneNumber, { ...farmer, phoneNumber });
+            }
+
+            const history = await this.historyCollection.get(farmer.phoneNumber);
+            if (history) {
+                const kept = (await this.historyCollection.get(phoneNumber)) || { phoneNumber, entries: [] };
+                const entries = [...kept.entries, ...history.entries].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+                await this.historyCollection.put(phoneNumber, { phoneNumber, entries });
+                await this.historyCollection.delete(farmer.phoneNumber);
+            }
+            await this.collection.delete(farmer.phoneNumber);
+            await this.recordAudit('rekeyed', phoneNumber, { source: 'system', fields: ['phoneNumber'] });
+        }
+    }
+
+    get(phoneNumber) {
+        return this.collection.get(key(phoneNumber));
+    }
+
+    /**
+     * Create or replace a farmer record; `source` as for update()
+     */
+    async save(farmer, { source = 'system' } = {}) {
+        if (!farmer || !farmer.phoneNumber) {
+            throw new Error('Farmer record needs a phoneNumber');
+        }
+        const phoneNumber = normalizeMsisdn(farmer.phoneNumber);
+        if (!phoneNumber) {
+            throw new Error(`Unsupported phone number: ${farmer.phoneNumber}`);
+        }
+        return this.lock(phoneNumber, async () => {
+            const existing = await this.collection.get(phoneNumber);
+            const now = new Date().toISOString();
+            const saved = await this.collection.put(phoneNumber, {
+                ...farmer,
+                phoneNumber,
+                registeredAt: farmer.registeredAt || now,
+                updatedAt: now
+            });
+            await this.recordAudit(existing ? 'replaced' : 'created', phoneNumber, { source, fields: Object.keys(farmer) });
+            return saved;
+        });
+    }
+
+    /**
+     * Merge changes into an existing record and log the fields that changed;
+     * `source` says where the change came from (ussd, admin, ...). Resolves
+     * null if there is no such farmer.
+     */
+    update(phoneNumber, changes, options) {
+        return this.modify(phoneNumber, () => changes, options);
+    }
+
+    /**
+     * update() with changes worked out from the record as it is once the
+     * farmer's lock is held: `change(farmer)` resolves the changes
+     */
+    modify(phoneNumber, change, options) {
+        return this.lock(key(phoneNumber), async () => {
+            const existing = await this.get(phoneNumber);
+            if (!existing) return null;
+            return this.applyChanges(existing, await change(existing), options);
+        });
+    }
+
+    async applyChanges(existing, changes, { source = 'system' } = {}) {
+        const { phoneNumber } = existing;
+        const now = new Date().toISOString();
+        const changed = Object.keys(changes)
+            .filter(field => field !== 'phoneNumber' && !sameValue(existing[field], changes[field]))
+            .map(field => ({ field, from: existing[field] === undefined ? null : existing[field], to: changes[field] }));
+        if (!changed.length) return existing;
+
+        const updated = await this.collection.put(phoneNumber, {
+            ...existing,
+            ...changes,
+            phoneNumber,
+            updatedAt: now
+        });
+        await this.recordHistory(phoneNumber, { at: now, source, changes: changed });
+        await this.recordAudit('updated', phoneNumber, { source, fields: changed.map(change => change.field) });
+        return updated;
+    }
+
+    /**
+     * Check a farmer's PIN, keeping count of failures (see attemptPin).
+     * Resolves { outcome, attemptsLeft, lockedUntil }; outcome is `unset`
+     * when there is no such farmer or they have no PIN yet.
+     */
+    checkPin(phoneNumber, pin) {
+        // Under the lock so parallel guesses each see the previous one's count
+        return this.lock(key(phoneNumber), async () => {
+            const farmer = await this.get(phoneNumber);
+            if (!farmer || !farmer.pin) return { outcome: 'unset', attemptsLeft: 0, lockedUntil: null };
+
+            const { outcome, changes, attemptsLeft, lockedUntil } = await attemptPin(farmer, pin);
+            // Failure counts are bookkeeping, not a change of details: no history entry
+            await this.collection.put(farmer.phoneNumber, { ...farmer, ...changes });
+            return { outcome, attemptsLeft, lockedUntil };
+        });
+    }
+
+    /**
+     * A PIN reset code for a farmer (see requestOtp): resolves { outcome,
+     * code, lockedUntil }; outcome `sent` means `code` must go out by SMS.
+     * Resolves null if there is no such farmer.
+     */
+    requestPinCode(phoneNumber) {
+        return this.lock(key(phoneNumber), async () => {
+            const farmer = await this.get(phoneNumber);
+            if (!farmer) return null;
+            const { outcome, code, changes, lockedUntil } = await requestOtp(farmer);
+            if (outcome === 'sent') await this.collection.put(farmer.phoneNumber, { ...farmer, ...changes });
+            return { outcome, code, lockedUntil };
+        });
+    }
+
+    /**
+     * Check a PIN reset code, counting failures like checkPin. Resolves
+     * { outcome, attemptsLeft, lockedUntil } (see attemptOtp); `expired`
+     * when there is no such farmer.
+     */
+    checkPinCode(phoneNumber, code) {
+        return this.lock(key(phoneNumber), async () => {
+            const farmer = await this.get(phoneNumber);
+            if (!farmer) return { outcome: 'expired', attemptsLeft: 0, lockedUntil: null };
+            const { outcome, changes, attemptsLeft, lockedUntil } = await attemptOtp(farmer, code);
+            await this.collection.put(farmer.phoneNumber, { ...farmer, ...changes });
+            return { outcome, attemptsLeft, lockedUntil };
+        });
+    }
+
+    /**
+     * Replace a farmer's PIN with an already hashed one and lift any lockout.
+     * Resolves null if there is no such farmer.
+     */
+    setPin(phoneNumber, pin, options) {
+        return this.lock(key(phoneNumber), () => this.replacePin(phoneNumber, pin, options));
+    }
+
+    async replacePin(phoneNumber, pin, { source = 'system' } = {}) {
+        const existing = await this.get(phoneNumber);
+        if (!existing) return null;
+
+        const now = new Date().toISOString();
+        const updated = await this.collection.put(existing.phoneNumber, {
+            ...existing,
+            pin,
+            failedPinAttempts: 0,
+            pinLockedUntil: null,
+            updatedAt: now
+        });
+        await this.recordHistory(existing.phoneNumber, {
+            at: now,
+            source,
+            changes: [{ field: 'pin', from: existing.pin ? '****' : null, to: '****' }]
+        });
+        await this.recordAudit('updated', existing.phoneNumber, { source, fields: ['pin'] });
+        return updated;
+    }
+
+    /**
+     * Append a plot (see ./plots); resolves null if there is no such farmer
+     */
+    addPlot(phoneNumber, plot, options) {
+        return this.modify(phoneNumber, farmer => ({ plots: [...(farmer.plots || []), plot] }), options);
+    }
+
+    removePlot(phoneNumber, plotId, options) {
+        return this.modify(phoneNumber, farmer => ({ plots: (farmer.plots || []).filter(plot => plot.id !== plotId) }), options);
+    }
+
+    async recordHistory(phoneNumber, entry) {
+        phoneNumber = key(phoneNumber);
+        const history = (await this.historyCollection.get(phoneNumber)) || { phoneNumber, entries: [] };
+        history.entries.push(entry);
+        await this.historyCollection.put(phoneNumber, history);
+    }
+
+    async recordAudit(action, phoneNumber, details) {
+        if (this.audit) await this.audit.record(action, phoneNumber, details);
+    }
+
+    /**
+     * Change history for one farmer, oldest first
+     */
+    async history(phoneNumber) {
+        const history = await this.historyCollection.get(key(phoneNumber));
+        return history ? history.entries : [];
+    }
+
+    delete(phoneNumber, { source = 'system' } = {}) {
+        phoneNumber = key(phoneNumber);
+        return this.lock(phoneNumber, async () => {
+            await this.historyCollection.delete(phoneNumber);
+            const deleted = await this.collection.delete(phoneNumber);
+            if (deleted) await this.recordAudit('deleted', phoneNumber, { source });
+            return deleted;
+        });
+    }
+
+    /**
+     * All farmers, oldest registration first
+     */
+    async list() {
+        const farmers = await this.collection.values();
+        return farmers.sort((a, b) => String(a.registeredAt).localeCompare(String(b.registeredAt)));
+    }
+
+    /**
+     * Farmers whose phone number contains the given digits
+     */
+    async search(phoneFragment) {
+        const digits = String(phoneFragment).replace(/\D/g, '');
+        if (!digits) return [];
+        const farmers = await this.list();
+        return farmers.filter(farmer => farmer.phoneNumber.replace(/\D/g, '').includes(digits));
+    }
+
+    count() {
+        return this.collection.count();
+    }
+}
+
+/**
+ * Storage key for a phone number; unparseable input is looked up as given
+ */
+function key(phoneNumber) {
+    return normalizeMsisdn(phoneNumber) || phoneNumber;
+}
+
+/**
+ * A farmer record without its PIN or reset code hashes, saying whether a
+ * PIN is set
+ */
+function present({ pin, pinCode, ...farmer }) {
+    return { ...farmer, hasPin: Boolean(pin) };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { FarmerRepository, present };
@@ -0,0 +1,294 @@
+/**
+ * Declarative USSD flow engine
+ *
+ * A flow is a map of screen id -> screen definition. The engine only knows
+ * how to render a screen and how to apply one input to the current screen;
+ * everything specific to a conversation lives in the screen definitions.
+ *
+ * Screen definition fields (any function may be async):
+ *   prompt      string | (ctx) => string   Text shown above the options
+ *   options     array  | (ctx) => array    Numbered choices: { label, text, value, next, data }
+ *   match       (input, ctx) => result     Accept typed text on an options screen:
+ *                                          { value, next, data } to accept, a message
+ *                                          key to reject, or null for "invalid selection"
+ *   field       string                     farmerData key the value is saved under
+ *   save        (ctx, value) => void       Store the value somewhere other than farmerData
+ *   parse       (input, ctx) => value      Convert free-text input before saving
+ *   validate    (input, ctx) => error      Return an error line for invalid input: a
+ *                                          message key or { key, params }
+ *   next        string | (ctx, value) => string   Screen to go to after valid input
+ *   navigation  boolean                    Set false to hide the Back/Main menu lines
+ *   secret      boolean                    Input is a PIN: kept out of session.history
+ *   action      async (ctx) => void        Side effect run when entering the screen
+ *   end         string | (ctx) => string   Marks a terminal screen and gives its END text
+ *
+ * `data` on an option or a match result is merged into farmerData before
+ * the value is saved, e.g. to remember which branch the farmer picked.
+ *
+ * Plain strings in prompt, end, validate results and option labels are
+ * message keys, translated with ctx.t (see src/i18n). Options that show
+ * untranslated data, such as county names, use `text` instead of `label`.
+ * Functions build their own text and should call ctx.t themselves.
+ *
+ * Every CON screen after the first one in a session also accepts "0" (back
+ * one screen) and "00" (main menu), except the main menu itself. A session
+ * can have its own main menu in session.home, e.g. agents once signed in. Each
+ * accepted input is pushed onto session.history together with the screen it
+ * answered and a snapshot of farmerData, so stepping back restores exactly
+ * what the farmer had before.
+ *
+ * Screens longer than `maxLength` are split into pages (see ./paginate).
+ * "98" shows the next page and "0" the previous one before it steps back a
+ * screen. Options keep their numbers across pages, so a number typed on any
+ * page selects the same option. END text is cut to fit.
+ */
+
+const { paginate, truncate } = require('./paginate');
+
+const BACK = '0';
+const MAIN_MENU = '00';
+const MORE = '98';
+
+class FlowEngine {
+    /**
+     * `start` is the main menu ("00" returns there); `entry` is the screen a
+     * new session opens on and may be a function of the context
+     */
+    constructor(screens, { start = 'MAIN_MENU', entry = start, maxLength = Infinity } = {}) {
+        this.screens = screens;
+        this.start = start;
+        this.entry = entry;
+        this.maxLength = maxLength;
+        this.checkDefinitions();
+    }
+
+    /**
+     * Fail fast on screens that point to ids that do not exist
+     */
+    checkDefinitions() {
+        if (!this.screens[this.start]) {
+            throw new Error(`Start screen "${this.start}" is not defined`);
+        }
+        if (typeof this.entry === 'string' && !this.screens[this.entry]) {
+            throw new Error(`Entry screen "${this.entry}" is not defined`);
+        }
+        Object.entries(this.screens).forEach(([id, screen]) => {
+            const targets = [];
+            if (typeof screen.next === 'string') targets.push(screen.next);
+            if (Array.isArray(screen.options)) {
+                screen.options.forEach(option => typeof option.next === 'string' && targets.push(option.next));
+            }
+            targets.forEach(target => {
+                if (!this.screens[target]) {
+                    throw new Error(`Screen "${id}" points to unknown screen "${target}"`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Enter the entry screen for a fresh session
+     */
+    async begin(ctx) {
+        return this.enter(await resolve(this.entry, ctx), ctx);
+    }
+
+    /**
+     * Move the session onto a screen and render it
+     */
+    async enter(screenId, ctx) {
+        const screen = this.screens[screenId];
+        if (!screen) {
+            throw new Error(`Unknown screen "${screenId}"`);
+        }
+        ctx.session.stage = screenId;
+        ctx.session.page = 0;
+
+        if (screen.action) {
+            await screen.action(ctx);
+        }
+
+        if (screen.end !== undefined) {
+            return { end: true, text: truncate(await message(screen.end, ctx), this.maxLength) };
+        }
+        return { end: false, text: await this.render(screenId, ctx) };
+    }
+
+    /**
+     * Render the session's current page of a CON screen
+     */
+    async render(screenId, ctx, error) {
+        const pages = await this.layout(screenId, ctx, error);
+        const page = Math.min(ctx.session.page || 0, pages.length - 1);
+        return pages[page].join('\n');
+    }
+
+    /**
+     * Prompt, numbered options and navigation split into pages that fit
+     */
+    async layout(screenId, ctx, error) {
+        const screen = this.screens[screenId];
+        const lines = [];
+        if (error) lines.push(...String(await message(error, ctx)).split('\n'));
+        lines.push(...String(await message(screen.prompt, ctx)).split('\n'));
+        const options = (await resolve(screen.options, ctx)) || [];
+        options.forEach((option, index) => {
+            lines.push(`${index + 1}. ${optionText(option, ctx)}`);
+        });
+
+        const navigation = this.hasNavigation(screenId, ctx.session);
+        return paginate(lines, this.maxLength, (page, hasMore) => {
+            const footer = [];
+            if (hasMore) footer.push(`${MORE}. ${translate(ctx, 'nav.more')}`);
+            if (navigation || page > 0) footer.push(`${BACK}. ${translate(ctx, 'nav.back')}`);
+            if (navigation) footer.push(`${MAIN_MENU}. ${translate(ctx, 'nav.mainMenu')}`);
+            return footer;
+        });
+    }
+
+    /**
+     * The screen "00" returns to for this session
+     */
+    home(session) {
+        return session.home || this.start;
+    }
+
+    hasNavigation(screenId, session) {
+        return screenId !== this.home(session)
+            && (session.history || []).length > 0
+            && this.screens[screenId].navigation !== false;
+    }
+
+    /**
+     * Render whichever screen the session is currently on
+     */
+    async current(ctx) {
+        return { end: false, text: await this.render(ctx.session.stage, ctx) };
+    }
+
+    /**
+     * Inputs that led to the current screen once back-steps are resolved
+     */
+    effectivePath(session) {
+        return (session.history || []).map(step => step.input);
+    }
+
+    /**
+     * Apply a single user input to the session's current screen. A rejected
+     * input redraws the screen with its error and sets `invalid`.
+     */
+    async handleInput(ctx, input) {
+        const { session } = ctx;
+        const screen = this.screens[session.stage];
+        if (!screen || screen.end !== undefined) {
+            throw new Error(`Session is not waiting for input (stage: ${session.stage})`);
+        }
+        if (!session.history) session.history = [];
+
+        // Paging within the current screen
+        if (input === MORE || (input === BACK && session.page > 0)) {
+            const pages = await this.layout(session.stage, ctx);
+            if (input === BACK) {
+                session.page--;
+                return this.current(ctx);
+            }
+            if (session.page < pages.length - 1) {
+                session.page++;
+                return this.current(ctx);
+            }
+        }
+
+        if (this.hasNavigation(session.stage, session)) {
+            if (input === MAIN_MENU) {
+                session.history = [];
+                session.farmerData = {};
+                return this.enter(this.home(session), ctx);
+            }
+            if (input === BACK) {
+                const previous = session.history.pop();
+                session.stage = previous.stage;
+                session.farmerData = previous.farmerData;
+                session.page = 0;
+                return this.current(ctx);
+            }
+        }
+
+        const options = await resolve(screen.options, ctx);
+        let value = input;
+        let next = screen.next;
+        let error = null;
+        let data = null;
+
+        if (options) {
+            const option = /^\d+$/.test(input) ? options[Number(input) - 1] : null;
+            if (!option) {
+                const matched = screen.match ? await screen.match(input, ctx) : null;
+                if (matched && typeof matched === 'object') {
+                    value = matched.value;
+                    if (matched.next) next = matched.next;
+                    data = matched.data;
+                } else {
+                    error = matched || 'error.invalidSelection';
+                }
+            } else {
+                value = option.value !== undefined ? option.value : optionText(option, ctx);
+                if (option.next) next = option.next;
+                data = option.data;
+            }
+        } else {
+            if (screen.validate) error = await screen.validate(input, ctx);
+            if (!error && screen.parse) value = await screen.parse(input, ctx);
+        }
+
+        if (error) {
+            session.page = 0;
+            return { end: false, invalid: true, text: await this.render(session.stage, ctx, error) };
+        }
+
+        const target = typeof next === 'function' ? await next(ctx, value) : next;
+        if (!target) {
+            throw new Error(`Screen "${session.stage}" has no next screen`);
+        }
+
+        session.history.push({
+            stage: session.stage,
+            input: screen.secret ? '****' : input,
+            farmerData: JSON.parse(JSON.stringify(session.farmerData))
+        });
+
+        if (data) {
+            Object.assign(session.farmerData, data);
+        }
+        // Options such as "Other" carry value: null and only redirect
+        if (value !== null && value !== undefined) {
+            if (screen.save) await screen.save(ctx, value);
+            else if (screen.field) session.farmerData[screen.field] = value;
+        }
+
+        return this.enter(target, ctx);
+    }
+}
+
+function resolve(value, ctx) {
+    return typeof value === 'function' ? value(ctx) : value;
+}
+
+/**
+ * Functions build their own text; plain strings are message keys and
+ * { key, params } objects are keys with placeholders to fill in
+ */
+function message(value, ctx) {
+    if (typeof value === 'function') return value(ctx);
+    if (value && typeof value === 'object') return translate(ctx, value.key, value.params);
+    return translate(ctx, value);
+}
+
+function translate(ctx, key, params) {
+    return ctx.t ? ctx.t(key, params) : key;
+}
+
+function optionText(option, ctx) {
+    return option.text !== undefined ? option.text : translate(ctx, option.label);
+}
+
+module.exports = { FlowEngine, BACK, MAIN_MENU, MORE };
@@ -0,0 +1,44 @@
+/**
+ * Farmer data as farmers read it, on USSD screens and in SMS alike
+ *
+ * `t` is a translator from src/i18n for the farmer's language.
+ */
+
+/**
+ * Translated name of a stored crop; custom crops are shown as typed
+ */
+function cropName(t, crop) {
+    const key = `crop.${String(crop).toLowerCase()}`;
+    const name = t(key);
+    return name === key ? crop : name;
+}
+
+/**
+ * "Maize (Long rains), Beans" - crops of one plot with their seasons
+ */
+function cropList(t, crops) {
+    return crops
+        .map(({ crop, season }) => (season ? `${cropName(t, crop)} (${t(`season.${season}`)})` : cropName(t, crop)))
+        .join(', ');
+}
+
+/**
+ * One-line plot summary: "Kajulu, Kisumu East: 2 acres, Maize (Long rains)"
+ */
+function plotSummary(t, plot) {
+    const crops = plot.crops.length ? `, ${cropList(t, plot.crops)}` : '';
+    return `${plotPlace(plot)}: ${plot.acreage} ${t('unit.acres')}${crops}`;
+}
+
+function plotPlace(plot) {
+    return [plot.ward, plot.subCounty || plot.county].filter(Boolean).join(', ');
+}
+
+/**
+ * "2027-03-01" -> "01/03/2027", the way registration dates are shown
+ */
+function formatDate(isoDate) {
+    return isoDate.split('-').reverse().join('/');
+}
+
+module.exports = { cropName, cropList, plotSummary, plotPlace, formatDate };
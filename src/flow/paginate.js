@@ -0,0 +1,82 @@
+/**
+ * Fit screens into the USSD payload limit
+ *
+ * Gateways cut anything past ~182 characters without warning, so every
+ * screen is measured before it is sent. CON screens are split into pages of
+ * whole lines; END text, which cannot be paged, is cut at the last whole
+ * line that fits and marked with "...".
+ *
+ * Only ASCII is used for markers: a single non-GSM character (such as an
+ * ellipsis) switches the whole message to UCS-2 and shrinks the limit.
+ */
+
+const ELLIPSIS = '...';
+
+function measure(lines) {
+    return lines.join('\n').length;
+}
+
+/**
+ * Shorten one line so it is at most `length` characters
+ */
+function clip(line, length) {
+    if (line.length <= length) return line;
+    return line.slice(0, Math.max(0, length - ELLIPSIS.length)).trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Split `lines` into pages that each fit in `limit` characters together
+ * with their footer. `footerFor(pageIndex, hasMore)` returns the footer
+ * lines for a page (More / Back / Main menu).
+ */
+function paginate(lines, limit, footerFor = () => []) {
+    const pages = [];
+    let start = 0;
+
+    while (true) {
+        const index = pages.length;
+        const rest = lines.slice(start);
+        const lastFooter = footerFor(index, false);
+        if (measure([...rest, ...lastFooter]) <= limit) {
+            pages.push([...rest, ...lastFooter]);
+            return pages;
+        }
+
+        const footer = footerFor(index, true);
+        let count = 0;
+        while (start + count < lines.length && measure([...lines.slice(start, start + count + 1), ...footer]) <= limit) {
+            count++;
+        }
+
+        if (count === 0) {
+            // A single line longer than a whole page: clip it rather than loop forever
+            const isLast = start === lines.length - 1;
+            const clipFooter = isLast ? lastFooter : footer;
+            const room = limit - measure(clipFooter) - (clipFooter.length ? 1 : 0);
+            pages.push([clip(lines[start], room), ...clipFooter]);
+            if (isLast) return pages;
+            start += 1;
+            continue;
+        }
+        pages.push([...lines.slice(start, start + count), ...footer]);
+        start += count;
+    }
+}
+
+/**
+ * Cut END text to `limit` characters, keeping whole lines where possible
+ */
+function truncate(text, limit) {
+    if (text.length <= limit) return text;
+
+    const kept = [];
+    for (const line of text.split('\n')) {
+        if (measure([...kept, line + ELLIPSIS]) > limit) break;
+        kept.push(line);
+    }
+    if (!kept.length) return clip(text.split('\n')[0], limit);
+    kept[kept.length - 1] += ELLIPSIS;
+    return kept.join('\n');
+}
+
+module.exports = { paginate, truncate, clip };
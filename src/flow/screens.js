@@ -0,0 +1,1126 @@
+/**
+ * Screen definitions for the farmer registration service
+ *
+ * Adding a question means adding a screen here and pointing an existing
+ * screen's `next` at it - the /ussd handler never needs to change.
+ * Prompts and labels are message keys from src/i18n/locales.
+ *
+ * Agents (src/agents) sign in with a PIN and register farmers on their
+ * behalf: ctx.phoneNumber is then the farmer being registered and
+ * ctx.callerNumber the agent's own number.
+ *
+ * Account actions ask for the farmer's PIN once per session (see withPin).
+ * The PIN is chosen at the end of registration; farmers without one, or who
+ * forgot it, get a one-time code by SMS, and agents can reset it with the
+ * farmer present.
+ *
+ * Registration starts with the data protection notice (src/privacy); under
+ * "My data" farmers get a copy of their data by SMS or ask for deletion.
+ */
+
+const { languages, isSupported, DEFAULT_LANGUAGE } = require('../i18n');
+const { cropName, cropList, plotSummary, plotPlace, formatDate } = require('./format');
+const locations = require('../locations');
+const { SEASONS, createPlot, totalAcreage } = require('../farmers/plots');
+const {
+    checkName, checkAcreage, checkText, checkPercentage, checkDate, checkPhoneNumber, checkPin
+} = require('../validation');
+const insurance = require('../insurance/products');
+const { requestPremium, pendingPremium } = require('../insurance/premiums');
+const { CAUSES } = require('../insurance/claims');
+const { CONSENT_VERSION } = require('../privacy/consent');
+const { logger } = require('../logging');
+const {
+    hashPin, verifyPin, isLocked, minutesLeft
+} = require('../auth/pin');
+const {
+    monthOf, previousMonth, monthName, registeredBy
+} = require('../agents/registrations');
+
+// Alphabetical, which is easier to scan than the official county codes
+const COUNTIES = locations.counties().sort((a, b) => a.localeCompare(b));
+
+// Typed at the PIN prompt instead of a PIN to get a code by SMS; PINs are 4 digits
+const FORGOT_PIN = '9';
+
+const CROPS = ['Maize', 'Wheat', 'Rice', 'Beans', 'Potatoes', 'Tea', 'Coffee', 'Sugarcane'];
+
+// Fields changed together by each "Update my details" choice
+const UPDATE_FIELDS = {
+    name: ['name'],
+    location: ['county', 'subCounty', 'ward']
+};
+
+/**
+ * Insurance offers for the caller's plots, minus those already covered by
+ * an active policy
+ */
+async function openOffers({ phoneNumber, farmers, policies }) {
+    const farmer = await farmers.get(phoneNumber);
+    const offers = [];
+    for (const offer of insurance.offersFor(farmer)) {
+        if (!(await policies.covering(phoneNumber, offer.plot.id, offer.product.id))) offers.push(offer);
+    }
+    return offers;
+}
+
+/**
+ * The offer picked on SELECT_PRODUCT, rebuilt from the current records
+ */
+async function chosenOffer(ctx) {
+    const { productId, plotId } = ctx.session.farmerData.offer;
+    return (await openOffers(ctx)).find(offer => offer.product.id === productId && offer.plot.id === plotId) || null;
+}
+
+async function unpaidPolicies({ phoneNumber, policies }) {
+    return (await policies.forFarmer(phoneNumber)).filter(policy => policy.status === 'pending');
+}
+
+/**
+ * Put a premium payment prompt on the caller's handset, unless one is
+ * already waiting there; remembers the outcome for paymentMessage()
+ */
+async function startPremiumPayment({ session, payments }, policy) {
+    const waiting = await pendingPremium(payments, policy);
+    const payment = waiting || await requestPremium(payments, policy);
+    session.farmerData.policyId = policy.id;
+    session.farmerData.paymentStatus = payment.status;
+}
+
+/**
+ * END text after startPremiumPayment(): where to enter the PIN, or that no
+ * prompt could be sent
+ */
+function paymentMessage(promptedKey, notStartedKey) {
+    return async ({ session, policies, t }) => {
+        const policy = await policies.get(session.farmerData.policyId);
+        const params = { id: policy.id, premium: insurance.formatAmount(policy.premium) };
+        return t(session.farmerData.paymentStatus === 'pending' ? promptedKey : notStartedKey, params);
+    };
+}
+
+/**
+ * Policies a loss can be reported against: paid for and already covering
+ */
+async function claimablePolicies({ phoneNumber, policies }) {
+    const today = new Date().toISOString().slice(0, 10);
+    return (await policies.forFarmer(phoneNumber))
+        .filter(policy => policy.status === 'active' && policy.coverageStart <= today);
+}
+
+/**
+ * Where a policy's plot is, for choosing among several policies
+ */
+async function policyPlace({ phoneNumber, farmers }, policy) {
+    const plot = ((await farmers.get(phoneNumber)).plots || []).find(entry => entry.id === policy.plotId);
+    return plot ? plotPlace(plot) : policy.county;
+}
+
+/**
+ * A policy's product in the caller's language; retired products keep the
+ * name they were sold under
+ */
+function policyProductName(policy, language) {
+    const product = insurance.findProduct(policy.productId);
+    return product ? insurance.productName(product, language) : policy.productName;
+}
+
+/**
+ * Registration screens double as editors for "Update my details": while
+ * farmerData.updating is set they go to the update confirmation instead
+ */
+function thenTo(screenId) {
+    return ({ session }) => (session.farmerData.updating ? 'CONFIRM_UPDATE' : screenId);
+}
+
+/**
+ * Next screen for account actions: the farmer confirms their PIN once per
+ * session first, or sets one with an SMS code if they have none yet. The
+ * screen they asked for waits in session.afterPin.
+ */
+function withPin(screenId) {
+    return async ({ session, phoneNumber, farmers }) => {
+        const farmer = await farmers.get(phoneNumber);
+        if (!farmer) return 'NOT_REGISTERED';
+        if (session.pinVerified) return screenId;
+        session.afterPin = screenId;
+        return farmer.pin ? 'ENTER_PIN' : 'PIN_SETUP';
+    };
+}
+
+/**
+ * The code step of a PIN reset, unless too many wrong codes have locked
+ * the farmer out of codes for now
+ */
+async function pinCodeScreen({ phoneNumber, farmers }) {
+    const farmer = await farmers.get(phoneNumber);
+    return farmer && isLocked(farmer.codeLockedUntil, new Date()) ? 'PIN_CODE_LOCKED' : 'PIN_CODE';
+}
+
+const UPDATE_MENU = {
+    prompt: 'update.title',
+    options: [
+        { label: 'field.name', data: { updating: 'name' }, next: 'UPDATE_NAME' },
+        { label: 'update.location', data: { updating: 'location' }, next: 'SELECT_COUNTY' },
+        { label: 'plots.menu', next: 'MY_PLOTS' }
+    ]
+};
+
+/**
+ * New sessions open on the language picker unless the caller is a
+ * registered farmer who already chose a language. Agents are first asked
+ * whether they are calling as an agent.
+ */
+async function entry(ctx) {
+    const agent = await ctx.agents.active(ctx.callerNumber);
+    if (agent) {
+        ctx.session.language = isSupported(agent.language) ? agent.language : DEFAULT_LANGUAGE;
+        return 'AGENT_START';
+    }
+    return farmerEntry(ctx);
+}
+
+async function farmerEntry({ session, phoneNumber, farmers }) {
+    const farmer = await farmers.get(phoneNumber);
+    if (farmer && isSupported(farmer.language)) {
+        session.language = farmer.language;
+        return 'MAIN_MENU';
+    }
+    return 'SELECT_LANGUAGE';
+}
+
+const screens = {
+    SELECT_LANGUAGE: {
+        prompt: 'language.prompt',
+        options: languages().map(language => ({ text: language.name, value: language.code })),
+        save: async ({ session, phoneNumber, farmers, events }, language) => {
+            session.language = language;
+            // Registered farmers keep their choice for future sessions
+            const farmer = await farmers.get(phoneNumber);
+            if (farmer && farmer.language !== language) {
+                events.emit('farmer.updated', await farmers.update(phoneNumber, { language }, { source: 'ussd' }), ['language']);
+            }
+        },
+        next: 'MAIN_MENU'
+    },
+
+    MAIN_MENU: {
+        prompt: 'menu.title',
+        options: [
+            // Registering a number twice edits the existing record instead
+            {
+                label: 'menu.register',
+                next: async ctx => ((await ctx.farmers.get(ctx.phoneNumber)) ? withPin('ALREADY_REGISTERED')(ctx) : 'CONSENT')
+            },
+            { label: 'menu.status', next: withPin('REGISTRATION_STATUS') },
+            { label: 'menu.exit', next: 'EXIT' },
+            { label: 'menu.language', next: 'SELECT_LANGUAGE' },
+            { label: 'menu.update', next: withPin('UPDATE_MENU') },
+            { label: 'menu.insurance', next: withPin('INSURANCE_MENU') },
+            { label: 'menu.claims', next: withPin('CLAIMS_MENU') },
+            { label: 'menu.privacy', next: withPin('PRIVACY_MENU') }
+        ]
+    },
+
+    // Nothing is collected before the farmer agrees; agents read the notice out
+    CONSENT: {
+        prompt: ({ session, t }) => (session.agent ? `${t('consent.readAloud')}\n${t('consent.notice')}` : t('consent.notice')),
+        options: [
+            { label: 'consent.agree', value: CONSENT_VERSION, next: 'ENTER_NAME' },
+            { label: 'consent.decline', value: null, next: 'CONSENT_DECLINED' }
+        ],
+        save: ({ session }, version) => {
+            session.farmerData.consent = { version, givenAt: new Date().toISOString(), via: session.agent ? 'agent' : 'ussd' };
+        }
+    },
+
+    CONSENT_DECLINED: {
+        end: 'consent.declined'
+    },
+
+    ENTER_NAME: {
+        prompt: 'register.enterName',
+        field: 'name',
+        validate: input => checkName(input).error,
+        parse: input => checkName(input).value,
+        next: 'SELECT_COUNTY'
+    },
+
+    SELECT_COUNTY: {
+        prompt: 'location.selectCounty',
+        options: COUNTIES.map(county => ({ text: county })),
+        field: 'county',
+        // Typed letters: one match selects it, several open a shorter list
+        match: input => {
+            const found = locations.startingWith(COUNTIES, input);
+            if (found.length === 1) return { value: found[0] };
+            if (found.length > 1) {
+                return { value: null, next: 'SELECT_COUNTY_RESULT', data: { countyQuery: input } };
+            }
+            const county = locations.matchCounty(input);
+            return county ? { value: county } : 'location.noCountyMatch';
+        },
+        next: 'SELECT_SUB_COUNTY'
+    },
+
+    SELECT_COUNTY_RESULT: {
+        prompt: ({ session, t }) => t('location.countyResults', { query: session.farmerData.countyQuery }),
+        options: ({ session }) => locations.startingWith(COUNTIES, session.farmerData.countyQuery)
+            .map(county => ({ text: county })),
+        field: 'county',
+        match: input => {
+            const county = locations.matchCounty(input);
+            return county ? { value: county } : 'location.noCountyMatch';
+        },
+        next: 'SELECT_SUB_COUNTY'
+    },
+
+    SELECT_SUB_COUNTY: {
+        prompt: ({ session, t }) => t('location.selectSubCounty', { county: session.farmerData.county }),
+        options: ({ session }) => locations.subCounties(session.farmerData.county)
+            .map(subCounty => ({ text: subCounty })),
+        field: 'subCounty',
+        match: (input, { session }) => {
+            const subCounty = locations.matchSubCounty(session.farmerData.county, input);
+            return subCounty ? { value: subCounty } : 'location.noSubCountyMatch';
+        },
+        // Sub-counties without a bundled ward list fall back to typing the ward
+        next: ({ session }, subCounty) => (
+            locations.wards(session.farmerData.county, subCounty).length ? 'SELECT_WARD' : 'ENTER_WARD'
+        )
+    },
+
+    SELECT_WARD: {
+        prompt: ({ session, t }) => t('location.selectWard', { subCounty: session.farmerData.subCounty }),
+        options: ({ session }) => [
+            ...locations.wards(session.farmerData.county, session.farmerData.subCounty)
+                .map(ward => ({ text: ward })),
+            { label: 'option.other', value: null, next: 'ENTER_WARD' }
+        ],
+        field: 'ward',
+        match: (input, { session }) => {
+            const { county, subCounty } = session.farmerData;
+            const ward = locations.matchWard(county, subCounty, input);
+            return ward ? { value: ward } : 'location.noWardMatch';
+        },
+        next: thenTo('SELECT_CROP')
+    },
+
+    ENTER_WARD: {
+        prompt: 'location.enterWard',
+        field: 'ward',
+        validate: input => checkText(input, 'location.wardRequired').error,
+        parse: (input, { session }) => {
+            const { county, subCounty } = session.farmerData;
+            return locations.matchWard(county, subCounty, input) || checkText(input).value;
+        },
+        next: thenTo('SELECT_CROP')
+    },
+
+    SELECT_CROP: {
+        prompt: 'register.selectCrop',
+        options: [
+            ...CROPS.map(crop => ({ label: `crop.${crop.toLowerCase()}`, value: crop })),
+            { label: 'option.other', value: null, next: 'ENTER_CUSTOM_CROP' }
+        ],
+        field: 'crop',
+        next: 'SELECT_SEASON'
+    },
+
+    ENTER_CUSTOM_CROP: {
+        prompt: 'register.customCrop',
+        field: 'crop',
+        validate: input => checkText(input, 'validation.cropRequired').error,
+        parse: input => checkText(input).value,
+        next: 'SELECT_SEASON'
+    },
+
+    SELECT_SEASON: {
+        prompt: ({ session, t }) => t('register.selectSeason', { crop: cropName(t, session.farmerData.crop) }),
+        options: SEASONS.map(season => ({ label: `season.option.${season}`, value: season })),
+        save: ({ session }, season) => {
+            const { crop, crops = [] } = session.farmerData;
+            session.farmerData.crops = [...crops, { crop, season }];
+        },
+        next: 'ADD_ANOTHER_CROP'
+    },
+
+    ADD_ANOTHER_CROP: {
+        prompt: ({ session, t }) => t('register.anotherCrop', { crops: cropList(t, session.farmerData.crops) }),
+        options: [
+            { label: 'option.yes', next: 'SELECT_CROP' },
+            { label: 'option.no', next: 'ENTER_FARM_SIZE' }
+        ]
+    },
+
+    ENTER_FARM_SIZE: {
+        prompt: ({ session, t }) => t(session.farmerData.addingPlot ? 'plots.acreage' : 'register.farmSize'),
+        field: 'farmSize',
+        validate: input => checkAcreage(input).error,
+        parse: input => checkAcreage(input).value,
+        next: ({ session }) => (session.farmerData.addingPlot ? 'CONFIRM_PLOT' : 'CONFIRM_REGISTRATION')
+    },
+
+    CONFIRM_REGISTRATION: {
+        prompt: ({ session, t }) => {
+            const data = session.farmerData;
+            let confirmation = `${t('register.confirmTitle')}\n`;
+            confirmation += `${t('field.name')}: ${data.name}\n`;
+            confirmation += `${t('field.county')}: ${data.county}\n`;
+            confirmation += `${t('field.subCounty')}: ${data.subCounty}\n`;
+            confirmation += `${t('field.ward')}: ${data.ward}\n`;
+            confirmation += `${t('field.crops')}: ${cropList(t, data.crops)}\n`;
+            confirmation += `${t('field.farm')}: ${data.farmSize} ${t('unit.acres')}\n`;
+            return confirmation;
+        },
+        options: [
+            // Someone may have registered this number since the session began;
+            // the PIN screens then change their PIN instead of registering
+            {
+                label: 'register.confirm',
+                next: async ctx => {
+                    if (!(await ctx.farmers.get(ctx.phoneNumber))) {
+                        ctx.session.farmerData.pinFor = 'registration';
+                        return 'NEW_PIN';
+                    }
+                    delete ctx.session.farmerData.pinFor;
+                    return ctx.session.agent ? 'AGENT_FARMER_EXISTS' : withPin('ALREADY_REGISTERED')(ctx);
+                }
+            },
+            { label: 'register.cancel', next: 'REGISTRATION_CANCELLED' }
+        ]
+    },
+
+    REGISTRATION_COMPLETE: {
+        action: async ({ session, phoneNumber, farmers, agents, events }) => {
+            const { name, county, subCounty, ward, crops, farmSize, pinHash, consent } = session.farmerData;
+            const agentPhoneNumber = session.agent ? session.agent.phoneNumber : null;
+            const registrationData = {
+                name,
+                county,
+                subCounty,
+                ward,
+                // The farm entered during registration becomes the first plot
+                plots: [createPlot({ county, subCounty, ward, acreage: farmSize, crops })],
+                phoneNumber,
+                language: session.language,
+                registrationDate: new Date().toLocaleString('en-KE', {
+                    timeZone: 'Africa/Nairobi'
+                }),
+                registeredBy: agentPhoneNumber,
+                consent
+            };
+            const farmer = await farmers.save(
+                { ...registrationData, pin: pinHash, failedPinAttempts: 0, pinLockedUntil: null },
+                { source: agentPhoneNumber ? 'agent' : 'ussd' }
+            );
+            events.emit('farmer.registered', farmer);
+            if (agentPhoneNumber) await agents.record(agentPhoneNumber, 'registered', { farmerPhoneNumber: phoneNumber });
+
+            logger.info('New farmer registered', { phoneNumber, byAgent: Boolean(agentPhoneNumber) });
+        },
+        end: ({ session, phoneNumber, t }) => (session.agent
+            ? t('agent.registered', { name: session.farmerData.name, phoneNumber })
+            : t('register.success', { name: session.farmerData.name }))
+    },
+
+    REGISTRATION_CANCELLED: {
+        end: 'register.cancelled'
+    },
+
+    // A CON screen without options so the plot list can be paged with 98
+    REGISTRATION_STATUS: {
+        prompt: async ({ session, phoneNumber, farmers, policies, t }) => {
+            const farmer = await farmers.get(phoneNumber);
+            let response = `${t('status.title')}\n`;
+            response += `${t('field.name')}: ${farmer.name}\n`;
+            response += `${t('field.county')}: ${farmer.county}\n`;
+            if (farmer.subCounty) response += `${t('field.subCounty')}: ${farmer.subCounty}\n`;
+            if (farmer.ward) response += `${t('field.ward')}: ${farmer.ward}\n`;
+            response += `${t('field.registered')}: ${farmer.registrationDate}\n`;
+            response += `${t('plots.total', { count: farmer.plots.length, acreage: totalAcreage(farmer) })}\n`;
+            farmer.plots.forEach((plot, index) => {
+                response += `${t('plots.plot', { number: index + 1 })}: ${plotSummary(t, plot)}\n`;
+            });
+            const active = (await policies.forFarmer(phoneNumber)).filter(policy => policy.status === 'active');
+            response += `${t('insurance.statusCount', { count: active.length })}\n`;
+            active.forEach(policy => {
+                response += `${t('insurance.statusLine', {
+                    id: policy.id,
+                    product: policyProductName(policy, session.language),
+                    end: formatDate(policy.coverageEnd)
+                })}\n`;
+            });
+            return response.trimEnd();
+        },
+        options: []
+    },
+
+    UPDATE_MENU,
+
+    ALREADY_REGISTERED: {
+        ...UPDATE_MENU,
+        prompt: 'update.alreadyRegistered'
+    },
+
+    UPDATE_NAME: {
+        prompt: 'update.enterName',
+        field: 'name',
+        validate: input => checkName(input).error,
+        parse: input => checkName(input).value,
+        next: 'CONFIRM_UPDATE'
+    },
+
+    CONFIRM_UPDATE: {
+        prompt: async ({ session, phoneNumber, farmers, t }) => {
+            const farmer = await farmers.get(phoneNumber);
+            let confirmation = `${t('update.confirmTitle')}\n`;
+            UPDATE_FIELDS[session.farmerData.updating].forEach(field => {
+                const before = farmer[field] || '-';
+                const after = session.farmerData[field] || '-';
+                confirmation += `${t(`field.${field}`)}: ${before} -> ${after}\n`;
+            });
+            return confirmation;
+        },
+        options: [
+            { label: 'update.confirm', next: 'UPDATE_COMPLETE' },
+            { label: 'update.cancel', next: 'UPDATE_CANCELLED' }
+        ]
+    },
+
+    UPDATE_COMPLETE: {
+        action: async ({ session, phoneNumber, farmers, events }) => {
+            const farmer = await farmers.get(phoneNumber);
+            const changes = {};
+            UPDATE_FIELDS[session.farmerData.updating].forEach(field => {
+                if (farmer[field] !== session.farmerData[field]) changes[field] = session.farmerData[field];
+            });
+            if (changes.county && farmer.countyUnmatched) changes.countyUnmatched = false;
+
+            session.farmerData.changed = Object.keys(changes).filter(field => field !== 'countyUnmatched');
+            if (!session.farmerData.changed.length) return;
+
+            const updated = await farmers.update(phoneNumber, changes, { source: 'ussd' });
+            events.emit('farmer.updated', updated, session.farmerData.changed);
+            logger.info('Farmer updated', { phoneNumber, fields: session.farmerData.changed });
+        },
+        end: ({ session, t }) => t(session.farmerData.changed.length ? 'update.success' : 'update.noChanges')
+    },
+
+    UPDATE_CANCELLED: {
+        end: 'update.cancelled'
+    },
+
+    MY_PLOTS: {
+        prompt: async ({ phoneNumber, farmers, t }) => {
+            const farmer = await farmers.get(phoneNumber);
+            return t('plots.total', { count: farmer.plots.length, acreage: totalAcreage(farmer) });
+        },
+        options: [
+            { label: 'plots.view', next: 'LIST_PLOTS' },
+            { label: 'plots.add', data: { addingPlot: true }, next: 'PLOT_LOCATION' },
+            {
+                label: 'plots.remove',
+                next: async ({ phoneNumber, farmers }) => (
+                    (await farmers.get(phoneNumber)).plots.length > 1 ? 'REMOVE_PLOT' : 'LAST_PLOT'
+                )
+            }
+        ]
+    },
+
+    LIST_PLOTS: {
+        prompt: async ({ phoneNumber, farmers, t }) => {
+            const farmer = await farmers.get(phoneNumber);
+            return farmer.plots
+                .map((plot, index) => `${t('plots.plot', { number: index + 1 })}: ${plotSummary(t, plot)}`)
+                .join('\n');
+        },
+        options: []
+    },
+
+    PLOT_LOCATION: {
+        prompt: 'plots.where',
+        options: async ({ phoneNumber, farmers, t }) => {
+            const { county, subCounty, ward } = await farmers.get(phoneNumber);
+            const place = [ward, subCounty || county].filter(Boolean).join(', ');
+            return [
+                { text: t('plots.sameAsHome', { place }), data: { county, subCounty, ward }, next: 'SELECT_CROP' },
+                { label: 'plots.otherLocation', next: 'SELECT_COUNTY' }
+            ];
+        }
+    },
+
+    CONFIRM_PLOT: {
+        prompt: ({ session, t }) => {
+            const { county, subCounty, ward, crops, farmSize } = session.farmerData;
+            let confirmation = `${t('plots.confirmTitle')}\n`;
+            confirmation += `${t('field.county')}: ${county}\n`;
+            if (subCounty) confirmation += `${t('field.subCounty')}: ${subCounty}\n`;
+            if (ward) confirmation += `${t('field.ward')}: ${ward}\n`;
+            confirmation += `${t('field.crops')}: ${cropList(t, crops)}\n`;
+            confirmation += `${t('field.farm')}: ${farmSize} ${t('unit.acres')}\n`;
+            return confirmation;
+        },
+        options: [
+            { label: 'plots.confirmAdd', next: 'PLOT_ADDED' },
+            { label: 'update.cancel', next: 'PLOTS_CANCELLED' }
+        ]
+    },
+
+    PLOT_ADDED: {
+        action: async ({ session, phoneNumber, farmers, events }) => {
+            const { county, subCounty, ward, crops, farmSize } = session.farmerData;
+            const plot = createPlot({ county, subCounty, ward, acreage: farmSize, crops });
+            const updated = await farmers.addPlot(phoneNumber, plot, { source: 'ussd' });
+            events.emit('farmer.updated', updated, ['plots']);
+        },
+        end: async ({ phoneNumber, farmers, t }) => {
+            const farmer = await farmers.get(phoneNumber);
+            return t('plots.added', { count: farmer.plots.length, acreage: totalAcreage(farmer) });
+        }
+    },
+
+    REMOVE_PLOT: {
+        prompt: 'plots.removePrompt',
+        options: async ({ phoneNumber, farmers, t }) => (await farmers.get(phoneNumber)).plots
+            .map(plot => ({ text: plotSummary(t, plot), value: plot.id })),
+        field: 'plotId',
+        next: 'CONFIRM_REMOVE_PLOT'
+    },
+
+    CONFIRM_REMOVE_PLOT: {
+        prompt: async ({ session, phoneNumber, farmers, t }) => {
+            const plot = (await farmers.get(phoneNumber)).plots.find(entry => entry.id === session.farmerData.plotId);
+            return t('plots.confirmRemove', { plot: plotSummary(t, plot) });
+        },
+        options: [
+            { label: 'plots.removeYes', next: 'PLOT_REMOVED' },
+            { label: 'update.cancel', next: 'PLOTS_CANCELLED' }
+        ]
+    },
+
+    PLOT_REMOVED: {
+        action: async ({ session, phoneNumber, farmers, events }) => {
+            const updated = await farmers.removePlot(phoneNumber, session.farmerData.plotId, { source: 'ussd' });
+            events.emit('farmer.updated', updated, ['plots']);
+        },
+        end: async ({ phoneNumber, farmers, t }) => {
+            const farmer = await farmers.get(phoneNumber);
+            return t('plots.removed', { count: farmer.plots.length, acreage: totalAcreage(farmer) });
+        }
+    },
+
+    LAST_PLOT: {
+        end: 'plots.keepOne'
+    },
+
+    PLOTS_CANCELLED: {
+        end: 'plots.cancelled'
+    },
+
+    INSURANCE_MENU: {
+        prompt: 'insurance.title',
+        options: [
+            { label: 'insurance.buy', next: async ctx => ((await openOffers(ctx)).length ? 'SELECT_PRODUCT' : 'NO_PRODUCTS') },
+            {
+                label: 'insurance.myPolicies',
+                next: async ({ phoneNumber, policies }) => ((await policies.forFarmer(phoneNumber)).length ? 'MY_POLICIES' : 'NO_POLICIES')
+            },
+            { label: 'insurance.payPremium', next: async ctx => ((await unpaidPolicies(ctx)).length ? 'SELECT_UNPAID' : 'NO_UNPAID') }
+        ]
+    },
+
+    SELECT_PRODUCT: {
+        prompt: 'insurance.selectProduct',
+        options: async ctx => (await openOffers(ctx)).map(({ product, plot }) => ({
+            text: `${insurance.productName(product, ctx.session.language)} - ${plotPlace(plot)}`,
+            value: { productId: product.id, plotId: plot.id }
+        })),
+        field: 'offer',
+        next: 'INSURANCE_QUOTE'
+    },
+
+    INSURANCE_QUOTE: {
+        prompt: async ctx => {
+            const { session, t } = ctx;
+            const offer = await chosenOffer(ctx);
+            if (!offer) return t('insurance.unavailable');
+            const { product, plot, crop, season } = offer;
+            const { premium, sumInsured } = insurance.quote(product, plot.acreage);
+            const coverage = insurance.coveragePeriod(season);
+            let quote = `${t('insurance.quoteTitle', { product: insurance.productName(product, session.language) })}\n`;
+            quote += `${t('insurance.plot')}: ${plotPlace(plot)} (${plot.acreage} ${t('unit.acres')})\n`;
+            quote += `${t('insurance.crop')}: ${cropList(t, [{ crop, season }])}\n`;
+            quote += `${t('insurance.cover', { start: formatDate(coverage.start), end: formatDate(coverage.end) })}\n`;
+            quote += `${t('insurance.sumInsured')}: ${insurance.formatAmount(sumInsured)}\n`;
+            quote += `${t('insurance.premium')}: ${insurance.formatAmount(premium)}\n`;
+            return quote;
+        },
+        options: [
+            { label: 'insurance.enroll', next: 'POLICY_ENROLLED' },
+            { label: 'update.cancel', next: 'INSURANCE_CANCELLED' }
+        ]
+    },
+
+    POLICY_ENROLLED: {
+        action: async ctx => {
+            const { phoneNumber, farmers, policies } = ctx;
+            // The offer is gone if the plot changed or another session bought it meanwhile
+            const offer = await chosenOffer(ctx);
+            if (!offer) return;
+            const policy = await policies.create(await farmers.get(phoneNumber), offer);
+            await startPremiumPayment(ctx, policy);
+        },
+        end: ctx => (ctx.session.farmerData.policyId
+            ? paymentMessage('payment.prompted', 'payment.notStarted')(ctx)
+            : ctx.t('insurance.unavailable'))
+    },
+
+    SELECT_UNPAID: {
+        prompt: 'payment.selectPolicy',
+        options: async ctx => (await unpaidPolicies(ctx)).map(policy => ({
+            text: `${policy.id} ${policyProductName(policy, ctx.session.language)} ${insurance.formatAmount(policy.premium)}`,
+            value: policy.id
+        })),
+        field: 'policyId',
+        next: 'PAYMENT_STARTED'
+    },
+
+    PAYMENT_STARTED: {
+        action: async ctx => startPremiumPayment(ctx, await ctx.policies.get(ctx.session.farmerData.policyId)),
+        end: paymentMessage('payment.promptedAgain', 'payment.notStartedAgain')
+    },
+
+    MY_POLICIES: {
+        prompt: async ({ session, phoneNumber, policies, t }) => {
+            const list = await policies.forFarmer(phoneNumber);
+            return [t('insurance.myPolicies'), ...list.map(policy => t('insurance.policyLine', {
+                id: policy.id,
+                product: policyProductName(policy, session.language),
+                status: t(`insurance.status.${policy.status}`),
+                start: formatDate(policy.coverageStart),
+                end: formatDate(policy.coverageEnd),
+                sumInsured: insurance.formatAmount(policy.sumInsured)
+            }))].join('\n');
+        },
+        options: []
+    },
+
+    NO_PRODUCTS: {
+        end: 'insurance.noProducts'
+    },
+
+    NO_POLICIES: {
+        end: 'insurance.noPolicies'
+    },
+
+    NO_UNPAID: {
+        end: 'payment.nothingDue'
+    },
+
+    INSURANCE_CANCELLED: {
+        end: 'insurance.cancelled'
+    },
+
+    CLAIMS_MENU: {
+        prompt: 'claim.title',
+        options: [
+            { label: 'claim.report', next: async ctx => ((await claimablePolicies(ctx)).length ? 'CLAIM_POLICY' : 'NO_ACTIVE_POLICY') },
+            {
+                label: 'claim.status',
+                next: async ({ phoneNumber, claims }) => ((await claims.forFarmer(phoneNumber)).length ? 'CLAIM_LIST' : 'NO_CLAIMS')
+            }
+        ]
+    },
+
+    CLAIM_POLICY: {
+        prompt: 'claim.selectPlot',
+        options: async ctx => {
+            const options = [];
+            for (const policy of await claimablePolicies(ctx)) {
+                options.push({
+                    text: `${await policyPlace(ctx, policy)} - ${policyProductName(policy, ctx.session.language)}`,
+                    value: policy.id
+                });
+            }
+            return options;
+        },
+        field: 'policyId',
+        next: 'CLAIM_CAUSE'
+    },
+
+    CLAIM_CAUSE: {
+        prompt: 'claim.selectCause',
+        options: CAUSES.map(cause => ({ label: `claim.cause.${cause}`, value: cause })),
+        field: 'cause',
+        next: 'CLAIM_LOSS'
+    },
+
+    CLAIM_LOSS: {
+        prompt: 'claim.lossPercent',
+        field: 'lossPercent',
+        validate: input => checkPercentage(input).error,
+        parse: input => checkPercentage(input).value,
+        next: 'CLAIM_DATE'
+    },
+
+    // The loss must fall inside the policy's cover and not in the future
+    CLAIM_DATE: {
+        prompt: 'claim.lossDate',
+        field: 'lossDate',
+        validate: async (input, { session, policies }) => {
+            const policy = await policies.get(session.farmerData.policyId);
+            const today = new Date().toISOString().slice(0, 10);
+            return checkDate(input, { from: policy.coverageStart, to: policy.coverageEnd < today ? policy.coverageEnd : today }).error;
+        },
+        parse: input => checkDate(input).value,
+        next: 'CONFIRM_CLAIM'
+    },
+
+    CONFIRM_CLAIM: {
+        prompt: async ctx => {
+            const { session, policies, t } = ctx;
+            const { policyId, cause, lossPercent, lossDate } = session.farmerData;
+            const policy = await policies.get(policyId);
+            let confirmation = `${t('claim.confirmTitle')}\n`;
+            confirmation += `${t('insurance.plot')}: ${await policyPlace(ctx, policy)}\n`;
+            confirmation += `${t('insurance.crop')}: ${cropName(t, policy.crop)}\n`;
+            confirmation += `${t('claim.cause')}: ${t(`claim.cause.${cause}`)}\n`;
+            confirmation += `${t('claim.loss')}: ${lossPercent}%\n`;
+            confirmation += `${t('claim.date')}: ${formatDate(lossDate)}\n`;
+            return confirmation;
+        },
+        options: [
+            { label: 'claim.submit', next: 'CLAIM_SUBMITTED' },
+            { label: 'update.cancel', next: 'CLAIM_CANCELLED' }
+        ]
+    },
+
+    CLAIM_SUBMITTED: {
+        action: async ({ session, phoneNumber, farmers, policies, claims, events }) => {
+            const { policyId, cause, lossPercent, lossDate } = session.farmerData;
+            const claim = await claims.create(await policies.get(policyId), { cause, lossPercent, lossDate });
+            session.farmerData.claimId = claim.id;
+            events.emit('claim.updated', claim, await farmers.get(phoneNumber));
+        },
+        end: ({ session, t }) => t('claim.submitted', { id: session.farmerData.claimId })
+    },
+
+    CLAIM_LIST: {
+        prompt: 'claim.selectClaim',
+        options: async ({ phoneNumber, claims, t }) => (await claims.forFarmer(phoneNumber)).map(claim => ({
+            text: `${claim.id} ${t(`claim.status.${claim.status}`)}`,
+            value: claim.id
+        })),
+        field: 'claimId',
+        next: 'CLAIM_DETAIL'
+    },
+
+    // Every step the claim has been through, with its date
+    CLAIM_DETAIL: {
+        prompt: async ({ session, claims, t }) => {
+            const claim = await claims.get(session.farmerData.claimId);
+            let detail = `${t('claim.reference', { id: claim.id })}\n`;
+            detail += `${cropName(t, claim.crop)}, ${t(`claim.cause.${claim.cause}`)}, ${claim.lossPercent}%\n`;
+            detail += `${t('claim.date')}: ${formatDate(claim.lossDate)}\n`;
+            claim.history.forEach(step => {
+                detail += `${t(`claim.status.${step.status}`)}: ${formatDate(step.at.slice(0, 10))}\n`;
+            });
+            if (claim.payoutAmount !== null && ['approved', 'paid'].includes(claim.status)) {
+                detail += `${t('claim.payout')}: ${insurance.formatAmount(claim.payoutAmount)}\n`;
+            }
+            if (claim.status === 'rejected' && claim.note) {
+                detail += `${t('claim.reason')}: ${claim.note}\n`;
+            }
+            return detail;
+        },
+        options: []
+    },
+
+    NO_ACTIVE_POLICY: {
+        end: 'claim.noActivePolicy'
+    },
+
+    NO_CLAIMS: {
+        end: 'claim.noClaims'
+    },
+
+    CLAIM_CANCELLED: {
+        end: 'claim.cancelled'
+    },
+
+    AGENT_START: {
+        prompt: async ({ callerNumber, agents, t }) => t('agent.start', { name: (await agents.get(callerNumber)).name }),
+        options: [
+            { label: 'agent.asAgent', next: 'AGENT_PIN' },
+            { label: 'agent.asFarmer', next: farmerEntry }
+        ]
+    },
+
+    // A correct PIN makes the agent menu this session's main menu
+    AGENT_PIN: {
+        prompt: 'agent.enterPin',
+        secret: true,
+        validate: async (input, { session, callerNumber, agents }) => {
+            const { outcome, agent, attemptsLeft, lockedUntil } = await agents.login(callerNumber, input);
+            if (outcome === 'ok') {
+                session.agent = { phoneNumber: agent.phoneNumber, name: agent.name };
+                session.home = 'AGENT_MENU';
+                return null;
+            }
+            if (outcome === 'wrong') return { key: 'agent.pinWrong', params: { attempts: attemptsLeft } };
+            session.farmerData.lockedUntil = lockedUntil;
+            return null;
+        },
+        next: ({ session }) => {
+            if (session.agent) return 'AGENT_MENU';
+            // Locked now, or suspended since the session began
+            return session.farmerData.lockedUntil ? 'AGENT_LOCKED' : 'AGENT_UNAVAILABLE';
+        }
+    },
+
+    AGENT_LOCKED: {
+        end: ({ session, t }) => t('agent.locked', { minutes: minutesLeft(session.farmerData.lockedUntil) })
+    },
+
+    AGENT_UNAVAILABLE: {
+        end: 'agent.unavailable'
+    },
+
+    AGENT_MENU: {
+        prompt: ({ session, t }) => t('agent.menu', { name: session.agent.name }),
+        options: [
+            { label: 'agent.register', next: 'AGENT_FARMER_PHONE' },
+            {
+                label: 'agent.myFarmers',
+                next: async ({ session, farmers }) => ((await registeredBy(farmers, session.agent.phoneNumber)).length ? 'AGENT_FARMERS' : 'AGENT_NO_FARMERS')
+            },
+            { label: 'agent.monthly', next: 'AGENT_MONTHLY' },
+            { label: 'agent.resetPin', next: 'AGENT_RESET_PHONE' },
+            { label: 'menu.exit', next: 'EXIT' }
+        ]
+    },
+
+    // The registration screens then act for this number (see ctx.phoneNumber)
+    AGENT_FARMER_PHONE: {
+        prompt: 'agent.farmerPhone',
+        field: 'farmerPhoneNumber',
+        validate: async (input, { callerNumber, farmers }) => {
+            const { value, error } = checkPhoneNumber(input);
+            if (error) return error;
+            if (value === callerNumber) return 'agent.ownNumber';
+            return (await farmers.get(value)) ? 'agent.farmerExists' : null;
+        },
+        parse: input => checkPhoneNumber(input).value,
+        next: 'CONSENT'
+    },
+
+    // The farmer is with the agent and types the new PIN on the agent's phone
+    AGENT_RESET_PHONE: {
+        prompt: 'agent.resetPhone',
+        field: 'farmerPhoneNumber',
+        validate: async (input, { callerNumber, farmers }) => {
+            const { value, error } = checkPhoneNumber(input);
+            if (error) return error;
+            if (value === callerNumber) return 'agent.ownNumber';
+            return (await farmers.get(value)) ? null : 'agent.farmerNotFound';
+        },
+        parse: input => checkPhoneNumber(input).value,
+        next: 'NEW_PIN'
+    },
+
+    AGENT_PIN_RESET: {
+        action: async ({ session, phoneNumber, farmers, agents, events }) => {
+            const farmer = await farmers.setPin(phoneNumber, session.farmerData.pinHash, { source: 'agent' });
+            await agents.record(session.agent.phoneNumber, 'farmerPinReset', { farmerPhoneNumber: phoneNumber });
+            events.emit('farmer.pinChanged', farmer, session.agent);
+        },
+        end: ({ phoneNumber, t }) => t('agent.pinReset', { phoneNumber })
+    },
+
+    AGENT_FARMER_EXISTS: {
+        end: ({ phoneNumber, t }) => t('agent.registeredMeanwhile', { phoneNumber })
+    },
+
+    // A CON screen without options so a long list can be paged with 98
+    AGENT_FARMERS: {
+        prompt: async ({ session, farmers, t }) => {
+            const list = await registeredBy(farmers, session.agent.phoneNumber);
+            const lines = list.map(farmer => `${farmer.name} ${farmer.phoneNumber} ${formatDate(farmer.registeredAt.slice(0, 10))}`);
+            return [t('agent.farmersTitle', { count: list.length }), ...lines].join('\n');
+        },
+        options: []
+    },
+
+    AGENT_NO_FARMERS: {
+        end: 'agent.noFarmers'
+    },
+
+    AGENT_MONTHLY: {
+        prompt: async ({ session, farmers, t }) => {
+            const month = monthOf(new Date());
+            const list = await registeredBy(farmers, session.agent.phoneNumber);
+            const count = wanted => list.filter(farmer => monthOf(farmer.registeredAt) === wanted).length;
+            return t('agent.monthlyCount', {
+                month: monthName(month, session.language),
+                count: count(month),
+                lastMonth: monthName(previousMonth(month), session.language),
+                lastCount: count(previousMonth(month)),
+                total: list.length
+            });
+        },
+        options: []
+    },
+
+    // Only the hash is kept in the session, never the PIN itself
+    NEW_PIN: {
+        prompt: ({ session, t }) => t(session.agent ? 'pin.newForFarmer' : 'pin.new'),
+        secret: true,
+        validate: input => checkPin(input).error,
+        save: async ({ session }, input) => {
+            session.farmerData.pinHash = await hashPin(checkPin(input).value);
+        },
+        next: 'REPEAT_PIN'
+    },
+
+    REPEAT_PIN: {
+        prompt: 'pin.repeat',
+        secret: true,
+        validate: async (input, { session }) => ((await verifyPin(input.trim(), session.farmerData.pinHash)) ? null : 'pin.mismatch'),
+        // Registering only while the number is still free: save() would
+        // replace a farmer registered since the PIN was chosen
+        next: async ({ session, phoneNumber, farmers }) => {
+            if (session.farmerData.pinFor === 'registration' && !(await farmers.get(phoneNumber))) return 'REGISTRATION_COMPLETE';
+            return session.agent ? 'AGENT_PIN_RESET' : 'PIN_CHANGED';
+        }
+    },
+
+    ENTER_PIN: {
+        prompt: ({ t }) => t('pin.enter', { forgot: FORGOT_PIN }),
+        secret: true,
+        validate: async (input, { session, phoneNumber, farmers }) => {
+            if (input.trim() === FORGOT_PIN) return null;
+            const { outcome, attemptsLeft, lockedUntil } = await farmers.checkPin(phoneNumber, input.trim());
+            if (outcome === 'ok') {
+                session.pinVerified = true;
+                return null;
+            }
+            if (outcome === 'wrong') return { key: 'pin.wrong', params: { attempts: attemptsLeft } };
+            if (outcome === 'locked') session.farmerData.lockedUntil = lockedUntil;
+            return null;
+        },
+        // Forgotten, or removed since the session began: a code replaces it
+        next: (ctx) => {
+            if (ctx.session.pinVerified) return ctx.session.afterPin;
+            return ctx.session.farmerData.lockedUntil ? 'PIN_LOCKED' : pinCodeScreen(ctx);
+        }
+    },
+
+    PIN_LOCKED: {
+        end: ({ session, t }) => t('pin.locked', { minutes: minutesLeft(session.farmerData.lockedUntil), forgot: FORGOT_PIN })
+    },
+
+    PIN_SETUP: {
+        prompt: ({ phoneNumber, t }) => t('pin.setup', { phoneNumber }),
+        options: [
+            { label: 'pin.sendCode', next: pinCodeScreen }
+        ]
+    },
+
+    // A code is sent only when none is waiting; the farmer record keeps its
+    // hash and the count of wrong tries across dials (see src/auth/pin)
+    PIN_CODE: {
+        action: async ({ phoneNumber, farmers, events }) => {
+            const { outcome, code } = await farmers.requestPinCode(phoneNumber);
+            if (outcome === 'sent') events.emit('farmer.pinCode', await farmers.get(phoneNumber), code);
+        },
+        prompt: ({ phoneNumber, t }) => t('pin.enterCode', { phoneNumber }),
+        secret: true,
+        validate: async (input, { session, phoneNumber, farmers }) => {
+            const { outcome, attemptsLeft } = await farmers.checkPinCode(phoneNumber, input);
+            if (outcome === 'wrong') return { key: 'pin.codeWrong', params: { attempts: attemptsLeft } };
+            session.farmerData.codeFailed = outcome !== 'ok';
+            return null;
+        },
+        next: ({ session }) => (session.farmerData.codeFailed ? 'PIN_CODE_FAILED' : 'NEW_PIN')
+    },
+
+    PIN_CODE_FAILED: {
+        end: 'pin.codeFailed'
+    },
+
+    PIN_CODE_LOCKED: {
+        end: async ({ phoneNumber, farmers, t }) => {
+            const farmer = await farmers.get(phoneNumber);
+            return t('pin.codeLocked', { minutes: minutesLeft(farmer.codeLockedUntil) });
+        }
+    },
+
+    PIN_CHANGED: {
+        action: async ({ session, phoneNumber, farmers, events }) => {
+            const farmer = await farmers.setPin(phoneNumber, session.farmerData.pinHash, { source: 'ussd' });
+            session.pinVerified = true;
+            events.emit('farmer.pinChanged', farmer, null);
+        },
+        prompt: 'pin.changed',
+        options: [
+            { label: 'pin.continue', next: ({ session }) => session.afterPin || 'MAIN_MENU' }
+        ]
+    },
+
+    PRIVACY_MENU: {
+        prompt: 'privacy.title',
+        options: [
+            { label: 'privacy.sendCopy', next: 'DATA_COPY_SENT' },
+            {
+                label: 'privacy.delete',
+                next: async ({ phoneNumber, privacy }) => ((await privacy.pending(phoneNumber)) ? 'DELETION_PENDING' : 'CONFIRM_DELETION')
+            }
+        ]
+    },
+
+    DATA_COPY_SENT: {
+        action: async ({ phoneNumber, farmers, policies, claims, privacy, events }) => {
+            events.emit('farmer.dataRequested', await farmers.get(phoneNumber),
+                await policies.forFarmer(phoneNumber), await claims.forFarmer(phoneNumber));
+            await privacy.audit('copySent', { phoneNumber, by: 'ussd' });
+        },
+        end: 'privacy.copySent'
+    },
+
+    CONFIRM_DELETION: {
+        prompt: 'privacy.confirmDelete',
+        options: [
+            { label: 'privacy.deleteConfirm', next: 'DELETION_REQUESTED' },
+            { label: 'update.cancel', next: 'DELETION_CANCELLED' }
+        ]
+    },
+
+    // Staff carry out the erasure through the admin API (src/api/privacy)
+    DELETION_REQUESTED: {
+        action: async ({ session, phoneNumber, farmers, privacy, events }) => {
+            const request = await privacy.requestErasure(phoneNumber, { via: 'ussd' });
+            session.farmerData.requestId = request.id;
+            events.emit('farmer.erasureRequested', await farmers.get(phoneNumber), request);
+        },
+        end: ({ session, t }) => t('privacy.deleteRequested', { id: session.farmerData.requestId })
+    },
+
+    DELETION_PENDING: {
+        end: async ({ phoneNumber, privacy, t }) => t('privacy.deletePending', { id: (await privacy.pending(phoneNumber)).id })
+    },
+
+    DELETION_CANCELLED: {
+        end: 'privacy.deleteCancelled'
+    },
+
+    NOT_REGISTERED: {
+        end: 'status.notRegistered'
+    },
+
+    EXIT: {
+        end: 'exit.goodbye'
+    }
+};
+
+module.exports = { screens, entry, COUNTIES, CROPS };
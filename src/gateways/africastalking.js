@@ -0,0 +1,24 @@
+/**
+ * Africa's Talking USSD callbacks on POST /ussd
+ *
+ * Form-encoded sessionId, phoneNumber, serviceCode and text, where text is
+ * every input of the session joined with "*" ("" on the first request).
+ * Replies are plain text starting with "CON " (wait for input) or "END ".
+ */
+
+const name = 'africastalking';
+const route = '/ussd';
+
+function parse(req) {
+    const { sessionId, phoneNumber, text = '' } = req.body || {};
+    if (!sessionId || !phoneNumber) return null;
+    const inputs = text === '' ? [] : String(text).split('*');
+    return { sessionId, phoneNumber, start: inputs.length === 0, hangup: false, inputs, cumulative: true };
+}
+
+function render(res, { end, text }) {
+    res.set('Content-Type', 'text/plain');
+    res.send(`${end ? 'END' : 'CON'} ${text}`);
+}
+
+module.exports = { name, route, parse, render };
@@ -0,0 +1,56 @@
+/**
+ * Beem Africa USSD callbacks on POST /ussd/beem
+ *
+ * Requests are JSON and carry only the latest input:
+ *
+ *   { "command": "initiate" | "continue" | "terminate", "msisdn": "255712345678",
+ *     "session_id": "...", "operator": "vodacom",
+ *     "payload": { "request_id": 0, "response": "2" } }
+ *
+ * A request that times out is sent again with the same request_id.
+ *
+ * The reply echoes the session and says whether to keep it open:
+ *
+ *   { "msisdn": ..., "operator": ..., "session_id": ...,
+ *     "command": "continue" | "terminate",
+ *     "payload": { "request_id": ..., "request": "<screen text>" } }
+ */
+
+const name = 'beem';
+const route = '/ussd/beem';
+
+const COMMANDS = ['initiate', 'continue', 'terminate'];
+
+function parse(req) {
+    const body = req.body || {};
+    const payload = body.payload || {};
+    if (!body.session_id || !body.msisdn || !COMMANDS.includes(body.command)) return null;
+
+    const hasInput = body.command === 'continue' && payload.response !== undefined && payload.response !== null;
+    const inputs = hasInput ? [String(payload.response)] : [];
+    return {
+        sessionId: String(body.session_id),
+        phoneNumber: body.msisdn,
+        start: body.command === 'initiate',
+        hangup: body.command === 'terminate',
+        inputs,
+        cumulative: false,
+        // Beem retries a request with the same id; its input is applied once
+        requestId: payload.request_id === undefined || payload.request_id === null ? null : String(payload.request_id),
+        // echoed back in the reply
+        reply: { msisdn: body.msisdn, operator: body.operator, session_id: body.session_id, request_id: payload.request_id }
+    };
+}
+
+function render(res, { end, text }, event) {
+    const { reply = {} } = event || {};
+    res.json({
+        msisdn: reply.msisdn,
+        operator: reply.operator,
+        session_id: reply.session_id,
+        command: end ? 'terminate' : 'continue',
+        payload: { request_id: reply.request_id, request: text }
+    });
+}
+
+module.exports = { name, route, parse, render };
@@ -0,0 +1,27 @@
+/**
+ * USSD gateway adapters
+ *
+ * Each aggregator posts its own request format and expects its own reply.
+ * An adapter translates both ways so the flow never knows which gateway a
+ * session came through:
+ *
+ *   route                   where the gateway posts its callbacks
+ *   parse(req)           -> { sessionId, phoneNumber, start, hangup, inputs, cumulative, requestId }
+ *                           or null when the body is not one of its requests
+ *   render(res, result, event)
+ *                           send { end, text } in the gateway's format
+ *
+ * `inputs` are what the request carries: the whole `*`-joined history for
+ * cumulative gateways (only the part a session has not consumed is new), or
+ * just the latest entry for incremental ones. `start` marks the dial that
+ * opens a session, `hangup` a gateway telling us the caller has gone.
+ * Incremental gateways give each request a `requestId` so a retried request
+ * is not applied twice; cumulative ones need none, the input count tells.
+ */
+
+const africastalking = require('./africastalking');
+const beem = require('./beem');
+
+const GATEWAYS = { africastalking, beem };
+
+module.exports = { GATEWAYS };
@@ -0,0 +1,80 @@
+/**
+ * Message catalog
+ *
+ * Every locale is a flat JSON file in ./locales named by its language code
+ * (en.json, sw.json, ...). Adding a language means adding a file - it shows
+ * up in the language picker using its own "language.name" entry.
+ *
+ * English is the reference catalog: a key missing from another language
+ * falls back to English, and checkCatalogs() lists the gaps so they can be
+ * reported at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'en';
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+const catalogs = loadCatalogs();
+
+function loadCatalogs() {
+    const loaded = {};
+    fs.readdirSync(LOCALES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            loaded[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+        });
+    if (!loaded[DEFAULT_LANGUAGE]) {
+        throw new Error(`Missing default catalog ${DEFAULT_LANGUAGE}.json in ${LOCALES_DIR}`);
+    }
+    return loaded;
+}
+
+/**
+ * Look up a message and fill in {placeholders}
+ */
+function translate(language, key, params = {}) {
+    const catalog = catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+    let message = catalog[key];
+    if (message === undefined) message = catalogs[DEFAULT_LANGUAGE][key];
+    if (message === undefined) return key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Translator bound to a language; `language` may be a function so the
+ * translator follows a session whose language changes mid-flow
+ */
+function translator(language) {
+    return (key, params) => translate(typeof language === 'function' ? language() : language, key, params);
+}
+
+function isSupported(language) {
+    return Boolean(language && catalogs[language]);
+}
+
+/**
+ * Available languages, default first: [{ code, name }]
+ */
+function languages() {
+    return Object.keys(catalogs)
+        .sort((a, b) => (a === DEFAULT_LANGUAGE ? -1 : b === DEFAULT_LANGUAGE ? 1 : a.localeCompare(b)))
+        .map(code => ({ code, name: catalogs[code]['language.name'] || code }));
+}
+
+/**
+ * Keys present in the default catalog but missing from each other language
+ */
+function checkCatalogs() {
+    const reference = Object.keys(catalogs[DEFAULT_LANGUAGE]);
+    const missing = {};
+    Object.keys(catalogs).forEach(code => {
+        if (code === DEFAULT_LANGUAGE) return;
+        const gaps = reference.filter(key => catalogs[code][key] === undefined);
+        if (gaps.length) missing[code] = gaps;
+    });
+    return missing;
+}
+
+module.exports = { DEFAULT_LANGUAGE, translate, translator, isSupported, languages, checkCatalogs };
@@ -0,0 +1,141 @@
+/**
+ * Crop loss claims against active policies
+ *
+ * Stored in the "claims" collection keyed by claim reference:
+ *   { id, phoneNumber, policyId, plotId, crop, cause, lossPercent, lossDate,
+ *     status, payoutAmount, note, history: [{ status, at, by, note }],
+ *     createdAt, updatedAt }
+ *
+ * A claim moves through CLAIM_STATUSES along TRANSITIONS only:
+ *   submitted -> underReview -> approved -> paid
+ *        \\             \\
+ *         `-> rejected  `-> rejected
+ *
+ * Changes to a claim run under a per-claim lock (see src/storage/lock), so
+ * two status changes sent at once cannot both pass the transition check.
+ */
+
+const { newReference } = require('./references');
+const { keyedLock } = require('../storage/lock');
+
+const CLAIM_STATUSES = ['submitted', 'underReview', 'approved', 'paid', 'rejected'];
+
+const TRANSITIONS = {
+    submitted: ['underReview', 'rejected'],
+    underReview: ['approved', 'rejected'],
+    approved: ['paid'],
+    paid: [],
+    rejected: []
+};
+
+const CAUSES = ['drought', 'flood', 'pests', 'disease', 'hail', 'other'];
+
+/**
+ * A status change that TRANSITIONS does not allow
+ */
+class ClaimTransitionError extends Error {
+    constructor(claim, status) {
+        super(`Claim ${claim.id} cannot move from ${claim.status} to ${status}`);
+        this.name = 'ClaimTransitionError';
+        this.allowed = TRANSITIONS[claim.status];
+    }
+}
+
+class ClaimRepository {
+    constructor(collection) {
+        this.collection = collection;
+        this.lock = keyedLock();
+    }
+
+    static async open(storage) {
+        return new ClaimRepository(await storage.collection('claims'));
+    }
+
+    get(id) {
+        return this.collection.get(String(id).toUpperCase());
+    }
+
+    /**
+     * Submit a claim against `policy`
+     */
+    async create(policy, { cause, lossPercent, lossDate }, { by = 'farmer' } = {}) {
+        const id = await newReference(this.collection, 'CL');
+        const now = new Date().toISOString();
+        return this.collection.put(id, {
+            id,
+            phoneNumber: policy.phoneNumber,
+            policyId: policy.id,
+            plotId: policy.plotId,
+            crop: policy.crop,
+            cause,
+            lossPercent,
+            lossDate,
+            status: 'submitted',
+            payoutAmount: null,
+            note: null,
+            history: [{ status: 'submitted', at: now, by, note: null }],
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Move a claim to `status`, throwing ClaimTransitionError if that is not
+     * the next step; `payoutAmount` is kept from approval on
+     */
+    transition(id, status, { by = 'system', note = null, payoutAmount } = {}) {
+        return this.lock(String(id).toUpperCase(), async () => {
+            const claim = await this.get(id);
+            if (!claim) return null;
+            if (!TRANSITIONS[claim.status].includes(status)) {
+                throw new ClaimTransitionError(claim, status);
+            }
+            const now = new Date().toISOString();
+            return this.collection.put(claim.id, {
+                ...claim,
+                status,
+                payoutAmount: payoutAmount !== undefined ? payoutAmount : claim.payoutAmount,
+                note: note || claim.note,
+                history: [...claim.history, { status, at: now, by, note }],
+                updatedAt: now
+            });
+        });
+    }
+
+    /**
+     * A farmer's claims, newest first
+     */
+    async forFarmer(phoneNumber) {
+        return this.list({ phoneNumber });
+    }
+
+    /**
+     * Claims, newest first, optionally filtered by farmer, policy or status
+     */
+    async list({ phoneNumber, policyId, status } = {}) {
+        const claims = await this.collection.values();
+        return claims
+            .filter(claim => !phoneNumber || claim.phoneNumber === phoneNumber)
+            .filter(claim => !policyId || claim.policyId === policyId)
+            .filter(claim => !status || claim.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Put `pseudonym` in place of a farmer's phone number on all their
+     * claims (see src/privacy/subject); resolves how many changed
+     */
+    async anonymize(phoneNumber, pseudonym) {
+        const claims = await this.list({ phoneNumber });
+        const now = new Date().toISOString();
+        for (const { id } of claims) {
+            await this.lock(id, async () => {
+                const claim = await this.get(id);
+                await this.collection.put(id, { ...claim, phoneNumber: pseudonym, updatedAt: now });
+            });
+        }
+        return claims.length;
+    }
+}
+
+module.exports = { ClaimRepository, ClaimTransitionError, CLAIM_STATUSES, TRANSITIONS, CAUSES };
@@ -0,0 +1,137 @@
+/**
+ * Insurance policies - one record per plot and product a farmer enrolled
+ *
+ * Stored in the "policies" collection keyed by policy number:
+ *   { id, phoneNumber, plotId, productId, productName, crop, season, county,
+ *     acreage, currency, premium, sumInsured, triggers, coverageStart,
+ *     coverageEnd, status, paymentId, receipt, paidAt, createdAt, updatedAt }
+ * A policy is `pending` until its premium is paid (see ./premiums), then
+ * `active`; either is reported as `expired` once coverageEnd has passed.
+ * phoneNumber and plotId link the policy to the farmer record. Product
+ * details, weather triggers included, are copied in, so editing the
+ * catalogue later never changes a policy that was already sold.
+ *
+ * Changes to a policy run under a per-policy lock (see src/storage/lock),
+ * so a premium paid twice at once activates it only once.
+ */
+
+const { currency, productName, quote, coveragePeriod } = require('./products');
+const { newReference } = require('./references');
+const { keyedLock } = require('../storage/lock');
+const { DEFAULT_LANGUAGE } = require('../i18n');
+
+class PolicyRepository {
+    constructor(collection) {
+        this.collection = collection;
+        this.lock = keyedLock();
+    }
+
+    static async open(storage) {
+        return new PolicyRepository(await storage.collection('policies'));
+    }
+
+    get(id) {
+        return this.collection.get(String(id).toUpperCase());
+    }
+
+    /**
+     * Enroll a farmer's plot in a product; `offer` comes from offersFor()
+     */
+    async create(farmer, { product, plot, crop, season }, { now = new Date() } = {}) {
+        const { premium, sumInsured } = quote(product, plot.acreage);
+        const coverage = coveragePeriod(season, now);
+        const id = await newReference(this.collection, 'MC');
+        return this.collection.put(id, {
+            id,
+            phoneNumber: farmer.phoneNumber,
+            plotId: plot.id,
+            productId: product.id,
+            productName: productName(product, DEFAULT_LANGUAGE),
+            crop,
+            season,
+            county: plot.county,
+            acreage: plot.acreage,
+            currency: currency(),
+            premium,
+            sumInsured,
+            triggers: product.triggers || [],
+            coverageStart: coverage.start,
+            coverageEnd: coverage.end,
+            status: 'pending',
+            paymentId: null,
+            receipt: null,
+            paidAt: null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        });
+    }
+
+    /**
+     * A farmer's policies, newest first; policies past their coverage end are
+     * reported as expired
+     */
+    async forFarmer(phoneNumber, { today = new Date() } = {}) {
+        const policies = (await this.collection.values()).filter(policy => policy.phoneNumber === phoneNumber);
+        return policies
+            .map(policy => withCurrentStatus(policy, today))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Pending or active policy already covering this plot with this product
+     */
+    async covering(phoneNumber, plotId, productId) {
+        const policies = await this.forFarmer(phoneNumber);
+        return policies.find(policy => policy.plotId === plotId && policy.productId === productId
+            && ['pending', 'active'].includes(policy.status)) || null;
+    }
+
+    /**
+     * Activate a pending policy once its premium is paid; resolves null if
+     * there is no such policy or it is not waiting for payment
+     */
+    markPaid(id, payment) {
+        return this.lock(String(id).toUpperCase(), async () => {
+            const policy = await this.get(id);
+            if (!policy || policy.status !== 'pending') return null;
+            const now = new Date().toISOString();
+            return this.collection.put(policy.id, {
+                ...policy,
+                status: 'active',
+                paymentId: payment.id,
+                receipt: payment.receipt,
+                paidAt: now,
+                updatedAt: now
+            });
+        });
+    }
+
+    async list() {
+        return (await this.collection.values()).map(policy => withCurrentStatus(policy, new Date()));
+    }
+
+    /**
+     * Put `pseudonym` in place of a farmer's phone number on all their
+     * policies (see src/privacy/subject); resolves how many changed
+     */
+    async anonymize(phoneNumber, pseudonym) {
+        const policies = (await this.collection.values()).filter(policy => policy.phoneNumber === phoneNumber);
+        const now = new Date().toISOString();
+        for (const { id } of policies) {
+            await this.lock(id, async () => {
+                const policy = await this.get(id);
+                await this.collection.put(id, { ...policy, phoneNumber: pseudonym, updatedAt: now });
+            });
+        }
+        return policies.length;
+    }
+}
+
+function withCurrentStatus(policy, today) {
+    if (['pending', 'active'].includes(policy.status) && policy.coverageEnd < today.toISOString().slice(0, 10)) {
+        return { ...policy, status: 'expired' };
+    }
+    return policy;
+}
+
+module.exports = { PolicyRepository };
@@ -0,0 +1,56 @@
+/**
+ * Premium payments for insurance policies
+ *
+ * requestPremium() starts a mobile money checkout for a pending policy.
+ * registerPremiumPayments() listens for the result and activates the policy,
+ * then re-emits the outcome with the policy and farmer attached:
+ *   policy.paid          (policy, payment, farmer)
+ *   policy.paymentFailed (policy, payment, farmer)   failed or timed out
+ */
+
+const { logger } = require('../logging');
+
+function requestPremium(payments, policy) {
+    return payments.request({
+        phoneNumber: policy.phoneNumber,
+        amount: policy.premium,
+        currency: policy.currency,
+        reference: policy.id,
+        description: 'Premium',
+        purpose: { type: 'policy', id: policy.id }
+    });
+}
+
+/**
+ * Latest premium payment for a policy that is still waiting for the farmer
+ */
+async function pendingPremium(payments, policy) {
+    const [latest] = await payments.list({ purpose: { type: 'policy', id: policy.id } });
+    return latest && latest.status === 'pending' ? latest : null;
+}
+
+function registerPremiumPayments(events, { farmers, policies }) {
+    const forPolicy = handler => payment => {
+        if (!payment.purpose || payment.purpose.type !== 'policy') return;
+        handler(payment).catch(error => logger.error('Premium payment not applied', { paymentId: payment.id, error }));
+    };
+
+    events.on('payment.succeeded', forPolicy(async payment => {
+        const policy = await policies.markPaid(payment.purpose.id, payment);
+        if (!policy) {
+            logger.warn('Payment received for a policy that was not waiting for payment', { paymentId: payment.id, policyId: payment.purpose.id });
+            return;
+        }
+        events.emit('policy.paid', policy, payment, await farmers.get(policy.phoneNumber));
+    }));
+
+    const failed = forPolicy(async payment => {
+        const policy = await policies.get(payment.purpose.id);
+        if (!policy || policy.status !== 'pending') return;
+        events.emit('policy.paymentFailed', policy, payment, await farmers.get(policy.phoneNumber));
+    });
+    events.on('payment.failed', failed);
+    events.on('payment.timeout', failed);
+}
+
+module.exports = { requestPremium, pendingPremium, registerPremiumPayments };
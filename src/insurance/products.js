@@ -0,0 +1,179 @@
+/**
+ * Crop insurance products
+ *
+ * Products are data, not menus: they are read from products.json (or the
+ * file named by INSURANCE_PRODUCTS_FILE) and the enrollment screens list
+ * whatever applies to a farmer's plots. A product:
+ *   { id, name: { en, sw, ... }, crops, counties, seasons,
+ *     premiumPerAcre, sumInsuredPerAcre, triggers }
+ * An empty `counties` list means the product is sold everywhere. `seasons`
+ * are plot seasons (see src/farmers/plots); the catalogue's `seasons` map
+ * says when each one is covered:
+ *   { startMonth, months }   covered from the 1st of startMonth for `months`
+ *   { months }               covered for `months` from the day of enrollment
+ * `triggers` are the weather events that pay out (see src/weather/triggers).
+ *
+ * The catalogue is checked on load so a typo fails at startup, not halfway
+ * through a farmer's session.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE } = require('../i18n');
+const locations = require('../locations');
+const { SEASONS } = require('../farmers/plots');
+const { checkTriggers } = require('../weather/triggers');
+
+const DEFAULT_FILE = path.join(__dirname, 'products.json');
+
+const catalogue = loadCatalogue(process.env.INSURANCE_PRODUCTS_FILE || DEFAULT_FILE);
+
+function loadCatalogue(file) {
+    const loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = checkCatalogue(loaded);
+    if (problems.length) {
+        throw new Error(`Invalid insurance products in ${file}:\n  ${problems.join('\n  ')}`);
+    }
+    return loaded;
+}
+
+/**
+ * Everything wrong with a catalogue, as readable lines
+ */
+function checkCatalogue({ currency, seasons = {}, products = [] }) {
+    const problems = [];
+    if (!currency) problems.push('currency is missing');
+    Object.entries(seasons).forEach(([season, period]) => {
+        if (!SEASONS.includes(season)) problems.push(`unknown season "${season}"`);
+        if (!(period.months > 0)) problems.push(`season ${season} needs a number of months`);
+        if (period.startMonth !== undefined && !(period.startMonth >= 1 && period.startMonth <= 12)) {
+            problems.push(`season ${season} has startMonth outside 1-12`);
+        }
+    });
+
+    const ids = new Set();
+    products.forEach((product, index) => {
+        const label = product.id || `#${index + 1}`;
+        if (!product.id) problems.push(`product ${label} has no id`);
+        if (ids.has(product.id)) problems.push(`product id ${product.id} is used twice`);
+        ids.add(product.id);
+        if (!product.name || !product.name[DEFAULT_LANGUAGE]) problems.push(`product ${label} has no ${DEFAULT_LANGUAGE} name`);
+        if (!Array.isArray(product.crops) || !product.crops.length) problems.push(`product ${label} lists no crops`);
+        (product.counties || []).filter(county => !locations.findCounty(county))
+            .forEach(county => problems.push(`product ${label} has unknown county "${county}"`));
+        if (!Array.isArray(product.seasons) || !product.seasons.length) problems.push(`product ${label} lists no seasons`);
+        (product.seasons || []).filter(season => !seasons[season])
+            .forEach(season => problems.push(`product ${label} uses season "${season}" with no coverage period`));
+        ['premiumPerAcre', 'sumInsuredPerAcre'].filter(field => !(product[field] > 0))
+            .forEach(field => problems.push(`product ${label} needs a positive ${field}`));
+        problems.push(...checkTriggers(label, product.triggers));
+    });
+    return problems;
+}
+
+function currency() {
+    return catalogue.currency;
+}
+
+function products() {
+    return catalogue.products;
+}
+
+function findProduct(id) {
+    return catalogue.products.find(product => product.id === id) || null;
+}
+
+function productName(product, language) {
+    return product.name[language] || product.name[DEFAULT_LANGUAGE];
+}
+
+function sameName(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Products a farmer can buy: one offer per plot and product whose crop the
+ * plot grows, in a county the product covers.
+ *   [{ product, plot, crop, season }]
+ * Crops without a season (migrated records) take the product's first one.
+ */
+function offersFor(farmer) {
+    const offers = [];
+    (farmer.plots || []).forEach(plot => {
+        catalogue.products.forEach(product => {
+            const counties = product.counties || [];
+            if (counties.length && !counties.some(county => sameName(county, plot.county))) return;
+            const grown = plot.crops.find(entry => product.crops.some(crop => sameName(crop, entry.crop))
+                && (!entry.season || product.seasons.includes(entry.season)));
+            if (!grown) return;
+            offers.push({ product, plot, crop: grown.crop, season: grown.season || product.seasons[0] });
+        });
+    });
+    return offers;
+}
+
+/**
+ * "KES 1,250"
+ */
+function formatAmount(amount) {
+    return `${catalogue.currency} ${Number(amount).toLocaleString('en-US')}`;
+}
+
+/**
+ * Premium and sum insured for `acreage` acres, in whole currency units
+ */
+function quote(product, acreage) {
+    return {
+        premium: Math.round(product.premiumPerAcre * acreage),
+        sumInsured: Math.round(product.sumInsuredPerAcre * acreage)
+    };
+}
+
+/**
+ * Coverage for a season bought on `from`: the rest of the season if it has
+ * started, otherwise the next one. Dates are YYYY-MM-DD (UTC).
+ */
+function coveragePeriod(season, from = new Date()) {
+    const period = catalogue.seasons[season];
+    const today = startOfDay(from);
+    if (period.startMonth === undefined) {
+        const end = addMonths(today, period.months);
+        end.setUTCDate(end.getUTCDate() - 1);
+        return { start: isoDate(today), end: isoDate(end) };
+    }
+    // Seasons may run into the next year, so last year's can still be open
+    for (let year = today.getUTCFullYear() - 1; ; year++) {
+        const start = new Date(Date.UTC(year, period.startMonth - 1, 1));
+        const end = new Date(Date.UTC(year, period.startMonth - 1 + period.months, 0));
+        if (end >= today) {
+            return { start: isoDate(start > today ? start : today), end: isoDate(end) };
+        }
+    }
+}
+
+function startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+}
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    loadCatalogue,
+    checkCatalogue,
+    currency,
+    formatAmount,
+    products,
+    findProduct,
+    productName,
+    offersFor,
+    quote,
+    coveragePeriod
+};
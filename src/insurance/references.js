@@ -0,0 +1,23 @@
+/**
+ * Short reference numbers that farmers read out over the phone
+ *
+ * A prefix plus six characters without look-alikes (no 0/O, 1/I):
+ * "MC3RHKBV" for policies, "CL7TQ2XA" for claims.
+ */
+
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * A reference not yet used as a key in `collection`
+ */
+async function newReference(collection, prefix) {
+    for (;;) {
+        const bytes = crypto.randomBytes(6);
+        const reference = `${prefix}${Array.from(bytes, byte => ALPHABET[byte % ALPHABET.length]).join('')}`;
+        if (!(await collection.get(reference))) return reference;
+    }
+}
+
+module.exports = { newReference };
@@ -0,0 +1,127 @@
+/**
+ * Kenyan administrative locations: county -> sub-county -> ward
+ *
+ * Backed by kenya.json, which lists all 47 counties with their sub-counties
+ * (constituencies). Ward lists are bundled per sub-county where we have
+ * them; an empty list means the ward is typed in by the farmer.
+ *
+ * Lookups ignore case, punctuation and a trailing "county", so "nakuru",
+ * "Nakuru County" and "NAKURU" all resolve to "Nakuru". matchCounty() also
+ * forgives small typos ("Nakru") when exactly one county is that close.
+ */
+
+const dataset = require('./kenya.json');
+
+const COUNTIES = dataset.counties;
+
+function normalize(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/\bcounty\b/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+function counties() {
+    return COUNTIES.map(county => county.name);
+}
+
+function findCounty(name) {
+    const key = normalize(name);
+    return COUNTIES.find(county => normalize(county.name) === key) || null;
+}
+
+function subCounties(countyName) {
+    const county = findCounty(countyName);
+    return county ? county.subCounties.map(subCounty => subCounty.name) : [];
+}
+
+function wards(countyName, subCountyName) {
+    const county = findCounty(countyName);
+    if (!county) return [];
+    const key = normalize(subCountyName);
+    const subCounty = county.subCounties.find(entry => normalize(entry.name) === key);
+    return subCounty ? subCounty.wards : [];
+}
+
+/**
+ * Names from `names` that start with the typed letters
+ */
+function startingWith(names, prefix) {
+    const key = normalize(prefix);
+    if (!key) return [];
+    return names.filter(name => normalize(name).startsWith(key));
+}
+
+/**
+ * Best canonical name for free text: exact, then unique prefix, then the
+ * single closest name within a small edit distance. Returns null when the
+ * text is ambiguous or too far from every name.
+ */
+function closest(names, text) {
+    const key = normalize(text);
+    if (!key) return null;
+
+    const exact = names.find(name => normalize(name) === key);
+    if (exact) return exact;
+
+    const prefixed = startingWith(names, text);
+    if (prefixed.length === 1) return prefixed[0];
+
+    const tolerance = Math.max(1, Math.floor(key.length / 4));
+    let best = null;
+    let bestDistance = Infinity;
+    let tied = false;
+    names.forEach(name => {
+        const distance = editDistance(key, normalize(name));
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+            tied = false;
+        } else if (distance === bestDistance) {
+            tied = true;
+        }
+    });
+    return bestDistance <= tolerance && !tied ? best : null;
+}
+
+function matchCounty(text) {
+    return closest(counties(), text);
+}
+
+function matchSubCounty(countyName, text) {
+    return closest(subCounties(countyName), text);
+}
+
+function matchWard(countyName, subCountyName, text) {
+    return closest(wards(countyName, subCountyName), text);
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+module.exports = {
+    counties,
+    findCounty,
+    subCounties,
+    wards,
+    startingWith,
+    matchCounty,
+    matchSubCounty,
+    matchWard
+};
@@ -0,0 +1,133 @@
+/**
+ * Structured logging: one JSON object per line on stdout
+ *
+ *   {"time":"2026-10-19T09:12:03.114Z","level":"info","msg":"USSD request",
+ *    "requestId":"5f0c…","sessionId":"ATUid_1","phoneNumber":"+*********678",...}
+ *
+ * LOG_LEVEL is debug, info (default), warn, error or silent. Masking is
+ * automatic: fields that hold phone numbers keep their last three digits
+ * (see src/privacy/redact), fields that hold names keep only initials, and
+ * runs of 9 or more digits in any other string are masked as phone numbers.
+ * Errors are logged with their name, message and stack.
+ *
+ * Fields set with withContext() or addContext() appear on every line logged
+ * while handling that request, however deep the call - this is how the
+ * request id and the USSD session id reach lines logged by the flow,
+ * repositories and providers.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { maskPhone } = require('../privacy/redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const PHONE_FIELDS = ['phoneNumber', 'phone', 'msisdn', 'to', 'callerNumber', 'farmerPhoneNumber', 'agentPhoneNumber', 'registeredBy'];
+const NAME_FIELDS = ['name', 'farmerName', 'agentName', 'fullName'];
+
+// A phone number written anywhere in a string: "+254712345678", "0712345678"
+const PHONE_PATTERN = /(?<![\w.])\+?\d{9,15}(?![\w.])/g;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * "Jane Wanjiku" -> "J. W."
+ */
+function initials(name) {
+    return String(name).split(/\s+/).filter(Boolean).map(part => `${part[0]}.`).join(' ');
+}
+
+function maskText(text) {
+    return text.replace(PHONE_PATTERN, maskPhone);
+}
+
+/**
+ * A copy of a logged value that is safe to write out
+ */
+function redact(value, field, depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (value instanceof Error) {
+        return { name: value.name, message: maskText(value.message), stack: value.stack && maskText(value.stack) };
+    }
+    if (PHONE_FIELDS.includes(field) && typeof value !== 'object') return maskPhone(value);
+    if (NAME_FIELDS.includes(field) && typeof value === 'string') return initials(value);
+    if (typeof value === 'string') return maskText(value);
+    if (typeof value !== 'object') return value;
+    if (depth > 4) return '[…]';
+    if (Array.isArray(value)) return value.map(item => redact(item, field, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, key, depth + 1)]));
+}
+
+class Logger {
+    constructor({ level = process.env.LOG_LEVEL || 'info', write = line => process.stdout.write(line), fields = {} } = {}) {
+        if (LEVELS[level] === undefined) {
+            throw new Error(`Unknown log level "${level}" (expected: ${Object.keys(LEVELS).join(', ')})`);
+        }
+        this.level = level;
+        this.write = write;
+        this.fields = fields;
+    }
+
+    /**
+     * A logger that adds `fields` to every line
+     */
+    child(fields) {
+        return new Logger({ level: this.level, write: this.write, fields: { ...this.fields, ...fields } });
+    }
+
+    /**
+     * `fields` may be an Error, or an object that can hold one as `error`
+     */
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const line = {
+            time: new Date().toISOString(),
+            level,
+            msg: maskText(String(msg)),
+            ...redact({ ...context.getStore(), ...this.fields, ...extra })
+        };
+        this.write(`${JSON.stringify(line)}\n`);
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+
+    info(msg, fields) { this.log('info', msg, fields); }
+
+    warn(msg, fields) { this.log('warn', msg, fields); }
+
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+/**
+ * Run `fn` with `fields` on every line it logs
+ */
+function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Add fields to the current context (e.g. the session id once it is known)
+ */
+function addContext(fields) {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+/**
+ * Express middleware giving each request an id: the caller's X-Request-Id
+ * when it is sensible, else a new one. It is echoed in the response and
+ * logged as `requestId`.
+ */
+function requestContext() {
+    return (req, res, next) => {
+        const given = req.get('x-request-id');
+        const requestId = given && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomUUID();
+        res.set('X-Request-Id', requestId);
+        withContext({ requestId }, next);
+    };
+}
+
+module.exports = { LEVELS, Logger, logger, withContext, addContext, requestContext, redact };
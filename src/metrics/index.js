@@ -0,0 +1,36 @@
+/**
+ * USSD metrics, served in Prometheus text format on GET /metrics
+ *
+ *   ussd_requests_total{gateway,stage,type}      requests answered, by the screen
+ *                                                shown and CON/END
+ *   ussd_request_duration_seconds{stage}         time to answer, by screen shown
+ *   ussd_timeouts_total{gateway}                 requests the 25-second guard answered
+ *   ussd_sessions_started_total{gateway}         dials
+ *   ussd_sessions_ended_total{stage}             sessions closed by an END screen
+ *   ussd_sessions_expired_total                  requests for a session the store
+ *                                                had already expired (TTL)
+ *   ussd_invalid_inputs_total{screen}            inputs a screen rejected
+ *
+ * index.js adds gauges read at scrape time (registered farmers, active
+ * sessions). Stage labels are screen ids, so their number stays bounded.
+ */
+
+const { CONTENT_TYPE, Registry } = require('./registry');
+
+// Seconds; the gateway gives up after about 30
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25];
+
+function createUssdMetrics(registry = new Registry()) {
+    return {
+        registry,
+        requests: registry.counter('ussd_requests_total', 'USSD requests answered, by the screen shown', ['gateway', 'stage', 'type']),
+        duration: registry.histogram('ussd_request_duration_seconds', 'Time to answer a USSD request, by the screen shown', ['stage'], { buckets: DURATION_BUCKETS }),
+        timeouts: registry.counter('ussd_timeouts_total', 'USSD requests answered by the response timeout guard', ['gateway']),
+        sessionsStarted: registry.counter('ussd_sessions_started_total', 'USSD sessions started', ['gateway']),
+        sessionsEnded: registry.counter('ussd_sessions_ended_total', 'USSD sessions closed by an END screen, by that screen', ['stage']),
+        sessionsExpired: registry.counter('ussd_sessions_expired_total', 'Requests for a USSD session the store had already expired'),
+        invalidInputs: registry.counter('ussd_invalid_inputs_total', 'Inputs rejected by a screen', ['screen'])
+    };
+}
+
+module.exports = { CONTENT_TYPE, Registry, createUssdMetrics };
@@ -0,0 +1,187 @@
+/**
+ * USSD journeys: the screens each session passed through, for the funnel
+ *
+ * One record per session in the "ussd-journeys" collection, keyed by the
+ * gateway's session id:
+ *   { sessionId, gateway, day, county, startedAt, lastActivity, stages,
+ *     lastStage, outcome }
+ * `stages` lists the screens shown, first visit order. `county` is the
+ * county the farmer picked during registration, or the registered farmer's
+ * county. `outcome` is "ended" when an END screen closed the session,
+ * "hangup" when the gateway reported the caller gone, and null while the
+ * session is open. An open session idle for longer than the session
+ * timeout was abandoned at its last stage.
+ *
+ * Journeys hold no phone number or answers, so they need no erasure.
+ * Days are calendar days in Kenyan time. Journeys idle for longer than
+ * JOURNEY_RETENTION_DAYS (default 90) are deleted by a daily sweep, so the
+ * report covers at most that far back.
+ */
+
+const { keyedLock } = require('../storage/lock');
+const { logger } = require('../logging');
+
+const TIME_ZONE = 'Africa/Nairobi';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * "YYYY-MM-DD" of a timestamp in Kenyan time
+ */
+function dayOf(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+class Journeys {
+    constructor(collection, { sessionTimeout, retentionDays = Number(process.env.JOURNEY_RETENTION_DAYS) || 90, sweepInterval = DAY }) {
+        this.collection = collection;
+        this.sessionTimeout = sessionTimeout;
+        this.retentionDays = retentionDays;
+        this.sweepInterval = sweepInterval;
+        // Requests of one session may be recorded out of step with each other
+        this.lock = keyedLock();
+        this.timer = null;
+        this.sweeping = null;
+    }
+
+    static async open(storage, options) {
+        return new Journeys(await storage.collection('ussd-journeys'), options);
+    }
+
+    /**
+     * Note the screen a session is on after a request
+     */
+    record(sessionId, { gateway, stage, county, ended = false, hangup = false, now = Date.now() }) {
+        return this.lock(sessionId, async () => {
+            const journey = (await this.collection.get(sessionId)) || {
+                sessionId,
+                gateway,
+                day: dayOf(now),
+                county: null,
+                startedAt: new Date(now).toISOString(),
+                lastActivity: null,
+                stages: [],
+                lastStage: null,
+                outcome: null
+            };
+            const stages = stage && !journey.stages.includes(stage) ? [...journey.stages, stage] : journey.stages;
+            return this.collection.put(sessionId, {
+                ...journey,
+                county: county || journey.county,
+                lastActivity: new Date(now).toISOString(),
+                stages,
+                lastStage: stage || journey.lastStage,
+                outcome: ended ? (hangup ? 'hangup' : 'ended') : journey.outcome
+            });
+        });
+    }
+
+    /**
+     * Delete journeys idle for longer than the retention period; resolves
+     * how many
+     */
+    async prune(now = Date.now()) {
+        const cutoff = new Date(now - this.retentionDays * DAY).toISOString();
+        let pruned = 0;
+        for (const { sessionId } of await this.collection.values()) {
+            await this.lock(sessionId, async () => {
+                const journey = await this.collection.get(sessionId);
+                if (!journey || journey.lastActivity >= cutoff) return;
+                await this.collection.delete(sessionId);
+                pruned++;
+            });
+        }
+        return pruned;
+    }
+
+    /**
+     * Prune now and then once per sweep interval
+     */
+    start() {
+        const sweep = () => {
+            this.sweeping = this.prune()
+                .then(pruned => pruned && logger.info('Old USSD journeys deleted', { pruned }))
+                .catch(error => logger.error('Journey sweep failed', error));
+        };
+        clearInterval(this.timer);
+        sweep();
+        this.timer = setInterval(sweep, this.sweepInterval);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop sweeping; resolves once a sweep in progress has finished
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.sweeping;
+    }
+
+    /**
+     * "ended", "abandoned" or "active" for a journey at `now`
+     */
+    status(journey, now = Date.now()) {
+        if (journey.outcome === 'ended') return 'ended';
+        if (journey.outcome === 'hangup') return 'abandoned';
+        return now - Date.parse(journey.lastActivity) > this.sessionTimeout ? 'abandoned' : 'active';
+    }
+
+    /**
+     * Journeys started between two days (inclusive), optionally in one county
+     */
+    async list({ from, to, county } = {}) {
+        return (await this.collection.values())
+            .filter(journey => (!from || journey.day >= from) && (!to || journey.day <= to))
+            .filter(journey => !county || (journey.county || 'unknown').toLowerCase() === county.toLowerCase());
+    }
+
+    /**
+     * How many sessions reached each stage and where they were abandoned,
+     * overall, per county and per day
+     */
+    async funnel({ from, to, county, now = Date.now() } = {}) {
+        const journeys = await this.list({ from, to, county });
+        const group = key => {
+            const groups = new Map();
+            journeys.forEach(journey => {
+                const value = key(journey);
+                if (!groups.has(value)) groups.set(value, []);
+                groups.get(value).push(journey);
+            });
+            return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+        };
+        return {
+            from: from || null,
+            to: to || null,
+            county: county || null,
+            ...this.summarize(journeys, now),
+            byCounty: group(journey => journey.county || 'unknown').map(([name, list]) => ({ county: name, ...this.summarize(list, now) })),
+            byDay: group(journey => journey.day).map(([day, list]) => ({ day, ...this.summarize(list, now) }))
+        };
+    }
+
+    summarize(journeys, now) {
+        const totals = { sessions: journeys.length, ended: 0, abandoned: 0, active: 0 };
+        const stages = new Map();
+        const stage = id => {
+            if (!stages.has(id)) stages.set(id, { stage: id, reached: 0, ended: 0, abandoned: 0, positions: 0 });
+            return stages.get(id);
+        };
+        journeys.forEach(journey => {
+            const status = this.status(journey, now);
+            totals[status]++;
+            journey.stages.forEach((id, position) => {
+                stage(id).reached++;
+                stage(id).positions += position;
+            });
+            if (journey.lastStage && status !== 'active') stage(journey.lastStage)[status]++;
+        });
+        // Most reached first; screens reached equally often in flow order
+        const list = [...stages.values()]
+            .sort((a, b) => b.reached - a.reached || a.positions / a.reached - b.positions / b.reached)
+            .map(({ positions, ...entry }) => ({ ...entry, abandonRate: Number((entry.abandoned / entry.reached).toFixed(3)) }));
+        return { ...totals, stages: list };
+    }
+}
+
+module.exports = { Journeys, dayOf };
@@ -0,0 +1,123 @@
+/**
+ * A small Prometheus metrics registry
+ *
+ * Counters and histograms keep their values in memory per label set;
+ * gauges are read when scraped. render() produces the text exposition
+ * format (version 0.0.4) served on GET /metrics.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * The stored series for a label set, created with `initial` on first use
+     */
+    seriesFor(labels, initial) {
+        const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...initial() });
+        }
+        return this.series.get(key);
+    }
+
+    header(type) {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+    }
+}
+
+class Counter extends Metric {
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    lines() {
+        return [...this.header('counter'), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, { buckets }) {
+        super(name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+        series.sum += value;
+        series.count++;
+    }
+
+    lines() {
+        const lines = this.header('histogram');
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * `read` resolves the current value when the registry is scraped
+     */
+    constructor(name, help, read) {
+        super(name, help);
+        this.read = read;
+    }
+
+    async lines() {
+        return [...this.header('gauge'), `${this.name} ${await this.read()}`];
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.add(new Counter(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, options) {
+        return this.add(new Histogram(name, help, labelNames, options));
+    }
+
+    gauge(name, help, read) {
+        return this.add(new Gauge(name, help, read));
+    }
+
+    async render() {
+        const blocks = await Promise.all(this.metrics.map(metric => metric.lines()));
+        return `${blocks.flat().join('\n')}\n`;
+    }
+}
+
+module.exports = { CONTENT_TYPE, Registry };
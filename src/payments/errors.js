@@ -0,0 +1,13 @@
+/**
+ * Raised by payment providers when a checkout request cannot be started.
+ * The payment is marked failed straight away; the farmer can try again.
+ */
+class PaymentProviderError extends Error {
+    constructor(message, { code = null } = {}) {
+        super(message);
+        this.name = 'PaymentProviderError';
+        this.code = code;
+    }
+}
+
+module.exports = { PaymentProviderError };
@@ -0,0 +1,103 @@
+/**
+ * Local fake payment provider
+ *
+ * Behaves like M-Pesa Express without a handset: checkout() accepts the
+ * request and, after `delay` ms, POSTs a Daraja-shaped result to the
+ * service's own callback URL, signed with X-Signature. The whole path -
+ * webhook, signature check, idempotency, SMS receipt - runs offline.
+ *
+ * Outcomes (PAYMENTS_FAKE_OUTCOME or willRespond()): success, failed
+ * (insufficient funds), cancelled (farmer dismissed the prompt) and timeout
+ * (no callback at all, so the payment expires on our side).
+ */
+
+const crypto = require('crypto');
+const { PaymentProviderError } = require('./errors');
+const { stkCallbackBody, parseStkCallback } = require('./mpesa');
+const { signPayload, verifySignature } = require('./signature');
+const { logger } = require('../logging');
+
+const OUTCOMES = {
+    success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+    failed: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+    cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user.' },
+    timeout: null
+};
+
+class FakePaymentProvider {
+    constructor({
+        callbackUrl,
+        secret,
+        outcome = process.env.PAYMENTS_FAKE_OUTCOME || 'success',
+        delay = Number(process.env.PAYMENTS_FAKE_DELAY) || 3000
+    } = {}) {
+        if (!(outcome in OUTCOMES)) {
+            throw new Error(`Unknown fake payment outcome "${outcome}" (expected: ${Object.keys(OUTCOMES).join(', ')})`);
+        }
+        this.name = 'fake';
+        this.callbackUrl = callbackUrl;
+        this.secret = secret;
+        this.outcome = outcome;
+        this.delay = delay;
+        this.queued = [];
+        this.requests = [];
+    }
+
+    /**
+     * Make the next checkouts end with these outcomes instead of the default;
+     * 'reject' makes checkout() itself throw
+     */
+    willRespond(...outcomes) {
+        this.queued.push(...outcomes);
+    }
+
+    async checkout({ phoneNumber, amount, reference }) {
+        const outcome = this.queued.length ? this.queued.shift() : this.outcome;
+        if (outcome === 'reject') {
+            throw new PaymentProviderError('Simulated checkout rejection');
+        }
+        const checkoutRequestId = `ws_CO_fake_${Date.now()}_${this.requests.length + 1}`;
+        const merchantRequestId = crypto.randomUUID();
+        this.requests.push({ checkoutRequestId, phoneNumber, amount, reference, outcome, requestedAt: new Date().toISOString() });
+
+        if (OUTCOMES[outcome]) {
+            const body = JSON.stringify(stkCallbackBody({
+                checkoutRequestId,
+                merchantRequestId,
+                ...OUTCOMES[outcome],
+                amount,
+                receipt: `FK${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+                phoneNumber
+            }));
+            setTimeout(() => this.deliver(body), this.delay).unref();
+        }
+        return { checkoutRequestId, merchantRequestId };
+    }
+
+    /**
+     * POST a callback body to the service, as the real provider would
+     */
+    async deliver(body) {
+        try {
+            const response = await fetch(this.callbackUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Signature': signPayload(body, this.secret) },
+                body,
+                signal: AbortSignal.timeout(10000)
+            });
+            if (!response.ok) logger.warn('Fake payment callback rejected', { status: response.status });
+        } catch (error) {
+            logger.error('Fake payment callback failed', { url: this.callbackUrl, reason: error.message });
+        }
+    }
+
+    verifyCallback({ rawBody, headers }) {
+        return verifySignature(rawBody, headers['x-signature'], this.secret);
+    }
+
+    parseCallback(body) {
+        return parseStkCallback(body);
+    }
+}
+
+module.exports = { FakePaymentProvider };
@@ -0,0 +1,42 @@
+/**
+ * Payment provider factory (PAYMENTS_PROVIDER=fake|mpesa, default fake)
+ *
+ * In production the provider must be named: falling back to the fake would
+ * mark premiums paid without taking any money.
+ *
+ * A provider needs:
+ *   checkout({ phoneNumber, amount, reference, description })
+ *       -> { checkoutRequestId }, throwing PaymentProviderError on refusal
+ *   verifyCallback({ rawBody, headers, query }) -> boolean
+ *   parseCallback(body) -> { checkoutRequestId, status, receipt, ... } | null
+ * State tracking and timeouts live in ./payments.
+ *
+ * Results are posted to PAYMENTS_CALLBACK_URL (by default this service's
+ * own /payments/callback) and checked with PAYMENTS_WEBHOOK_SECRET.
+ */
+
+const crypto = require('crypto');
+const { MpesaProvider } = require('./mpesa');
+const { FakePaymentProvider } = require('./fake');
+
+function createPaymentProvider({
+    provider = process.env.PAYMENTS_PROVIDER,
+    production = process.env.NODE_ENV === 'production',
+    callbackUrl = process.env.PAYMENTS_CALLBACK_URL || `http://localhost:${process.env.PORT || 3000}/payments/callback`,
+    secret = process.env.PAYMENTS_WEBHOOK_SECRET
+} = {}) {
+    if (!provider && production) {
+        throw new Error('PAYMENTS_PROVIDER must be set in production (expected: fake, mpesa)');
+    }
+    switch (provider || 'fake') {
+        case 'fake':
+            // The fake signs and verifies in the same process, so any secret will do
+            return new FakePaymentProvider({ callbackUrl, secret: secret || crypto.randomBytes(32).toString('hex') });
+        case 'mpesa':
+            return new MpesaProvider({ callbackUrl, secret });
+        default:
+            throw new Error(`Unknown payment provider "${provider}" (expected: fake, mpesa)`);
+    }
+}
+
+module.exports = { createPaymentProvider };
@@ -0,0 +1,182 @@
+/**
+ * M-Pesa Express (STK push) through Safaricom's Daraja API
+ *
+ * checkout() asks Safaricom to show a PIN prompt on the farmer's handset and
+ * returns the CheckoutRequestID. The result arrives later on the callback
+ * URL as { Body: { stkCallback: { CheckoutRequestID, ResultCode, ... } } }.
+ *
+ * Daraja does not sign its callbacks, so the callback URL carries the
+ * shared secret as ?token=... and verifyCallback() checks it.
+ */
+
+const { PaymentProviderError } = require('./errors');
+const { safeEqual } = require('./signature');
+
+const BASE_URLS = {
+    sandbox: 'https://sandbox.safaricom.co.ke',
+    production: 'https://api.safaricom.co.ke'
+};
+
+// STK callback result codes that mean the farmer never answered the prompt
+const TIMEOUT_CODES = [1037];
+
+class MpesaProvider {
+    constructor({
+        consumerKey = process.env.MPESA_CONSUMER_KEY,
+        consumerSecret = process.env.MPESA_CONSUMER_SECRET,
+        shortcode = process.env.MPESA_SHORTCODE,
+        passkey = process.env.MPESA_PASSKEY,
+        environment = process.env.MPESA_ENVIRONMENT || 'sandbox',
+        callbackUrl,
+        secret,
+        timeout = 15000
+    } = {}) {
+        if (!consumerKey || !consumerSecret || !shortcode || !passkey) {
+            throw new Error('M-Pesa payments need MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE and MPESA_PASSKEY');
+        }
+        if (!secret) {
+            throw new Error('M-Pesa payments need PAYMENTS_WEBHOOK_SECRET to protect the callback URL');
+        }
+        this.name = 'mpesa';
+        this.consumerKey = consumerKey;
+        this.consumerSecret = consumerSecret;
+        this.shortcode = shortcode;
+        this.passkey = passkey;
+        this.baseUrl = BASE_URLS[environment] || BASE_URLS.sandbox;
+        this.callbackUrl = callbackUrl;
+        this.secret = secret;
+        this.timeout = timeout;
+        this.token = null;
+        this.tokenExpiresAt = 0;
+    }
+
+    async accessToken() {
+        if (this.token && Date.now() < this.tokenExpiresAt) return this.token;
+        const credentials = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+        const data = await this.request('/oauth/v1/generate?grant_type=client_credentials', {
+            method: 'GET',
+            headers: { Authorization: `Basic ${credentials}` }
+        });
+        this.token = data.access_token;
+        // Renew a minute early so a request never goes out with a stale token
+        this.tokenExpiresAt = Date.now() + (Number(data.expires_in) - 60) * 1000;
+        return this.token;
+    }
+
+    /**
+     * Start an STK push; resolves { checkoutRequestId, merchantRequestId }
+     */
+    async checkout({ phoneNumber, amount, reference, description }) {
+        const timestamp = darajaTimestamp(new Date());
+        const url = new URL(this.callbackUrl);
+        url.searchParams.set('token', this.secret);
+
+        const data = await this.request('/mpesa/stkpush/v1/processrequest', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${await this.accessToken()}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                BusinessShortCode: this.shortcode,
+                Password: Buffer.from(`${this.shortcode}${this.passkey}${timestamp}`).toString('base64'),
+                Timestamp: timestamp,
+                TransactionType: 'CustomerPayBillOnline',
+                Amount: amount,
+                PartyA: phoneNumber.replace(/^\+/, ''),
+                PartyB: this.shortcode,
+                PhoneNumber: phoneNumber.replace(/^\+/, ''),
+                CallBackURL: url.toString(),
+                AccountReference: reference.slice(0, 12),
+                TransactionDesc: description.slice(0, 13)
+            })
+        });
+        if (String(data.ResponseCode) !== '0') {
+            throw new PaymentProviderError(`M-Pesa refused the request: ${data.ResponseDescription || data.errorMessage}`, {
+                code: data.ResponseCode || data.errorCode
+            });
+        }
+        return { checkoutRequestId: data.CheckoutRequestID, merchantRequestId: data.MerchantRequestID };
+    }
+
+    async request(path, options) {
+        let response;
+        try {
+            response = await fetch(this.baseUrl + path, { ...options, signal: AbortSignal.timeout(this.timeout) });
+        } catch (error) {
+            throw new PaymentProviderError(`M-Pesa request failed: ${error.message}`);
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new PaymentProviderError(`M-Pesa responded ${response.status}: ${data.errorMessage || response.statusText}`, {
+                code: data.errorCode || response.status
+            });
+        }
+        return data;
+    }
+
+    verifyCallback({ query }) {
+        return safeEqual(query.token, this.secret);
+    }
+
+    parseCallback(body) {
+        return parseStkCallback(body);
+    }
+}
+
+/**
+ * Daraja STK callback -> { checkoutRequestId, status, receipt, amount,
+ * failureReason }, or null when the body is not an STK callback
+ */
+function parseStkCallback(body) {
+    const callback = body && body.Body && body.Body.stkCallback;
+    if (!callback || !callback.CheckoutRequestID || callback.ResultCode === undefined) return null;
+
+    const resultCode = Number(callback.ResultCode);
+    const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+    const item = name => {
+        const found = items.find(entry => entry.Name === name);
+        return found ? found.Value : null;
+    };
+    return {
+        checkoutRequestId: callback.CheckoutRequestID,
+        status: resultCode === 0 ? 'succeeded' : TIMEOUT_CODES.includes(resultCode) ? 'timeout' : 'failed',
+        resultCode,
+        receipt: item('MpesaReceiptNumber'),
+        amount: item('Amount'),
+        failureReason: resultCode === 0 ? null : callback.ResultDesc || `Result code ${resultCode}`
+    };
+}
+
+/**
+ * Build a Daraja-shaped STK callback body (used by the fake provider)
+ */
+function stkCallbackBody({ checkoutRequestId, merchantRequestId, resultCode, resultDesc, amount, receipt, phoneNumber }) {
+    const callback = {
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: resultCode,
+        ResultDesc: resultDesc
+    };
+    if (resultCode === 0) {
+        callback.CallbackMetadata = {
+            Item: [
+                { Name: 'Amount', Value: amount },
+                { Name: 'MpesaReceiptNumber', Value: receipt },
+                { Name: 'TransactionDate', Value: Number(darajaTimestamp(new Date())) },
+                { Name: 'PhoneNumber', Value: Number(phoneNumber.replace(/^\+/, '')) }
+            ]
+        };
+    }
+    return { Body: { stkCallback: callback } };
+}
+
+/**
+ * YYYYMMDDHHmmss in East Africa Time, as Daraja expects
+ */
+function darajaTimestamp(date) {
+    const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+    return eat.toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+module.exports = { MpesaProvider, parseStkCallback, stkCallbackBody };
@@ -0,0 +1,208 @@
+/**
+ * Mobile money payments
+ *
+ * request() records a payment and asks the provider to put a PIN prompt on
+ * the farmer's handset. The provider reports the result asynchronously on
+ * the callback route, which hands it to handleCallback():
+ *
+ *   pending -> succeeded | failed     (result callback)
+ *   pending -> timeout                (no result within `timeout`)
+ *   pending -> failed                 (provider refused the request)
+ *
+ * Callbacks and the timeout sweep run one at a time. Callbacks apply only
+ * to pending or timed-out payments, so a provider retrying the same
+ * callback changes nothing. A success arriving after we gave up still
+ * counts: the money has moved. Amounts are rounded up to whole shillings
+ * when the payment is created.
+ *
+ * Each change emits payment.<status> (payment) on `events`. Records live in
+ * the "payments" collection:
+ *   { id, phoneNumber, amount, currency, reference, description, purpose,
+ *     status, provider, checkoutRequestId, receipt, failureReason,
+ *     createdAt, updatedAt, expiresAt, history: [{ status, at, detail }] }
+ * `purpose` ({ type, id }) says what the payment is for, e.g. a policy.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../logging');
+
+const FINAL = ['succeeded', 'failed'];
+
+class Payments {
+    constructor({ provider, collection, events, timeout = Number(process.env.PAYMENTS_TIMEOUT) || 3 * 60 * 1000, sweepInterval = 15000 }) {
+        this.provider = provider;
+        this.collection = collection;
+        this.events = events;
+        this.timeout = timeout;
+        this.sweepInterval = sweepInterval;
+        this.timer = null;
+        this.callbacks = Promise.resolve();
+    }
+
+    static async open(storage, provider, options = {}) {
+        const collection = await storage.collection('payments');
+        return new Payments({ ...options, provider, collection });
+    }
+
+    /**
+     * Start a checkout; resolves with the payment record, already failed if
+     * the provider refused the request
+     */
+    async request({ phoneNumber, amount, currency, reference, description, purpose = null }) {
+        const now = new Date();
+        const payment = {
+            id: crypto.randomUUID(),
+            phoneNumber,
+            // Mobile money takes whole shillings; rounded once here, so the
+            // provider is asked for and reports back this same amount
+            amount: Math.ceil(amount),
+            currency,
+            reference,
+            description,
+            purpose,
+            status: 'pending',
+            provider: this.provider.name,
+            checkoutRequestId: null,
+            receipt: null,
+            failureReason: null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.timeout).toISOString(),
+            history: [{ status: 'pending', at: now.toISOString() }]
+        };
+        await this.collection.put(payment.id, payment);
+
+        try {
+            const { checkoutRequestId } = await this.provider.checkout({ phoneNumber, amount: payment.amount, reference, description });
+            payment.checkoutRequestId = checkoutRequestId;
+            await this.collection.put(payment.id, payment);
+        } catch (error) {
+            logger.warn('Payment could not start', { paymentId: payment.id, reference, reason: error.message });
+            payment.failureReason = error.message;
+            await this.settle(payment, 'failed', error.message);
+        }
+        return payment;
+    }
+
+    /**
+     * Apply a provider callback ({ rawBody, headers, query, body }).
+     * Resolves { outcome, payment } where outcome is one of
+     *   rejected    signature check failed
+     *   malformed   not a result callback
+     *   unknown     no payment with that checkout id
+     *   duplicate   the payment already had its final result
+     *   applied     the payment was updated
+     */
+    handleCallback(request) {
+        return this.queue(() => this.applyCallback(request));
+    }
+
+    /**
+     * Callbacks and the timeout sweep run one at a time, so a result that
+     * arrives during a sweep is never overwritten with `timeout`
+     */
+    queue(work) {
+        const result = this.callbacks.then(work);
+        this.callbacks = result.catch(() => {});
+        return result;
+    }
+
+    async applyCallback({ rawBody, headers = {}, query = {}, body }) {
+        if (!this.provider.verifyCallback({ rawBody, headers, query })) return { outcome: 'rejected', payment: null };
+        const callback = this.provider.parseCallback(body);
+        if (!callback) return { outcome: 'malformed', payment: null };
+
+        const payment = (await this.collection.values())
+            .find(candidate => candidate.checkoutRequestId === callback.checkoutRequestId);
+        if (!payment) return { outcome: 'unknown', payment: null };
+        if (FINAL.includes(payment.status) || (payment.status === 'timeout' && callback.status === 'timeout')) {
+            return { outcome: 'duplicate', payment };
+        }
+
+        if (callback.status === 'succeeded') {
+            payment.receipt = callback.receipt;
+            payment.failureReason = null;
+            if (callback.amount !== null && Number(callback.amount) !== Number(payment.amount)) {
+                logger.warn('Payment amount differs from the provider\'s', { paymentId: payment.id, expected: payment.amount, reported: callback.amount });
+            }
+        } else {
+            payment.failureReason = callback.failureReason;
+        }
+        await this.settle(payment, callback.status, callback.receipt || callback.failureReason);
+        return { outcome: 'applied', payment };
+    }
+
+    async settle(payment, status, detail) {
+        const at = new Date().toISOString();
+        payment.status = status;
+        payment.updatedAt = at;
+        payment.history.push(detail ? { status, at, detail } : { status, at });
+        await this.collection.put(payment.id, payment);
+        this.events.emit(`payment.${status}`, payment);
+    }
+
+    /**
+     * Periodically time out payments nobody answered
+     */
+    start() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => {
+            this.expire().catch(error => logger.error('Payment timeout sweep failed', error));
+        }, this.sweepInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Time out pending payments past expiresAt; resolves how many
+     */
+    expire(now = new Date()) {
+        return this.queue(async () => {
+            const overdue = (await this.collection.values())
+                .filter(payment => payment.status === 'pending' && Date.parse(payment.expiresAt) <= now.getTime());
+            let expired = 0;
+            for (const { id } of overdue) {
+                // Read again: only a payment still pending when it is written times out
+                const payment = await this.collection.get(id);
+                if (!payment || payment.status !== 'pending') continue;
+                await this.settle(payment, 'timeout', 'No result from the provider');
+                expired++;
+            }
+            return expired;
+        });
+    }
+
+    get(id) {
+        return this.collection.get(id);
+    }
+
+    /**
+     * Payment records, newest first, optionally for one phone number or purpose
+     */
+    async list({ phoneNumber, purpose } = {}) {
+        const payments = await this.collection.values();
+        return payments
+            .filter(payment => !phoneNumber || payment.phoneNumber === phoneNumber)
+            .filter(payment => !purpose || (payment.purpose && payment.purpose.type === purpose.type && payment.purpose.id === purpose.id))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Put `pseudonym` in place of a phone number on its payments (see
+     * src/privacy/subject); resolves how many changed
+     */
+    async anonymize(phoneNumber, pseudonym) {
+        const payments = await this.list({ phoneNumber });
+        const now = new Date().toISOString();
+        for (const payment of payments) {
+            await this.collection.put(payment.id, { ...payment, phoneNumber: pseudonym, updatedAt: now });
+        }
+        return payments.length;
+    }
+}
+
+module.exports = { Payments };
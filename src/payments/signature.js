@@ -0,0 +1,25 @@
+/**
+ * Shared-secret checks for payment callbacks
+ *
+ * Signed callbacks carry "X-Signature: sha256=<hex HMAC of the raw body>".
+ * Comparisons hash both sides first so they run in constant time whatever
+ * the lengths.
+ */
+
+const crypto = require('crypto');
+
+function signPayload(rawBody, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function verifySignature(rawBody, signature, secret) {
+    return Boolean(rawBody) && safeEqual(signature, signPayload(rawBody, secret));
+}
+
+module.exports = { signPayload, verifySignature, safeEqual };
@@ -0,0 +1,13 @@
+/**
+ * Data protection consent (Kenya Data Protection Act, 2019)
+ *
+ * Farmers agree to the notice in "consent.notice" before any of their
+ * details are collected. The farmer record keeps what they agreed to:
+ *   consent: { version, givenAt, via }    via is ussd or agent
+ * Bump CONSENT_VERSION whenever the notice changes in any language, so
+ * every record says which wording the farmer saw.
+ */
+
+const CONSENT_VERSION = '2026-10';
+
+module.exports = { CONSENT_VERSION };
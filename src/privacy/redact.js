@@ -0,0 +1,26 @@
+/**
+ * Redaction for log lines
+ *
+ * Logs never carry a full phone number, farmer details or what was typed
+ * on the handset (names, PINs, one-time codes). Phone numbers keep their
+ * last three digits so support can still tell callers apart.
+ */
+
+/**
+ * "+254712345678" -> "+*********678"
+ */
+function maskPhone(phoneNumber) {
+    if (phoneNumber === undefined || phoneNumber === null || phoneNumber === '') return '-';
+    return String(phoneNumber).replace(/\d(?=\d{3})/g, '*');
+}
+
+/**
+ * What a USSD `text` (or list of inputs) looks like without its content:
+ * "3 inputs"
+ */
+function describeInput(text) {
+    const count = Array.isArray(text) ? text.length : (text ? String(text).split('*').length : 0);
+    return `${count} input${count === 1 ? '' : 's'}`;
+}
+
+module.exports = { maskPhone, describeInput };
@@ -0,0 +1,136 @@
+/**
+ * Data subject requests and the privacy audit trail
+ *
+ * Farmers ask for deletion over USSD; staff complete or reject the request
+ * through the admin API (see ./subject for what erasure does). Requests live
+ * in the "privacy-requests" collection keyed by reference:
+ *   { id, type: "erasure", phoneNumber, status, via, requestedAt,
+ *     completedAt, by, note, pseudonym }
+ * status is pending, completed or rejected. Once completed the phone
+ * number is masked and `pseudonym` is what the farmer's remaining records
+ * (policies, payments, ...) carry instead of it.
+ *
+ * Every request, erasure, export and SMS copy is logged in "privacy-audit":
+ *   { id, at, action, subject, requestId, by, details }
+ * `subject` is the masked phone number, so the trail itself holds no
+ * personal data.
+ */
+
+const { newReference } = require('../insurance/references');
+const { maskPhone } = require('./redact');
+
+const REQUEST_STATUSES = ['pending', 'completed', 'rejected'];
+
+class PrivacyRequests {
+    constructor(collection, auditCollection) {
+        this.collection = collection;
+        this.auditCollection = auditCollection;
+    }
+
+    static async open(storage) {
+        const collection = await storage.collection('privacy-requests');
+        const auditCollection = await storage.collection('privacy-audit');
+        return new PrivacyRequests(collection, auditCollection);
+    }
+
+    get(id) {
+        return this.collection.get(String(id).toUpperCase());
+    }
+
+    /**
+     * The erasure request still waiting for a number, or null
+     */
+    async pending(phoneNumber) {
+        const requests = await this.collection.values();
+        return requests.find(request => request.phoneNumber === phoneNumber && request.status === 'pending') || null;
+    }
+
+    /**
+     * Record a farmer's request to have their data deleted
+     */
+    async requestErasure(phoneNumber, { via }) {
+        const id = await newReference(this.collection, 'DR');
+        const request = await this.collection.put(id, {
+            id,
+            type: 'erasure',
+            phoneNumber,
+            status: 'pending',
+            via,
+            requestedAt: new Date().toISOString(),
+            completedAt: null,
+            by: null,
+            note: null,
+            pseudonym: null
+        });
+        await this.audit('erasureRequested', { phoneNumber, requestId: id, by: via });
+        return request;
+    }
+
+    /**
+     * Close a request once its data is erased; the phone number is masked
+     * from here on, on earlier requests from the same number too
+     */
+    async complete(id, { by, pseudonym, erased }) {
+        const request = await this.get(id);
+        for (const earlier of await this.list({ phoneNumber: request.phoneNumber })) {
+            if (earlier.id !== request.id) await this.collection.put(earlier.id, { ...earlier, phoneNumber: maskPhone(earlier.phoneNumber) });
+        }
+        const completed = await this.collection.put(request.id, {
+            ...request,
+            phoneNumber: maskPhone(request.phoneNumber),
+            status: 'completed',
+            completedAt: new Date().toISOString(),
+            by,
+            pseudonym
+        });
+        await this.audit('erased', { phoneNumber: request.phoneNumber, requestId: request.id, by, details: { pseudonym, erased } });
+        return completed;
+    }
+
+    async reject(id, { by, note }) {
+        const request = await this.get(id);
+        const rejected = await this.collection.put(request.id, {
+            ...request,
+            status: 'rejected',
+            completedAt: new Date().toISOString(),
+            by,
+            note
+        });
+        await this.audit('erasureRejected', { phoneNumber: request.phoneNumber, requestId: request.id, by, details: { note } });
+        return rejected;
+    }
+
+    /**
+     * Requests, newest first, optionally with one status or for one number
+     */
+    async list({ status, phoneNumber } = {}) {
+        const requests = await this.collection.values();
+        return requests
+            .filter(request => !status || request.status === status)
+            .filter(request => !phoneNumber || request.phoneNumber === phoneNumber)
+            .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+    }
+
+    async audit(action, { phoneNumber, requestId = null, by, details = {} }) {
+        const id = await newReference(this.auditCollection, 'AU');
+        return this.auditCollection.put(id, {
+            id,
+            at: new Date().toISOString(),
+            action,
+            subject: maskPhone(phoneNumber),
+            requestId,
+            by,
+            details
+        });
+    }
+
+    /**
+     * The audit trail, oldest first
+     */
+    async auditLog() {
+        const entries = await this.auditCollection.values();
+        return entries.sort((a, b) => a.at.localeCompare(b.at) || a.id.localeCompare(b.id));
+    }
+}
+
+module.exports = { PrivacyRequests, REQUEST_STATUSES };
@@ -0,0 +1,67 @@
+/**
+ * Everything stored about one phone number: subject access and erasure
+ *
+ * Records that exist only because of the farmer are removed: the farmer
+ * record and its change history, and the SMS sent to them. Policies, claims,
+ * payments and payouts are financial records we have to keep, so they stay
+ * with the phone number replaced by a pseudonym ("erased-DR…", after the
+ * request). Agents' activity logs get the same pseudonym.
+ *
+ * `stores` is { farmers, agents, policies, claims, payments, engine,
+ * messenger, privacy } as opened in index.js.
+ */
+
+const { present } = require('../farmers/repository');
+
+/**
+ * A copy of all data held for a phone number, as one JSON document
+ */
+async function subjectData(phoneNumber, { farmers, policies, claims, payments, engine, messenger, privacy }) {
+    const farmer = await farmers.get(phoneNumber);
+    return {
+        phoneNumber,
+        exportedAt: new Date().toISOString(),
+        farmer: farmer ? present(farmer) : null,
+        history: await farmers.history(phoneNumber),
+        policies: await policies.forFarmer(phoneNumber),
+        claims: await claims.forFarmer(phoneNumber),
+        payments: await payments.list({ phoneNumber }),
+        payouts: await engine.listPayouts({ phoneNumber }),
+        messages: await messenger.list({ to: phoneNumber }),
+        privacyRequests: await privacy.list({ phoneNumber })
+    };
+}
+
+/**
+ * Whether anything at all is stored for a phone number
+ */
+async function hasSubjectData(phoneNumber, stores) {
+    const data = await subjectData(phoneNumber, stores);
+    return Boolean(data.farmer) || ['history', 'policies', 'claims', 'payments', 'payouts', 'messages']
+        .some(kind => data[kind].length > 0);
+}
+
+/**
+ * Remove or pseudonymise everything tied to a phone number; resolves the
+ * number of records affected per kind
+ */
+async function eraseSubject(phoneNumber, { farmers, agents, policies, claims, payments, engine, messenger }, { pseudonym }) {
+    const farmer = await farmers.get(phoneNumber);
+    const history = await farmers.history(phoneNumber);
+    if (farmer || history.length) await farmers.delete(phoneNumber, { source: 'privacy' });
+
+    const { payouts, runs } = await engine.anonymize(phoneNumber, pseudonym);
+    return {
+        farmer: farmer ? 1 : 0,
+        history: history.length,
+        policies: await policies.anonymize(phoneNumber, pseudonym),
+        claims: await claims.anonymize(phoneNumber, pseudonym),
+        payments: await payments.anonymize(phoneNumber, pseudonym),
+        payouts,
+        triggerRuns: runs,
+        messages: await messenger.forget(phoneNumber),
+        agentActivity: await agents.anonymizeFarmer(phoneNumber, pseudonym)
+    };
+}
+
+module.exports = { subjectData, hasSubjectData, eraseSubject };
@@ -0,0 +1,31 @@
+/**
+ * Session store factory
+ *
+ * Every store implements the same async interface:
+ *   get(sessionId)               -> session | null (null once the TTL has passed)
+ *   set(sessionId, session, ttl) -> save the session, expiring after ttl ms
+ *   touch(sessionId, ttl)        -> extend the expiry, false if already gone
+ *   delete(sessionId)
+ *   list()                       -> [{ sessionId, session }] for debugging
+ *   count()                      -> number of live sessions, without reading them
+ *   close()
+ */
+
+const { MemorySessionStore } = require('./memory');
+const { RedisSessionStore } = require('./redis');
+
+function createSessionStore({
+    driver = process.env.SESSION_STORE || 'memory',
+    url = process.env.REDIS_URL
+} = {}) {
+    switch (driver) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'redis':
+            return new RedisSessionStore({ url });
+        default:
+            throw new Error(`Unknown session store "${driver}" (expected: memory, redis)`);
+    }
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,75 @@
+/**
+ * In-process session store with per-entry TTL
+ *
+ * Entries expire lazily: a read past `expiresAt` deletes the entry and
+ * returns null. Expired entries nobody reads again are dropped the next
+ * time a session is written, at most once per TTL.
+ */
+
+class MemorySessionStore {
+    constructor() {
+        this.entries = new Map();
+        this.lastPrune = Date.now();
+    }
+
+    live(sessionId) {
+        const entry = this.entries.get(sessionId);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(sessionId);
+            return null;
+        }
+        return entry;
+    }
+
+    async get(sessionId) {
+        const entry = this.live(sessionId);
+        return entry ? JSON.parse(entry.value) : null;
+    }
+
+    async set(sessionId, session, ttl) {
+        const now = Date.now();
+        this.entries.set(sessionId, { value: JSON.stringify(session), expiresAt: now + ttl });
+        if (now - this.lastPrune > ttl) {
+            this.prune();
+        }
+    }
+
+    /**
+     * Extend a session's expiry; resolves false if it already expired
+     */
+    async touch(sessionId, ttl) {
+        const entry = this.live(sessionId);
+        if (!entry) return false;
+        entry.expiresAt = Date.now() + ttl;
+        return true;
+    }
+
+    async delete(sessionId) {
+        this.entries.delete(sessionId);
+    }
+
+    /**
+     * Every live session as { sessionId, session }
+     */
+    async list() {
+        this.prune();
+        return [...this.entries].map(([sessionId, entry]) => ({ sessionId, session: JSON.parse(entry.value) }));
+    }
+
+    async count() {
+        this.prune();
+        return this.entries.size;
+    }
+
+    prune() {
+        this.lastPrune = Date.now();
+        for (const sessionId of this.entries.keys()) {
+            this.live(sessionId);
+        }
+    }
+
+    async close() {}
+}
+
+module.exports = { MemorySessionStore };
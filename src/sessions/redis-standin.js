@@ -0,0 +1,119 @@
+/**
+ * Local Redis stand-in
+ *
+ * A tiny in-process server that understands the handful of commands the
+ * session store uses (GET, SET ... PX/EX, PEXPIRE, EXPIRE, PTTL, DEL, SCAN,
+ * PING, AUTH, SELECT, FLUSHDB, QUIT). Good enough to run two app instances
+ * against one "Redis" on a laptop or in tests:
+ *
+ *   node src/sessions/redis-standin.js 6379
+ *   SESSION_STORE=redis REDIS_URL=redis://127.0.0.1:6379 npm start
+ */
+
+const net = require('net');
+const { encodeReply, ReplyParser, RedisError } = require('./resp');
+
+const OK = { simple: 'OK' };
+
+function createRedisStandin() {
+    const data = new Map();
+
+    function live(key) {
+        const entry = data.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            data.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    function expire(key, ms) {
+        const entry = live(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + ms;
+        return 1;
+    }
+
+    function matcher(pattern) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    const commands = {
+        PING: () => ({ simple: 'PONG' }),
+        AUTH: () => OK,
+        SELECT: () => OK,
+        QUIT: () => OK,
+        FLUSHDB: () => {
+            data.clear();
+            return OK;
+        },
+        GET: ([key]) => {
+            const entry = live(key);
+            return entry ? entry.value : null;
+        },
+        SET: ([key, value, ...options]) => {
+            let expiresAt = null;
+            for (let i = 0; i < options.length; i += 2) {
+                const flag = options[i].toUpperCase();
+                if (flag === 'PX') expiresAt = Date.now() + Number(options[i + 1]);
+                else if (flag === 'EX') expiresAt = Date.now() + Number(options[i + 1]) * 1000;
+                else return new RedisError(`ERR unsupported SET option ${flag}`);
+            }
+            data.set(key, { value, expiresAt });
+            return OK;
+        },
+        PEXPIRE: ([key, ms]) => expire(key, Number(ms)),
+        EXPIRE: ([key, seconds]) => expire(key, Number(seconds) * 1000),
+        PTTL: ([key]) => {
+            const entry = live(key);
+            if (!entry) return -2;
+            return entry.expiresAt ? entry.expiresAt - Date.now() : -1;
+        },
+        DEL: (keys) => keys.filter(key => live(key) && data.delete(key)).length,
+        SCAN: ([, ...options]) => {
+            let pattern = '*';
+            for (let i = 0; i < options.length; i += 2) {
+                if (options[i].toUpperCase() === 'MATCH') pattern = options[i + 1];
+            }
+            const regex = matcher(pattern);
+            const keys = [...data.keys()].filter(key => live(key) && regex.test(key));
+            return ['0', keys];
+        }
+    };
+
+    const server = net.createServer(socket => {
+        const parser = new ReplyParser(args => {
+            if (!Array.isArray(args) || !args.length) {
+                socket.write(encodeReply(new RedisError('ERR protocol error')));
+                return;
+            }
+            const [name, ...rest] = args;
+            const handler = commands[String(name).toUpperCase()];
+            const reply = handler ? handler(rest) : new RedisError(`ERR unknown command '${name}'`);
+            socket.write(encodeReply(reply));
+            if (String(name).toUpperCase() === 'QUIT') socket.end();
+        });
+        socket.on('data', chunk => {
+            try {
+                parser.push(chunk);
+            } catch (error) {
+                socket.destroy();
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return { server, data };
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 6379;
+    const { server } = createRedisStandin();
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`Redis stand-in listening on 127.0.0.1:${port}`);
+    });
+}
+
+module.exports = { createRedisStandin };
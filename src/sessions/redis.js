@@ -0,0 +1,159 @@
+/**
+ * Redis-backed session store
+ *
+ * Speaks plain RESP over a TCP socket so it works with Redis, KeyDB, Valkey,
+ * or the local stand-in in ./redis-standin.js. Sessions are stored as JSON
+ * under `<prefix><sessionId>` with a PX expiry, so every instance behind the
+ * load balancer sees the same session and Redis handles the timeouts.
+ */
+
+const net = require('net');
+const { encodeCommand, ReplyParser, RedisError } = require('./resp');
+
+class RedisClient {
+    constructor(url = 'redis://127.0.0.1:6379') {
+        const parsed = new URL(url);
+        this.host = parsed.hostname || '127.0.0.1';
+        this.port = Number(parsed.port) || 6379;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.db = Number(parsed.pathname.replace('/', '')) || 0;
+        this.socket = null;
+        this.connecting = null;
+        this.pending = [];
+    }
+
+    /**
+     * Open the socket on first use and after any disconnect
+     */
+    connect() {
+        if (this.socket) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const parser = new ReplyParser(value => {
+                const request = this.pending.shift();
+                if (!request) return;
+                if (value instanceof RedisError) request.reject(value);
+                else request.resolve(value);
+            });
+
+            socket.on('data', chunk => parser.push(chunk));
+            socket.once('connect', async () => {
+                this.socket = socket;
+                this.connecting = null;
+                try {
+                    if (this.password) await this.send(['AUTH', this.password]);
+                    if (this.db) await this.send(['SELECT', this.db]);
+                    resolve();
+                } catch (error) {
+                    socket.destroy();
+                    reject(error);
+                }
+            });
+            socket.on('error', error => {
+                if (this.connecting) {
+                    this.connecting = null;
+                    reject(error);
+                }
+                this.failPending(error);
+            });
+            socket.on('close', () => {
+                this.socket = null;
+                this.failPending(new RedisError('Connection closed'));
+            });
+        });
+        return this.connecting;
+    }
+
+    failPending(error) {
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(request => request.reject(error));
+    }
+
+    send(args) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    async command(...args) {
+        await this.connect();
+        return this.send(args);
+    }
+
+    async quit() {
+        if (!this.socket) return;
+        await this.send(['QUIT']).catch(() => {});
+        this.socket.destroy();
+        this.socket = null;
+    }
+}
+
+class RedisSessionStore {
+    constructor({ url, prefix = 'ussd:session:', client } = {}) {
+        this.client = client || new RedisClient(url);
+        this.prefix = prefix;
+    }
+
+    async get(sessionId) {
+        const value = await this.client.command('GET', this.prefix + sessionId);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(sessionId, session, ttl) {
+        await this.client.command('SET', this.prefix + sessionId, JSON.stringify(session), 'PX', ttl);
+    }
+
+    /**
+     * Extend a session's expiry; resolves false if it already expired
+     */
+    async touch(sessionId, ttl) {
+        return (await this.client.command('PEXPIRE', this.prefix + sessionId, ttl)) === 1;
+    }
+
+    async delete(sessionId) {
+        await this.client.command('DEL', this.prefix + sessionId);
+    }
+
+    /**
+     * Every live session as { sessionId, session } - for debugging only
+     */
+    async list() {
+        const sessions = [];
+        let cursor = '0';
+        do {
+            const [nextCursor, keys] = await this.client.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+            cursor = nextCursor;
+            for (const key of keys) {
+                const value = await this.client.command('GET', key);
+                if (value !== null) {
+                    sessions.push({ sessionId: key.slice(this.prefix.length), session: JSON.parse(value) });
+                }
+            }
+        } while (cursor !== '0');
+        return sessions;
+    }
+
+    /**
+     * Live sessions, counted from key names alone (SCAN may repeat a key)
+     */
+    async count() {
+        const keys = new Set();
+        let cursor = '0';
+        do {
+            const [nextCursor, found] = await this.client.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 1000);
+            cursor = nextCursor;
+            found.forEach(key => keys.add(key));
+        } while (cursor !== '0');
+        return keys.size;
+    }
+
+    close() {
+        return this.client.quit();
+    }
+}
+
+module.exports = { RedisClient, RedisSessionStore };
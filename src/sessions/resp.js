@@ -0,0 +1,100 @@
+/**
+ * Minimal RESP (REdis Serialization Protocol) encoder and parser
+ *
+ * Shared by the Redis session store client and the local stand-in server.
+ */
+
+class RedisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RedisError';
+    }
+}
+
+/**
+ * Encode a command as an array of bulk strings
+ */
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    args.forEach(arg => {
+        const value = String(arg);
+        out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    });
+    return out;
+}
+
+/**
+ * Encode a reply value; RedisError instances become error replies
+ */
+function encodeReply(value) {
+    if (value instanceof RedisError) return `-${value.message}\r\n`;
+    if (value === null || value === undefined) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n` + value.map(encodeReply).join('');
+    if (value && value.simple) return `+${value.simple}\r\n`;
+    const text = String(value);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+/**
+ * Parse one value from `buffer` starting at `offset`.
+ * Returns { value, offset } or null when more bytes are needed.
+ */
+function parse(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RedisError(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parse(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RedisError(`Protocol error: unexpected byte "${type}"`);
+    }
+}
+
+/**
+ * Accumulates socket chunks and emits every complete value
+ */
+class ReplyParser {
+    constructor(onValue) {
+        this.onValue = onValue;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let result;
+        while (this.buffer.length && (result = parse(this.buffer))) {
+            this.buffer = this.buffer.subarray(result.offset);
+            this.onValue(result.value);
+        }
+    }
+}
+
+module.exports = { RedisError, encodeCommand, encodeReply, ReplyParser };
@@ -0,0 +1,85 @@
+/**
+ * Africa's Talking SMS provider
+ *
+ * Sends one message per request through the bulk messaging API and maps
+ * per-recipient status codes onto SmsProviderError. Delivery reports arrive
+ * later on POST /sms/delivery-report, keyed by the returned messageId.
+ */
+
+const { SmsProviderError } = require('./errors');
+
+const ENDPOINTS = {
+    sandbox: 'https://api.sandbox.africastalking.com/version1/messaging',
+    production: 'https://api.africastalking.com/version1/messaging'
+};
+
+// 100 Processed, 101 Sent, 102 Queued
+const ACCEPTED_CODES = [100, 101, 102];
+
+// 405 InsufficientBalance, 500 InternalServerError, 501 GatewayError
+const RETRYABLE_CODES = [405, 500, 501];
+
+class AfricasTalkingSmsProvider {
+    constructor({
+        username = process.env.AT_USERNAME,
+        apiKey = process.env.AT_API_KEY,
+        senderId = process.env.AT_SENDER_ID,
+        environment = process.env.AT_ENVIRONMENT || 'sandbox',
+        timeout = 10000
+    } = {}) {
+        if (!username || !apiKey) {
+            throw new Error('Africa\'s Talking SMS needs AT_USERNAME and AT_API_KEY');
+        }
+        this.name = 'africastalking';
+        this.username = username;
+        this.apiKey = apiKey;
+        this.senderId = senderId;
+        this.url = ENDPOINTS[environment] || ENDPOINTS.sandbox;
+        this.timeout = timeout;
+    }
+
+    async send(to, message) {
+        const body = new URLSearchParams({ username: this.username, to, message });
+        if (this.senderId) body.set('from', this.senderId);
+
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: 'POST',
+                headers: {
+                    apiKey: this.apiKey,
+                    Accept: 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            throw new SmsProviderError(`Africa's Talking request failed: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new SmsProviderError(`Africa's Talking responded ${response.status}`, {
+                retryable: response.status >= 500 || response.status === 429,
+                code: response.status
+            });
+        }
+
+        const data = await response.json();
+        const recipient = data.SMSMessageData && data.SMSMessageData.Recipients[0];
+        if (!recipient) {
+            const reason = data.SMSMessageData ? data.SMSMessageData.Message : 'empty response';
+            throw new SmsProviderError(`Africa's Talking rejected the message: ${reason}`, { retryable: false });
+        }
+        if (!ACCEPTED_CODES.includes(recipient.statusCode)) {
+            throw new SmsProviderError(`Africa's Talking status ${recipient.statusCode} ${recipient.status}`, {
+                retryable: RETRYABLE_CODES.includes(recipient.statusCode),
+                code: recipient.statusCode
+            });
+        }
+
+        return { messageId: recipient.messageId, status: recipient.status, cost: recipient.cost };
+    }
+}
+
+module.exports = { AfricasTalkingSmsProvider };
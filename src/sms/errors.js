@@ -0,0 +1,15 @@
+/**
+ * Raised by SMS providers. `retryable` tells the queue whether trying the
+ * same message again later can succeed (network or gateway trouble) or not
+ * (invalid number, blacklisted recipient).
+ */
+class SmsProviderError extends Error {
+    constructor(message, { retryable = true, code = null } = {}) {
+        super(message);
+        this.name = 'SmsProviderError';
+        this.retryable = retryable;
+        this.code = code;
+    }
+}
+
+module.exports = { SmsProviderError };
@@ -0,0 +1,53 @@
+/**
+ * Local fake SMS provider
+ *
+ * Accepts every message and keeps it in memory (served on GET /sms/outbox)
+ * and, when SMS_OUTBOX_FILE is set, appends it to that file as JSON lines.
+ * failNext() makes the next sends throw so retries can be exercised.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { SmsProviderError } = require('./errors');
+
+class FakeSmsProvider {
+    constructor({ file = process.env.SMS_OUTBOX_FILE } = {}) {
+        this.name = 'fake';
+        this.file = file;
+        this.sent = [];
+        this.failures = [];
+    }
+
+    /**
+     * Make the next `count` sends fail
+     */
+    failNext(count = 1, { retryable = true } = {}) {
+        for (let i = 0; i < count; i++) this.failures.push(retryable);
+    }
+
+    async send(to, message) {
+        if (this.failures.length) {
+            const retryable = this.failures.shift();
+            throw new SmsProviderError('Simulated provider failure', { retryable });
+        }
+
+        const entry = {
+            messageId: `fake-${Date.now()}-${this.sent.length + 1}`,
+            to,
+            message,
+            sentAt: new Date().toISOString()
+        };
+        this.sent.push(entry);
+        if (this.file) {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+        }
+        return { messageId: entry.messageId, status: 'Success' };
+    }
+
+    outbox() {
+        return this.sent;
+    }
+}
+
+module.exports = { FakeSmsProvider };
@@ -0,0 +1,27 @@
+/**
+ * SMS provider factory (SMS_PROVIDER=fake|africastalking, default fake)
+ *
+ * A provider only needs send(to, message) -> { messageId, status }, throwing
+ * SmsProviderError on failure. Queueing and retries live in ./messenger.
+ * In production the provider must be named, so a missing setting never
+ * leaves farmers' messages in the fake outbox.
+ */
+
+const { AfricasTalkingSmsProvider } = require('./africastalking');
+const { FakeSmsProvider } = require('./fake');
+
+function createSmsProvider({ provider = process.env.SMS_PROVIDER, production = process.env.NODE_ENV === 'production' } = {}) {
+    if (!provider && production) {
+        throw new Error('SMS_PROVIDER must be set in production (expected: fake, africastalking)');
+    }
+    switch (provider || 'fake') {
+        case 'fake':
+            return new FakeSmsProvider();
+        case 'africastalking':
+            return new AfricasTalkingSmsProvider();
+        default:
+            throw new Error(`Unknown SMS provider "${provider}" (expected: fake, africastalking)`);
+    }
+}
+
+module.exports = { createSmsProvider };
@@ -0,0 +1,262 @@
+/**
+ * Outbound SMS queue
+ *
+ * send() records the message and returns straight away; a background worker
+ * hands it to the provider. Each message keeps its own status record:
+ *
+ *   queued -> sent -> delivered | failed    (delivery report from the network)
+ *   queued -> retrying -> ... -> failed     (provider errors, exponential backoff)
+ *
+ * Records live in the "messages" collection, so with the file driver a
+ * restart picks up whatever was still queued or waiting for a retry.
+ *
+ * A message sent with a `secret` (a one-time code) is stored with the
+ * secret masked. The full text is held only in memory until the provider
+ * takes it, so a restart before then fails the message; the code has a
+ * short life anyway and the farmer can ask for another.
+ *
+ * Which messages are due and which record a provider message id belongs to
+ * are kept in memory, built from one read of the collection on open, so the
+ * worker and delivery reports never scan every message.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../logging');
+
+const PENDING = ['queued', 'retrying'];
+
+// Africa's Talking delivery report statuses -> our status
+const DELIVERY_STATUSES = {
+    Success: 'delivered',
+    Failed: 'failed',
+    Rejected: 'failed',
+    Sent: 'sent',
+    Submitted: 'sent',
+    Buffered: 'sent'
+};
+
+class Messenger {
+    constructor({ provider, collection, maxAttempts = 5, baseDelay = 2000, maxDelay = 5 * 60 * 1000 }) {
+        this.provider = provider;
+        this.collection = collection;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.timer = null;
+        this.running = null;
+        this.rerun = false;
+        this.started = false;
+        // Message id -> full text of messages sent with a secret
+        this.secrets = new Map();
+        // Message id -> nextAttemptAt of every queued or retrying message
+        this.due = new Map();
+        // Provider message id -> message id, for delivery reports
+        this.providerIds = new Map();
+    }
+
+    static async open(storage, provider, options = {}) {
+        const collection = await storage.collection('messages');
+        const messenger = new Messenger({ ...options, provider, collection });
+        (await collection.values()).forEach(message => messenger.index(message));
+        return messenger;
+    }
+
+    /**
+     * Bring the in-memory indexes up to date with a stored message
+     */
+    index(message) {
+        if (PENDING.includes(message.status)) this.due.set(message.id, message.nextAttemptAt);
+        else this.due.delete(message.id);
+        if (message.providerMessageId) this.providerIds.set(message.providerMessageId, message.id);
+    }
+
+    /**
+     * Queue a message; resolves with its status record
+     */
+    async send(to, text, { event = null, secret = null } = {}) {
+        const now = new Date().toISOString();
+        const message = {
+            id: crypto.randomUUID(),
+            to,
+            text: secret ? text.split(secret).join('*'.repeat(secret.length)) : text,
+            secret: Boolean(secret),
+            event,
+            status: 'queued',
+            attempts: 0,
+            provider: this.provider.name,
+            providerMessageId: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            nextAttemptAt: now,
+            history: [{ status: 'queued', at: now }]
+        };
+        if (secret) this.secrets.set(message.id, text);
+        await this.collection.put(message.id, message);
+        this.index(message);
+        this.schedule(0);
+        return message;
+    }
+
+    /**
+     * Start the worker, including messages left pending by a previous run
+     */
+    start() {
+        this.started = true;
+        this.schedule(0);
+    }
+
+    async stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.running) await this.running;
+    }
+
+    schedule(delay) {
+        if (!this.started) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.process(), Math.max(0, delay));
+        this.timer.unref();
+    }
+
+    /**
+     * Send every message that is due, then sleep until the next retry
+     */
+    process() {
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+        this.running = (async () => {
+            try {
+                do {
+                    this.rerun = false;
+                    for (const message of await this.pending(new Date().toISOString())) {
+                        await this.attempt(message);
+                    }
+                } while (this.rerun);
+
+                const [next] = this.dueIds();
+                if (next) {
+                    this.schedule(Date.parse(this.due.get(next)) - Date.now());
+                }
+            } catch (error) {
+                logger.error('SMS worker error', error);
+                this.schedule(this.baseDelay);
+            } finally {
+                this.running = null;
+            }
+        })();
+        return this.running;
+    }
+
+    /**
+     * Ids of queued and retrying messages, soonest first, optionally only
+     * those due by `before` (an ISO timestamp)
+     */
+    dueIds(before) {
+        return [...this.due.entries()]
+            .filter(([, nextAttemptAt]) => !before || nextAttemptAt <= before)
+            .sort(([, a], [, b]) => a.localeCompare(b))
+            .map(([id]) => id);
+    }
+
+    /**
+     * Queued and retrying messages, soonest first (see dueIds)
+     */
+    async pending(before) {
+        const messages = await Promise.all(this.dueIds(before).map(id => this.collection.get(id)));
+        return messages.filter(Boolean);
+    }
+
+    async attempt(message) {
+        const text = message.secret ? this.secrets.get(message.id) : message.text;
+        if (text === undefined) {
+            message.error = 'The text was not kept across a restart';
+            this.transition(message, 'failed', message.error);
+            this.index(message);
+            return this.collection.put(message.id, message);
+        }
+        message.attempts++;
+        try {
+            const result = await this.provider.send(message.to, text);
+            message.providerMessageId = result.messageId;
+            message.error = null;
+            this.transition(message, 'sent', result.status);
+        } catch (error) {
+            message.error = error.message;
+            if (error.retryable !== false && message.attempts < this.maxAttempts) {
+                message.nextAttemptAt = new Date(Date.now() + this.backoff(message.attempts)).toISOString();
+                this.transition(message, 'retrying', error.message);
+            } else {
+                this.transition(message, 'failed', error.message);
+            }
+            logger.warn('SMS failed', { messageId: message.id, to: message.to, attempt: message.attempts, reason: error.message });
+        }
+        if (message.status !== 'retrying') this.secrets.delete(message.id);
+        await this.collection.put(message.id, message);
+        this.index(message);
+    }
+
+    /**
+     * Delay before the next attempt: baseDelay, 2x, 4x, ... capped at maxDelay
+     */
+    backoff(attempts) {
+        return Math.min(this.maxDelay, this.baseDelay * 2 ** (attempts - 1));
+    }
+
+    transition(message, status, detail) {
+        const at = new Date().toISOString();
+        message.status = status;
+        message.updatedAt = at;
+        message.history.push(detail ? { status, at, detail } : { status, at });
+    }
+
+    /**
+     * Apply a provider delivery report ({ id, status, failureReason });
+     * resolves the updated record, or null for an unknown message id
+     */
+    async handleDeliveryReport({ id, status, failureReason } = {}) {
+        if (!id || !this.providerIds.has(id)) return null;
+        const message = await this.collection.get(this.providerIds.get(id));
+        if (!message) return null;
+
+        message.deliveryStatus = status;
+        if (failureReason) message.error = failureReason;
+        this.transition(message, DELIVERY_STATUSES[status] || message.status, failureReason || status);
+        if (message.status === 'delivered') message.deliveredAt = message.updatedAt;
+        return this.collection.put(message.id, message);
+    }
+
+    get(id) {
+        return this.collection.get(id);
+    }
+
+    /**
+     * Message records, newest first, optionally for one recipient
+     */
+    async list({ to } = {}) {
+        const messages = await this.collection.values();
+        return messages
+            .filter(message => !to || message.to === to)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Delete every message to a number, sent or not (see src/privacy/subject);
+     * resolves how many were deleted
+     */
+    async forget(to) {
+        const messages = await this.list({ to });
+        for (const message of messages) {
+            await this.collection.delete(message.id);
+            this.due.delete(message.id);
+            this.secrets.delete(message.id);
+            if (message.providerMessageId) this.providerIds.delete(message.providerMessageId);
+        }
+        return messages.length;
+    }
+}
+
+module.exports = { Messenger };
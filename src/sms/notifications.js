@@ -0,0 +1,111 @@
+/**
+ * Farmer notifications - turns domain events into SMS
+ *
+ * Screens emit events on ctx.events instead of sending SMS themselves:
+ *   farmer.registered (farmer)
+ *   farmer.updated    (farmer, changedFields)
+ *   farmer.pinCode    (farmer, code)    one-time code for setting a PIN
+ *   farmer.pinChanged (farmer, agent)   agent is null when the farmer did it
+ *   farmer.dataRequested   (farmer, policies, claims)   copy of their data
+ *   farmer.erasureRequested (farmer, request)
+ *   policy.paid          (policy, payment, farmer)
+ *   policy.paymentFailed (policy, payment, farmer)
+ *   claim.updated        (claim, farmer)   on submission and every status change
+ *   payout.triggered     (payout, farmer)  a weather index trigger fired
+ * Messages use the farmer's language from the "sms.*" catalog keys.
+ */
+
+const { DEFAULT_LANGUAGE, translator } = require('../i18n');
+const { cropName, formatDate, plotSummary } = require('../flow/format');
+const { totalAcreage, cropsGrown } = require('../farmers/plots');
+const { findProduct, productName, formatAmount } = require('../insurance/products');
+const { OTP_TTL } = require('../auth/pin');
+const { logger } = require('../logging');
+
+function registerNotifications(events, messenger) {
+    const notify = (event, farmer, key, params, { secret } = {}) => {
+        if (!farmer) return;
+        const t = translator(farmer.language || DEFAULT_LANGUAGE);
+        messenger.send(farmer.phoneNumber, t(key, params(t)), { event, secret })
+            .catch(error => logger.error('Could not queue SMS', { event, error }));
+    };
+
+    events.on('farmer.registered', farmer => notify('farmer.registered', farmer, 'sms.registered', t => ({
+        name: farmer.name,
+        county: farmer.county,
+        crops: cropsGrown(farmer).map(crop => cropName(t, crop)).join(', '),
+        acreage: totalAcreage(farmer)
+    })));
+
+    events.on('farmer.updated', (farmer, changedFields) => notify('farmer.updated', farmer, 'sms.updated', t => ({
+        name: farmer.name,
+        fields: changedFields.map(field => t(`field.${field}`)).join(', ')
+    })));
+
+    // The stored copy of the message has the code masked (see ./messenger)
+    events.on('farmer.pinCode', (farmer, code) => notify('farmer.pinCode', farmer, 'sms.pinCode', () => ({
+        code,
+        minutes: OTP_TTL / 60000
+    }), { secret: code }));
+
+    events.on('farmer.pinChanged', (farmer, agent) => notify('farmer.pinChanged', farmer, agent ? 'sms.pinResetByAgent' : 'sms.pinChanged', () => ({
+        name: farmer.name,
+        agent: agent ? agent.name : ''
+    })));
+
+    events.on('farmer.dataRequested', (farmer, policies, claims) => notify('farmer.dataRequested', farmer, 'sms.dataCopy', t => ({
+        name: farmer.name,
+        phoneNumber: farmer.phoneNumber,
+        home: [farmer.ward, farmer.subCounty, farmer.county].filter(Boolean).join(', '),
+        plots: farmer.plots.map(plot => plotSummary(t, plot)).join('; '),
+        language: t('language.name'),
+        registered: farmer.registrationDate,
+        consent: farmer.consent
+            ? t('sms.consentGiven', { version: farmer.consent.version, date: formatDate(farmer.consent.givenAt.slice(0, 10)) })
+            : t('sms.consentNotRecorded'),
+        policies: policies.map(policy => `${policy.id} (${t(`insurance.status.${policy.status}`)})`).join(', ') || t('sms.none'),
+        claims: claims.map(claim => `${claim.id} (${t(`claim.status.${claim.status}`)})`).join(', ') || t('sms.none')
+    })));
+
+    events.on('farmer.erasureRequested', (farmer, request) => notify('farmer.erasureRequested', farmer, 'sms.erasureRequested', () => ({
+        name: farmer.name,
+        id: request.id
+    })));
+
+    events.on('policy.paid', (policy, payment, farmer) => notify('policy.paid', farmer, 'sms.policyPaid', () => {
+        const product = findProduct(policy.productId);
+        return {
+            name: farmer.name,
+            amount: formatAmount(payment.amount),
+            receipt: payment.receipt,
+            id: policy.id,
+            product: product ? productName(product, farmer.language) : policy.productName,
+            acreage: policy.acreage,
+            start: formatDate(policy.coverageStart),
+            end: formatDate(policy.coverageEnd),
+            sumInsured: formatAmount(policy.sumInsured)
+        };
+    }));
+
+    events.on('policy.paymentFailed', (policy, payment, farmer) => notify('policy.paymentFailed', farmer, 'sms.paymentFailed', () => ({
+        name: farmer.name,
+        amount: formatAmount(payment.amount),
+        id: policy.id
+    })));
+
+    events.on('claim.updated', (claim, farmer) => notify('claim.updated', farmer, `sms.claim.${claim.status}`, () => ({
+        name: farmer.name,
+        id: claim.id,
+        amount: claim.payoutAmount !== null ? formatAmount(claim.payoutAmount) : '',
+        reason: claim.note || ''
+    })));
+
+    events.on('payout.triggered', (payout, farmer) => notify('payout.triggered', farmer, 'sms.indexPayout', t => ({
+        name: farmer.name,
+        event: t(`trigger.${payout.triggerType}`),
+        id: payout.policyId,
+        amount: formatAmount(payout.amount)
+    })));
+}
+
+module.exports = { registerNotifications };
@@ -0,0 +1,201 @@
+/**
+ * Append-only JSON-lines collection
+ *
+ * Every change is appended to <dir>/<name>.jsonl as one line:
+ *   { "op": "meta", "schemaVersion": 1 }
+ *   { "op": "put", "key": "+254712345678", "record": { ... } }
+ *   { "op": "del", "key": "+254712345678" }
+ *
+ * On open the log is replayed into memory, older schema versions are run
+ * through the collection's migrations and the log is compacted. Writes are
+ * queued so concurrent requests append in order, each followed by a
+ * datasync, and a lock file stops a second process writing the same log.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { clone } = require('./memory');
+const { logger } = require('../logging');
+
+class FileCollection {
+    constructor(name, { dir, schemaVersion = 1, migrations = {}, compactRatio = 2 } = {}) {
+        this.name = name;
+        this.file = path.join(dir, `${name}.jsonl`);
+        this.lockFile = `${this.file}.lock`;
+        this.dir = dir;
+        this.schemaVersion = schemaVersion;
+        this.migrations = migrations;
+        this.compactRatio = compactRatio;
+        this.records = new Map();
+        this.lines = 0;
+        this.handle = null;
+        this.queue = Promise.resolve();
+    }
+
+    async open() {
+        await fs.mkdir(this.dir, { recursive: true });
+        await this.acquireLock();
+
+        const version = await this.replay();
+        if (version < this.schemaVersion) {
+            this.migrate(version);
+            await this.compact();
+        } else if (version > this.schemaVersion) {
+            throw new Error(`${this.file} has schema version ${version}, this build supports ${this.schemaVersion}`);
+        } else if (this.lines === 0) {
+            await this.compact();
+        } else if (this.lines > this.records.size * this.compactRatio + 100) {
+            await this.compact();
+        }
+
+        if (!this.handle) {
+            this.handle = await fs.open(this.file, 'a');
+        }
+        return this;
+    }
+
+    /**
+     * Rebuild the in-memory index from the log and return its schema version
+     */
+    async replay() {
+        let content;
+        try {
+            content = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return this.schemaVersion;
+            throw error;
+        }
+
+        let version = 1;
+        const lines = content.split('\n').filter(line => line.trim());
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A crash mid-append can only damage the final line
+                if (index === lines.length - 1) {
+                    logger.warn('Ignoring truncated last entry', { file: this.file });
+                    return;
+                }
+                throw new Error(`Corrupt entry on line ${index + 1} of ${this.file}`);
+            }
+            if (entry.op === 'meta') version = entry.schemaVersion;
+            else if (entry.op === 'put') this.records.set(entry.key, entry.record);
+            else if (entry.op === 'del') this.records.delete(entry.key);
+        });
+        this.lines = lines.length;
+        return version;
+    }
+
+    /**
+     * Step every record through the migrations from `version` to the current one
+     */
+    migrate(version) {
+        for (let from = version; from < this.schemaVersion; from++) {
+            const migration = this.migrations[from];
+            if (!migration) {
+                throw new Error(`No migration for ${this.name} from schema version ${from}`);
+            }
+            logger.info('Migrating collection', { collection: this.name, from, to: from + 1 });
+            for (const [key, record] of this.records) {
+                this.records.set(key, migration(record));
+            }
+        }
+    }
+
+    /**
+     * Rewrite the log as one put per live record and swap it in atomically
+     */
+    async compact() {
+        await this.queue;
+        const tmpFile = `${this.file}.tmp`;
+        const entries = [{ op: 'meta', schemaVersion: this.schemaVersion }];
+        for (const [key, record] of this.records) {
+            entries.push({ op: 'put', key, record });
+        }
+
+        const tmp = await fs.open(tmpFile, 'w');
+        await tmp.writeFile(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        await tmp.sync();
+        await tmp.close();
+
+        if (this.handle) await this.handle.close();
+        await fs.rename(tmpFile, this.file);
+        this.handle = await fs.open(this.file, 'a');
+        this.lines = entries.length;
+    }
+
+    async acquireLock() {
+        try {
+            await fs.writeFile(this.lockFile, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const pid = Number(await fs.readFile(this.lockFile, 'utf8'));
+        if (pid && pid !== process.pid && isRunning(pid)) {
+            throw new Error(`${this.file} is locked by process ${pid}`);
+        }
+        // Stale lock left behind by a crashed process
+        await fs.writeFile(this.lockFile, String(process.pid));
+    }
+
+    append(entry) {
+        const write = this.queue.then(async () => {
+            await this.handle.appendFile(JSON.stringify(entry) + '\n');
+            await this.handle.datasync();
+            this.lines++;
+        });
+        // Keep the queue alive after a failed write; the caller still sees the error
+        this.queue = write.catch(() => {});
+        return write;
+    }
+
+    async get(key) {
+        return this.records.has(key) ? clone(this.records.get(key)) : null;
+    }
+
+    async put(key, record) {
+        const stored = clone(record);
+        this.records.set(key, stored);
+        await this.append({ op: 'put', key, record: stored });
+        return clone(stored);
+    }
+
+    async delete(key) {
+        if (!this.records.has(key)) return false;
+        this.records.delete(key);
+        await this.append({ op: 'del', key });
+        return true;
+    }
+
+    async values() {
+        return [...this.records.values()].map(clone);
+    }
+
+    async count() {
+        return this.records.size;
+    }
+
+    async close() {
+        await this.queue;
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+        await fs.rm(this.lockFile, { force: true });
+    }
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+module.exports = { FileCollection };
@@ -0,0 +1,49 @@
+/**
+ * Storage factory
+ *
+ * Hands out named collections backed by the configured driver:
+ *   file   - append-only JSON-lines logs under DATA_DIR (default)
+ *   memory - process memory only, for tests
+ */
+
+const path = require('path');
+const { MemoryCollection } = require('./memory');
+const { FileCollection } = require('./file');
+
+const DRIVERS = {
+    memory: (name) => new MemoryCollection(name),
+    file: (name, options) => new FileCollection(name, options)
+};
+
+function createStorage({
+    driver = process.env.STORAGE_DRIVER || 'file',
+    dir = process.env.DATA_DIR || path.join(process.cwd(), 'data')
+} = {}) {
+    if (!DRIVERS[driver]) {
+        throw new Error(`Unknown storage driver "${driver}" (expected: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    const opened = [];
+
+    return {
+        driver,
+
+        /**
+         * Open a collection, replaying and migrating it if it is persisted
+         */
+        async collection(name, options = {}) {
+            const collection = DRIVERS[driver](name, { ...options, dir });
+            await collection.open();
+            opened.push(collection);
+            return collection;
+        },
+
+        /**
+         * Flush pending writes and release every collection
+         */
+        async close() {
+            await Promise.all(opened.map(collection => collection.close()));
+        }
+    };
+}
+
+module.exports = { createStorage };
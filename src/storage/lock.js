@@ -0,0 +1,30 @@
+/**
+ * Per-key locks for read-modify-write on a collection
+ *
+ * Collections copy records in and out, so two requests that read a record,
+ * await something and put it back would each overwrite the other's change.
+ * Work run through the same lock with the same key runs one at a time, in
+ * call order; different keys do not wait for each other.
+ *
+ *   const lock = keyedLock();
+ *   await lock('+254712345678', async () => { ...get, change, put... });
+ *
+ * Work under a lock must not take the same key again: it would wait for
+ * itself.
+ */
+
+function keyedLock() {
+    const tails = new Map();
+    return (key, work) => {
+        const result = (tails.get(key) || Promise.resolve()).then(work);
+        // Keep the chain alive after a failure; the caller still sees the error
+        const tail = result.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return result;
+    };
+}
+
+module.exports = { keyedLock };
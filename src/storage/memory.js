@@ -0,0 +1,46 @@
+/**
+ * In-memory collection - nothing survives a restart, used for tests and demos
+ */
+
+class MemoryCollection {
+    constructor(name) {
+        this.name = name;
+        this.records = new Map();
+    }
+
+    async open() {
+        return this;
+    }
+
+    async get(key) {
+        return this.records.has(key) ? clone(this.records.get(key)) : null;
+    }
+
+    async put(key, record) {
+        this.records.set(key, clone(record));
+        return clone(record);
+    }
+
+    async delete(key) {
+        return this.records.delete(key);
+    }
+
+    async values() {
+        return [...this.records.values()].map(clone);
+    }
+
+    async count() {
+        return this.records.size;
+    }
+
+    async close() {}
+}
+
+/**
+ * Copy records in and out so callers can never mutate stored state directly
+ */
+function clone(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+module.exports = { MemoryCollection, clone };
@@ -0,0 +1,145 @@
+/**
+ * Input rules shared by the USSD screens, the admin API and the importer
+ *
+ * Every check takes raw input and returns either { value } with the cleaned
+ * value or { error: { key, params } }, where `key` is a message catalog key
+ * (see src/i18n) so each caller can show the error in its own language.
+ */
+
+const { translate, DEFAULT_LANGUAGE } = require('../i18n');
+const { normalizeMsisdn } = require('./msisdn');
+
+const NAME_MIN_LENGTH = 2;
+const NAME_MAX_LENGTH = 60;
+
+// Plausible sizes for a smallholder plot, in acres
+const MIN_ACREAGE = 0.1;
+const MAX_ACREAGE = 1000;
+const ACRES_PER_HECTARE = 2.4711;
+
+const TEXT_MAX_LENGTH = 40;
+
+const PIN_LENGTH = 4;
+
+function fail(key, params) {
+    return { error: params ? { key, params } : { key } };
+}
+
+function checkPhoneNumber(input) {
+    const value = normalizeMsisdn(input);
+    return value ? { value } : fail('validation.phoneInvalid');
+}
+
+/**
+ * Letters, spaces, apostrophes, hyphens and dots; extra spaces are removed
+ */
+function checkName(input) {
+    const value = String(input === undefined || input === null ? '' : input).trim().replace(/\s+/g, ' ');
+    if (!value) return fail('validation.nameRequired');
+    if (/\d/.test(value)) return fail('validation.nameDigits');
+    if (!/^[\p{L}\p{M}' .-]+$/u.test(value)) return fail('validation.nameCharacters');
+    if ((value.match(/\p{L}/gu) || []).length < NAME_MIN_LENGTH || value.length > NAME_MAX_LENGTH) {
+        return fail('validation.nameLength', { min: NAME_MIN_LENGTH, max: NAME_MAX_LENGTH });
+    }
+    return { value };
+}
+
+/**
+ * Acres as a plain number ("2.5", "2,5", "3 acres"); hectares are converted
+ * when marked ("1 ha"). Numbers, as sent by the admin API, are accepted too.
+ */
+function checkAcreage(input) {
+    let acres;
+    if (typeof input === 'number') {
+        acres = input;
+    } else {
+        const text = String(input === undefined || input === null ? '' : input).trim().toLowerCase();
+        const match = text.match(/^(\d+(?:[.,]\d+)?)\s*(acres?|ac|ekari|ha|hectares?)?$/);
+        if (!match) return fail('validation.acreageFormat');
+        acres = Number(match[1].replace(',', '.'));
+        if (match[2] && match[2].startsWith('h')) acres *= ACRES_PER_HECTARE;
+    }
+    if (!Number.isFinite(acres)) return fail('validation.acreageFormat');
+    if (acres < MIN_ACREAGE || acres > MAX_ACREAGE) {
+        return fail('validation.acreageRange', { min: MIN_ACREAGE, max: MAX_ACREAGE });
+    }
+    return { value: Math.round(acres * 100) / 100 };
+}
+
+/**
+ * Free text such as a custom crop or a typed ward name
+ */
+function checkText(input, requiredKey = 'validation.textRequired') {
+    const value = String(input === undefined || input === null ? '' : input).trim().replace(/\s+/g, ' ');
+    if (!value) return fail(requiredKey);
+    if (!/\p{L}/u.test(value)) return fail('validation.textLetters');
+    if (value.length > TEXT_MAX_LENGTH) return fail('validation.textLength', { max: TEXT_MAX_LENGTH });
+    return { value };
+}
+
+/**
+ * A whole percentage from 1 to 100; "40" and "40%" both work
+ */
+function checkPercentage(input) {
+    const match = String(input === undefined || input === null ? '' : input).trim().match(/^(\d{1,3})\s*%?$/);
+    const value = match ? Number(match[1]) : NaN;
+    if (!(value >= 1 && value <= 100)) return fail('validation.percentFormat');
+    return { value };
+}
+
+/**
+ * A new PIN: exactly PIN_LENGTH digits, not one repeated digit and not a
+ * straight run such as 1234 or 9876
+ */
+function checkPin(input) {
+    const value = String(input === undefined || input === null ? '' : input).trim();
+    if (!new RegExp(`^\\d{${PIN_LENGTH}}$`).test(value)) return fail('validation.pinFormat', { length: PIN_LENGTH });
+    // Differences between neighbouring digits: all 0 (1111) or all +-1 (1234, 4321)
+    const steps = new Set(Array.from(value).slice(1).map((digit, index) => Number(digit) - Number(value[index])));
+    if (steps.size === 1 && Math.abs([...steps][0]) <= 1) return fail('validation.pinWeak');
+    return { value };
+}
+
+/**
+ * A day as DD/MM/YYYY (also with - or . between the parts), returned as
+ * YYYY-MM-DD. Given both `from` and `to` (YYYY-MM-DD), the day must lie
+ * between them.
+ */
+function checkDate(input, { from = null, to = null } = {}) {
+    const match = String(input === undefined || input === null ? '' : input).trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return fail('validation.dateFormat');
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCDate() !== day || date.getUTCMonth() !== month - 1) return fail('validation.dateFormat');
+
+    const value = date.toISOString().slice(0, 10);
+    if (from && to && (value < from || value > to)) {
+        const shown = iso => iso.split('-').reverse().join('/');
+        return fail('validation.dateRange', { from: shown(from), to: shown(to) });
+    }
+    return { value };
+}
+
+/**
+ * An error from one of the checks as text, for APIs and reports
+ */
+function describe(error, language = DEFAULT_LANGUAGE) {
+    return translate(language, error.key, error.params);
+}
+
+module.exports = {
+    NAME_MIN_LENGTH,
+    NAME_MAX_LENGTH,
+    MIN_ACREAGE,
+    MAX_ACREAGE,
+    PIN_LENGTH,
+    normalizeMsisdn,
+    checkPhoneNumber,
+    checkName,
+    checkAcreage,
+    checkText,
+    checkPercentage,
+    checkDate,
+    checkPin,
+    describe
+};
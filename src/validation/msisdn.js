@@ -0,0 +1,63 @@
+/**
+ * Phone numbers (MSISDNs) in E.164 form
+ *
+ * Gateways, the simulator and people typing numbers use every variant:
+ * "+254712345678", "254712345678", "0712345678", "712 345 678",
+ * "00254712345678". normalizeMsisdn() turns all of them into
+ * "+254712345678" so a farmer has exactly one key in the registry.
+ *
+ * Numbers without a country code are read as DEFAULT_COUNTRY_CODE (Kenya by
+ * default). Only East African mobile ranges are accepted.
+ */
+
+// country code -> national number length and leading mobile digits
+const COUNTRIES = {
+    254: { name: 'Kenya', length: 9, mobile: /^[17]/ },
+    255: { name: 'Tanzania', length: 9, mobile: /^[67]/ },
+    256: { name: 'Uganda', length: 9, mobile: /^7/ },
+    250: { name: 'Rwanda', length: 9, mobile: /^7/ },
+    257: { name: 'Burundi', length: 8, mobile: /^[67]/ },
+    211: { name: 'South Sudan', length: 9, mobile: /^9/ },
+    243: { name: 'DR Congo', length: 9, mobile: /^[89]/ },
+    252: { name: 'Somalia', length: 9, mobile: /^[67]/ }
+};
+
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '254');
+
+/**
+ * E.164 form of `input`, or null when it is not a supported mobile number
+ */
+function normalizeMsisdn(input, { defaultCountry = DEFAULT_COUNTRY_CODE } = {}) {
+    if (input === undefined || input === null) return null;
+    const text = String(input).trim();
+    if (!/^\+?[\d\s().-]+$/.test(text)) return null;
+
+    let digits = text.replace(/\D/g, '');
+    const international = text.startsWith('+') || digits.startsWith('00');
+    if (digits.startsWith('00')) digits = digits.slice(2);
+
+    let country = international ? Object.keys(COUNTRIES).find(code => digits.startsWith(code)) : null;
+    let national;
+    if (country) {
+        national = digits.slice(country.length);
+    } else if (international) {
+        return null;
+    } else {
+        // Full number without "+", or a national number with or without the trunk 0
+        country = Object.keys(COUNTRIES).find(code => (
+            digits.startsWith(code) && digits.length === code.length + COUNTRIES[code].length
+        ));
+        if (country) {
+            national = digits.slice(country.length);
+        } else {
+            country = defaultCountry;
+            national = digits.replace(/^0/, '');
+        }
+    }
+
+    const rules = COUNTRIES[country];
+    if (!rules || national.length !== rules.length || !rules.mobile.test(national)) return null;
+    return `+${country}${national}`;
+}
+
+module.exports = { COUNTRIES, DEFAULT_COUNTRY_CODE, normalizeMsisdn };
@@ -0,0 +1,68 @@
+/**
+ * Weather datasets - each uploaded file, kept as it was evaluated
+ *
+ * Stored in the "weather-datasets" collection keyed by a checksum of the
+ * readings, so uploading the same data twice (in any row order) finds the
+ * dataset already there instead of adding a copy:
+ *   { id, checksum, source, areas, from, to, readingCount, readings,
+ *     createdAt, createdBy }
+ * Datasets are never changed once stored; corrected data is a new dataset.
+ */
+
+const crypto = require('crypto');
+const { areaKey } = require('./readings');
+
+class WeatherDatasets {
+    constructor(collection) {
+        this.collection = collection;
+    }
+
+    static async open(storage) {
+        return new WeatherDatasets(await storage.collection('weather-datasets'));
+    }
+
+    get(id) {
+        return this.collection.get(String(id).toUpperCase());
+    }
+
+    /**
+     * Store parsed readings (see ./readings); resolves { dataset, created }
+     */
+    async add(readings, { source = null, by = 'admin' } = {}) {
+        const checksum = crypto.createHash('sha256').update(JSON.stringify(readings)).digest('hex');
+        const id = `WD${checksum.slice(0, 10).toUpperCase()}`;
+        const existing = await this.get(id);
+        if (existing) return { dataset: existing, created: false };
+
+        const dates = readings.map(reading => reading.date).sort();
+        const dataset = await this.collection.put(id, {
+            id,
+            checksum,
+            source,
+            areas: [...new Set(readings.map(areaKey))],
+            from: dates[0] || null,
+            to: dates[dates.length - 1] || null,
+            readingCount: readings.length,
+            readings,
+            createdAt: new Date().toISOString(),
+            createdBy: by
+        });
+        return { dataset, created: true };
+    }
+
+    /**
+     * Datasets without their readings, newest first
+     */
+    async list() {
+        const datasets = await this.collection.values();
+        return datasets
+            .map(summary)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+function summary({ readings, ...dataset }) {
+    return dataset;
+}
+
+module.exports = { WeatherDatasets, summary };
@@ -0,0 +1,230 @@
+/**
+ * Weather-index trigger engine
+ *
+ * run() checks every paid policy against a stored dataset: the readings
+ * for the insured plot's ward (or, without ward data, its county) inside the
+ * policy's cover are evaluated against the policy's triggers (see
+ * ./triggers). Each trigger that fires pays its share of the sum insured,
+ * at most once per policy and never more than the sum insured in total.
+ *
+ * A run is recorded in full in the "trigger-runs" collection, including the
+ * data points that fired each trigger, so a payout can always be traced
+ * back to the weather that caused it:
+ *   { id, datasetId, checksum, dryRun, by, startedAt, finishedAt,
+ *     policiesEvaluated, fired: [{ policyId, phoneNumber, productId, trigger,
+ *     area, evidence, payoutId, amount, outcome }], skipped: [{ policyId,
+ *     reason }], payoutCount, payoutTotal }
+ * outcome is `paid` (new payout), `alreadyTriggered` (an earlier run paid
+ * it) or `capped` (the sum insured is used up). Payouts live in "payouts",
+ * keyed by policy and trigger, and each new one emits
+ * payout.triggered (payout, farmer) on `events`:
+ *   { id, policyId, phoneNumber, productId, triggerId, triggerType, amount,
+ *     currency, runId, datasetId, status: "triggered", createdAt }
+ *
+ * Running the same dataset again reports the same triggers and creates no
+ * new payouts. Runs are applied one at a time.
+ */
+
+const { evaluateTrigger } = require('./triggers');
+const { areaKey } = require('./readings');
+const { findProduct } = require('../insurance/products');
+const { newReference } = require('../insurance/references');
+
+class TriggerEngine {
+    constructor({ runs, payouts, datasets, policies, farmers, events }) {
+        this.runs = runs;
+        this.payouts = payouts;
+        this.datasets = datasets;
+        this.policies = policies;
+        this.farmers = farmers;
+        this.events = events;
+        this.queue = Promise.resolve();
+    }
+
+    static async open(storage, options) {
+        const runs = await storage.collection('trigger-runs');
+        const payouts = await storage.collection('payouts');
+        return new TriggerEngine({ ...options, runs, payouts });
+    }
+
+    /**
+     * Evaluate a dataset; resolves the run record, or null for an unknown
+     * dataset. With dryRun the run is reported but nothing is stored.
+     */
+    run(datasetId, options = {}) {
+        const result = this.queue.then(() => this.evaluate(datasetId, options));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async evaluate(datasetId, { dryRun = false, by = 'admin' } = {}) {
+        const dataset = await this.datasets.get(datasetId);
+        if (!dataset) return null;
+
+        const startedAt = new Date().toISOString();
+        const id = dryRun ? null : await newReference(this.runs, 'TR');
+        const series = groupByArea(dataset.readings);
+        const policies = (await this.policies.list())
+            // Expired policies too: data for a past season can arrive late
+            .filter(policy => policy.paidAt)
+            .sort((a, b) => a.id.localeCompare(b.id));
+
+        const fired = [];
+        const skipped = [];
+        const created = [];
+        for (const policy of policies) {
+            const triggers = policy.triggers || (findProduct(policy.productId) || {}).triggers || [];
+            if (!triggers.length) {
+                skipped.push({ policyId: policy.id, reason: 'noTriggers' });
+                continue;
+            }
+            const farmer = await this.farmers.get(policy.phoneNumber);
+            const area = policyArea(policy, farmer, series);
+            if (!area) {
+                skipped.push({ policyId: policy.id, reason: 'noData' });
+                continue;
+            }
+            const covered = series.get(areaKey(area))
+                .filter(reading => reading.date >= policy.coverageStart && reading.date <= policy.coverageEnd);
+            if (!covered.length) {
+                skipped.push({ policyId: policy.id, reason: 'outsideCover' });
+                continue;
+            }
+
+            let paidSoFar = (await this.payoutsFor(policy.id)).reduce((sum, payout) => sum + payout.amount, 0);
+            for (const trigger of triggers) {
+                const evidence = evaluateTrigger(trigger, covered);
+                if (!evidence) continue;
+
+                const payoutId = `${policy.id}-${trigger.id}`;
+                const entry = { policyId: policy.id, phoneNumber: policy.phoneNumber, productId: policy.productId, trigger, area, evidence, payoutId: null, amount: 0 };
+                const earlier = await this.payouts.get(payoutId);
+                const amount = Math.min(Math.round(policy.sumInsured * trigger.payoutPercent / 100), policy.sumInsured - paidSoFar);
+                if (earlier) {
+                    Object.assign(entry, { payoutId, amount: earlier.amount, outcome: 'alreadyTriggered' });
+                } else if (amount <= 0) {
+                    entry.outcome = 'capped';
+                } else {
+                    Object.assign(entry, { payoutId, amount, outcome: 'paid' });
+                    paidSoFar += amount;
+                    created.push({
+                        payout: {
+                            id: payoutId,
+                            policyId: policy.id,
+                            phoneNumber: policy.phoneNumber,
+                            productId: policy.productId,
+                            triggerId: trigger.id,
+                            triggerType: trigger.type,
+                            amount,
+                            currency: policy.currency,
+                            runId: id,
+                            datasetId: dataset.id,
+                            status: 'triggered',
+                            createdAt: startedAt
+                        },
+                        farmer
+                    });
+                }
+                fired.push(entry);
+            }
+        }
+
+        const run = {
+            id,
+            datasetId: dataset.id,
+            checksum: dataset.checksum,
+            dryRun,
+            by,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            policiesEvaluated: policies.length,
+            fired,
+            skipped,
+            payoutCount: created.length,
+            payoutTotal: created.reduce((sum, { payout }) => sum + payout.amount, 0)
+        };
+        if (dryRun) return run;
+
+        await this.runs.put(id, run);
+        for (const { payout, farmer } of created) {
+            await this.payouts.put(payout.id, payout);
+            this.events.emit('payout.triggered', payout, farmer);
+        }
+        return run;
+    }
+
+    getRun(id) {
+        return this.runs.get(String(id).toUpperCase());
+    }
+
+    /**
+     * Runs without their per-policy detail, newest first
+     */
+    async listRuns({ datasetId } = {}) {
+        const runs = await this.runs.values();
+        return runs
+            .filter(run => !datasetId || run.datasetId === datasetId)
+            .map(({ fired, skipped, ...run }) => ({ ...run, firedCount: fired.length, skippedCount: skipped.length }))
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    /**
+     * Payouts, newest first, optionally for one farmer or policy
+     */
+    async listPayouts({ phoneNumber, policyId } = {}) {
+        const payouts = await this.payouts.values();
+        return payouts
+            .filter(payout => !phoneNumber || payout.phoneNumber === phoneNumber)
+            .filter(payout => !policyId || payout.policyId === policyId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || a.id.localeCompare(b.id));
+    }
+
+    payoutsFor(policyId) {
+        return this.listPayouts({ policyId });
+    }
+
+    /**
+     * Put `pseudonym` in place of a farmer's phone number on their payouts
+     * and in the runs that fired them (see src/privacy/subject); resolves
+     * { payouts, runs } changed
+     */
+    async anonymize(phoneNumber, pseudonym) {
+        const payouts = await this.listPayouts({ phoneNumber });
+        for (const payout of payouts) {
+            await this.payouts.put(payout.id, { ...payout, phoneNumber: pseudonym });
+        }
+        const runs = (await this.runs.values()).filter(run => run.fired.some(fired => fired.phoneNumber === phoneNumber));
+        for (const run of runs) {
+            const fired = run.fired.map(entry => (entry.phoneNumber === phoneNumber ? { ...entry, phoneNumber: pseudonym } : entry));
+            await this.runs.put(run.id, { ...run, fired });
+        }
+        return { payouts: payouts.length, runs: runs.length };
+    }
+}
+
+/**
+ * Readings by area key, each list in date order
+ */
+function groupByArea(readings) {
+    const series = new Map();
+    readings.forEach(reading => {
+        const key = areaKey(reading);
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push(reading);
+    });
+    return series;
+}
+
+/**
+ * The area whose readings apply to a policy: the plot's ward if the
+ * dataset has it, otherwise the county
+ */
+function policyArea(policy, farmer, series) {
+    const plot = farmer && (farmer.plots || []).find(candidate => candidate.id === policy.plotId);
+    const ward = plot && plot.ward;
+    if (ward && series.has(areaKey({ county: policy.county, ward }))) return { county: policy.county, ward };
+    if (series.has(policy.county)) return { county: policy.county, ward: null };
+    return null;
+}
+
+module.exports = { TriggerEngine };
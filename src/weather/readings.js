@@ -0,0 +1,129 @@
+/**
+ * Daily weather readings from CSV or JSON files
+ *
+ * CSV with a header row; column order is free:
+ *   date, county                        required
+ *   ward                                optional (blank: the whole county)
+ *   rainfallMm, minTempC, maxTempC      at least one per row
+ * JSON is an array of objects with the same fields, or { readings: [...] }.
+ *
+ * Readings come out sorted by county, ward and date so the same data always
+ * gives the same dataset, whatever order the file listed it in:
+ *   { date: "YYYY-MM-DD", county, ward, rainfallMm, minTempC, maxTempC }
+ * Missing measurements are null.
+ */
+
+const { parseCsv } = require('../farmers/csv');
+const { findCounty } = require('../locations');
+
+const REQUIRED_COLUMNS = ['date', 'county'];
+const MEASUREMENTS = ['rainfallMm', 'minTempC', 'maxTempC'];
+const OPTIONAL_COLUMNS = ['ward', ...MEASUREMENTS];
+
+/**
+ * The file as a whole could not be read
+ */
+class WeatherDataError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'WeatherDataError';
+        this.details = details;
+    }
+}
+
+/**
+ * Rows as plain objects; `row` is the spreadsheet line or the array position
+ */
+function csvRows(text) {
+    const [header, ...rows] = parseCsv(String(text || ''));
+    if (!header) throw new WeatherDataError('The CSV is empty');
+    const columns = header.map(column => column.trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    const unknown = columns.filter(column => ![...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].includes(column));
+    if (missing.length || unknown.length || !MEASUREMENTS.some(column => columns.includes(column))) {
+        throw new WeatherDataError('The CSV header is invalid', [
+            ...missing.map(column => ({ field: column, message: 'Missing column' })),
+            ...unknown.map(column => ({ field: column, message: 'Unknown column' })),
+            ...(MEASUREMENTS.some(column => columns.includes(column))
+                ? []
+                : [{ field: 'rainfallMm', message: `Needs at least one of ${MEASUREMENTS.join(', ')}` }])
+        ]);
+    }
+    return rows.map((values, index) => {
+        const cells = { row: index + 2 };
+        columns.forEach((column, position) => { cells[column] = values[position]; });
+        return cells;
+    });
+}
+
+function jsonRows(value) {
+    const list = Array.isArray(value) ? value : value && value.readings;
+    if (!Array.isArray(list)) throw new WeatherDataError('Expected an array of readings or { "readings": [...] }');
+    return list.map((item, index) => ({ ...(item && typeof item === 'object' ? item : {}), row: index + 1 }));
+}
+
+function parseDate(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+    const date = new Date(`${text}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text) ? text : null;
+}
+
+function parseMeasurement(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(String(value).trim());
+    return Number.isFinite(number) ? number : NaN;
+}
+
+function validateRow(cells) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    const date = parseDate(cells.date);
+    if (!date) fail('date', 'Must be a date as YYYY-MM-DD');
+    const county = findCounty(cells.county);
+    if (!county) fail('county', 'No county with that name');
+    const ward = cells.ward && String(cells.ward).trim() ? String(cells.ward).trim() : null;
+
+    const reading = { date, county: county && county.name, ward };
+    MEASUREMENTS.forEach(field => {
+        reading[field] = parseMeasurement(cells[field]);
+        if (Number.isNaN(reading[field])) fail(field, 'Must be a number');
+    });
+    if (reading.rainfallMm < 0) fail('rainfallMm', 'Cannot be negative');
+    if (MEASUREMENTS.every(field => reading[field] === null)) {
+        fail('rainfallMm', `Needs at least one of ${MEASUREMENTS.join(', ')}`);
+    }
+    return { reading, errors };
+}
+
+/**
+ * Key of the area a reading belongs to: the county, or a ward within it
+ */
+function areaKey({ county, ward }) {
+    return ward ? `${county}/${ward.toLowerCase()}` : county;
+}
+
+/**
+ * Parse a CSV string or an already decoded JSON value. Resolves
+ *   { readings, errors: [{ row, errors: [{ field, message }] }] }
+ * A second reading for the same day and area is an error.
+ */
+function parseReadings(input, format) {
+    const rows = format === 'csv' ? csvRows(input) : jsonRows(input);
+    const readings = [];
+    const errors = [];
+    const seen = new Set();
+    rows.forEach(cells => {
+        const { reading, errors: rowErrors } = validateRow(cells);
+        const key = `${areaKey(reading)}@${reading.date}`;
+        if (!rowErrors.length && seen.has(key)) rowErrors.push({ field: 'date', message: 'Second reading for this day and area' });
+        seen.add(key);
+        if (rowErrors.length) errors.push({ row: cells.row, errors: rowErrors });
+        else readings.push(reading);
+    });
+    readings.sort((a, b) => areaKey(a).localeCompare(areaKey(b)) || a.date.localeCompare(b.date));
+    return { readings, errors };
+}
+
+module.exports = { parseReadings, areaKey, WeatherDataError, MEASUREMENTS };
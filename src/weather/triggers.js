@@ -0,0 +1,132 @@
+/**
+ * Weather-index triggers
+ *
+ * A product lists the weather events that pay out, whatever each farmer's
+ * own harvest turned out to be:
+ *   { id, type, payoutPercent, ...parameters }
+ * payoutPercent is the share of the sum insured paid when the trigger fires.
+ *
+ * Types:
+ *   rainfallBelow  { windowDays, thresholdMm }
+ *                  rainfall over any `windowDays` consecutive days of cover
+ *                  adds up to less than thresholdMm
+ *   dryDays        { days, dryBelowMm = 1 }
+ *                  `days` consecutive days each with less than dryBelowMm
+ *   coldDays       { days = 1, thresholdC }
+ *                  `days` consecutive days with a minimum below thresholdC
+ *
+ * Evaluation is a pure function of the readings, so the same dataset always
+ * gives the same result. Only complete stretches count: a day without a
+ * reading breaks a window or a run rather than being taken as dry or cold.
+ */
+
+const TRIGGER_TYPES = {
+    rainfallBelow: {
+        required: ['windowDays', 'thresholdMm'],
+        evaluate: (series, { windowDays, thresholdMm }) => {
+            const days = series.filter(reading => reading.rainfallMm !== null);
+            for (let end = windowDays - 1; end < days.length; end++) {
+                const window = days.slice(end - windowDays + 1, end + 1);
+                if (!consecutive(window)) continue;
+                const total = round(window.reduce((sum, reading) => sum + reading.rainfallMm, 0));
+                if (total < thresholdMm) {
+                    return fired(window, 'rainfallMm', { observed: total, threshold: thresholdMm, unit: 'mm' });
+                }
+            }
+            return null;
+        }
+    },
+
+    dryDays: {
+        required: ['days'],
+        evaluate: (series, { days, dryBelowMm = 1 }) => {
+            const run = firstRun(series, reading => reading.rainfallMm !== null && reading.rainfallMm < dryBelowMm, days);
+            return run && fired(run, 'rainfallMm', { observed: run.length, threshold: days, unit: 'days' });
+        }
+    },
+
+    coldDays: {
+        required: ['thresholdC'],
+        evaluate: (series, { days = 1, thresholdC }) => {
+            const run = firstRun(series, reading => reading.minTempC !== null && reading.minTempC < thresholdC, days);
+            return run && fired(run, 'minTempC', { observed: run.length, threshold: days, unit: 'days' });
+        }
+    }
+};
+
+/**
+ * Evaluate one trigger against an area's readings (sorted by date, already
+ * limited to the policy's cover). Resolves null, or the evidence:
+ *   { observed, threshold, unit, from, to, dataPoints: [{ date, value }] }
+ */
+function evaluateTrigger(trigger, series) {
+    return TRIGGER_TYPES[trigger.type].evaluate(series, trigger);
+}
+
+/**
+ * Everything wrong with a product's trigger list, as readable lines
+ */
+function checkTriggers(label, triggers = []) {
+    const problems = [];
+    if (!Array.isArray(triggers)) return [`product ${label} has triggers that are not a list`];
+    const ids = new Set();
+    triggers.forEach((trigger, index) => {
+        const name = `product ${label} trigger ${trigger.id || `#${index + 1}`}`;
+        if (!trigger.id) problems.push(`${name} has no id`);
+        if (ids.has(trigger.id)) problems.push(`${name} id is used twice`);
+        ids.add(trigger.id);
+        const type = TRIGGER_TYPES[trigger.type];
+        if (!type) {
+            problems.push(`${name} has unknown type "${trigger.type}" (expected: ${Object.keys(TRIGGER_TYPES).join(', ')})`);
+            return;
+        }
+        type.required.filter(field => typeof trigger[field] !== 'number')
+            .forEach(field => problems.push(`${name} needs a number ${field}`));
+        ['windowDays', 'days'].filter(field => trigger[field] !== undefined && !(Number.isInteger(trigger[field]) && trigger[field] > 0))
+            .forEach(field => problems.push(`${name} needs a whole number of ${field} above 0`));
+        if (!(trigger.payoutPercent > 0 && trigger.payoutPercent <= 100)) {
+            problems.push(`${name} needs a payoutPercent from 1 to 100`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * First run of `length` consecutive days that all pass `test`
+ */
+function firstRun(series, test, length) {
+    let run = [];
+    for (const reading of series) {
+        const follows = run.length && daysBetween(run[run.length - 1].date, reading.date) === 1;
+        if (!test(reading)) {
+            run = [];
+            continue;
+        }
+        run = follows ? [...run, reading] : [reading];
+        if (run.length === length) return run;
+    }
+    return null;
+}
+
+function consecutive(readings) {
+    return daysBetween(readings[0].date, readings[readings.length - 1].date) === readings.length - 1;
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+function fired(readings, field, result) {
+    return {
+        ...result,
+        from: readings[0].date,
+        to: readings[readings.length - 1].date,
+        dataPoints: readings.map(reading => ({ date: reading.date, value: reading[field] }))
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { TRIGGER_TYPES, evaluateTrigger, checkTriggers };
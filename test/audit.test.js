@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { startApp } = require('./harness');
+const { createStorage } = require('../src/storage');
+const { AuditTrail } = require('../src/audit');
+
+const REGISTRATION = ['1', '1', '1', 'Lucy Wairimu', 'ki', '1', '1', 'Kanyenyaini', '1', '1', '2', '2.5', '1', '4826', '4826'];
+
+let app;
+before(async () => {
+    app = await startApp();
+});
+after(() => app.stop());
+
+async function api(path, options = {}) {
+    const response = await fetch(`${app.baseUrl}/api/v1${path}`, { ...options, headers: { 'X-API-Key': 'test-key' } });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+test('changes from USSD and the admin API are audited and can be found by phone number', async () => {
+    await app.dial('+254711000601').run(REGISTRATION);
+    await app.dial('+254711000602').run(REGISTRATION);
+    assert.equal((await api('/farmers/0711000601', { method: 'DELETE' })).status, 204);
+
+    const { status, body } = await api('/audit?phone=0711000601');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(entry => [entry.action, entry.source]), [['created', 'ussd'], ['deleted', 'admin']]);
+    assert.ok(body.data[0].fields.includes('pin'));
+    assert.ok(!JSON.stringify(body).includes('0711000601') && !JSON.stringify(body).includes('Lucy'), 'no phone numbers or values');
+
+    assert.equal((await api('/audit?action=created')).body.count, 2);
+    assert.equal((await api('/audit?phone=12')).status, 400);
+
+    const verified = (await api('/audit/verify')).body.data;
+    assert.equal(verified.valid, true);
+    assert.equal(verified.entries, 3);
+    assert.equal(verified.head, body.data[1].hash);
+});
+
+test('an edited or removed entry breaks the chain', async () => {
+    const storage = createStorage({ driver: 'memory' });
+    const trail = await AuditTrail.open(storage, { key: 'test' });
+    await Promise.all(['+254711000701', '+254711000702', '+254711000703']
+        .map(phone => trail.record('created', phone, { source: 'import', fields: ['name'] })));
+    assert.deepEqual(await trail.verify(), { valid: true, entries: 3, head: trail.last.hash });
+
+    const [, second] = await trail.all();
+    await trail.collection.put('000000000002', { ...second, source: 'admin' });
+    assert.deepEqual(await trail.verify(), {
+        valid: false, entries: 3, head: (await trail.all())[0].hash, brokenAt: 2, reason: 'content does not match its hash'
+    });
+
+    await trail.collection.delete('000000000002');
+    assert.equal((await trail.verify()).reason, 'expected entry 2, found 3');
+});
@@ -0,0 +1,132 @@
+const assert = require('node:assert/strict');
+const { test, before, after, mock } = require('node:test');
+const { startApp } = require('./harness');
+const { createStorage } = require('../src/storage');
+const { ClaimRepository, ClaimTransitionError } = require('../src/insurance/claims');
+const { PolicyRepository } = require('../src/insurance/policies');
+
+const REGISTRATION = ['1', '1', '1', 'Ann Mumbi', '1', '1', 'Kolowa', '1', '1', '2', '2.5', '1', '4826', '4826'];
+const DAY = 24 * 60 * 60 * 1000;
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+/**
+ * Register, buy the maize drought cover for the 2.5 acre plot and pay for
+ * it; resolves the active policy
+ */
+async function insuredFarmer(phoneNumber) {
+    await app.dial(phoneNumber).run(REGISTRATION);
+    assert.match(await app.dial(phoneNumber).run(['6', '4826', '1', '1', '1']), /^END Policy MC\w+ created\./);
+    await app.pay(phoneNumber);
+    const [policy] = (await app.api('GET', `/farmers/${encodeURIComponent(phoneNumber)}/policies`)).body.data;
+    assert.equal(policy.status, 'active');
+    return policy;
+}
+
+/**
+ * Report a drought loss over USSD ten days into the cover (which starts
+ * with the next season); resolves the claim id
+ */
+async function fileClaim(phoneNumber, policy, lossPercent) {
+    const start = Date.parse(`${policy.coverageStart}T09:00:00Z`);
+    const lossDate = new Date(start + 5 * DAY).toISOString().slice(0, 10).split('-').reverse().join('/');
+    mock.timers.enable({ apis: ['Date'], now: start + 10 * DAY });
+    try {
+        const reply = await app.dial(phoneNumber).run(['7', '4826', '1', '1', '1', String(lossPercent), lossDate, '1']);
+        return reply.match(/^END Claim submitted\.\nYour reference is (CL\w+)\./)[1];
+    } finally {
+        mock.timers.reset();
+    }
+}
+
+async function claimMessages(phoneNumber) {
+    const response = await fetch(`${app.baseUrl}/sms/messages?phone=${encodeURIComponent(phoneNumber)}`);
+    return (await response.json()).messages.filter(message => message.event === 'claim.updated').map(message => message.text);
+}
+
+const POLICY = { id: 'MC0000000001', phoneNumber: '+254711001101', plotId: 'P1', crop: 'maize' };
+
+test('two status changes sent at once cannot both be applied', async () => {
+    const claims = await ClaimRepository.open(createStorage({ driver: 'memory' }));
+    const claim = await claims.create(POLICY, { cause: 'drought', lossPercent: 40, lossDate: '2026-04-02' });
+    await claims.transition(claim.id, 'underReview', { by: 'admin' });
+
+    const outcomes = await Promise.allSettled([
+        claims.transition(claim.id, 'approved', { by: 'admin', payoutAmount: 4000 }),
+        claims.transition(claim.id, 'rejected', { by: 'admin', note: 'No loss found' })
+    ]);
+    assert.equal(outcomes.filter(({ status }) => status === 'fulfilled').length, 1);
+    assert.ok(outcomes.find(({ status }) => status === 'rejected').reason instanceof ClaimTransitionError);
+
+    const stored = await claims.get(claim.id);
+    assert.equal(stored.status, 'approved');
+    assert.deepEqual(stored.history.map(entry => entry.status), ['submitted', 'underReview', 'approved']);
+});
+
+test('a premium paid twice at once activates the policy once', async () => {
+    const policies = await PolicyRepository.open(createStorage({ driver: 'memory' }));
+    await policies.collection.put(POLICY.id, { ...POLICY, status: 'pending', coverageEnd: '2099-12-31' });
+
+    const [first, second] = await Promise.all([
+        policies.markPaid(POLICY.id, { id: 'PAY1', receipt: 'QK1' }),
+        policies.markPaid(POLICY.id, { id: 'PAY2', receipt: 'QK2' })
+    ]);
+    assert.equal(first.paymentId, 'PAY1');
+    assert.equal(second, null);
+    assert.equal((await policies.get(POLICY.id)).receipt, 'QK1');
+});
+
+test('staff review a claim through to payout and the farmer hears of each step', async () => {
+    const policy = await insuredFarmer('+254711001301');
+    const id = await fileClaim('+254711001301', policy, 40);
+
+    const listed = await app.api('GET', '/claims?phone=0711001301');
+    assert.deepEqual(listed.body.data.map(claim => [claim.id, claim.status, claim.policyId]), [[id, 'submitted', policy.id]]);
+    assert.equal(listed.body.page.total, 1);
+    assert.deepEqual((await app.api('GET', `/claims?policyId=${policy.id.toLowerCase()}`)).body.data.map(claim => claim.id), [id]);
+    assert.deepEqual((await app.api('GET', '/claims?status=paid&phone=0711001301')).body.data, []);
+
+    assert.equal((await app.api('POST', `/claims/${id}/status`, { status: 'underReview' })).status, 200);
+    const approved = await app.api('POST', `/claims/${id}/status`, { status: 'approved' });
+    assert.equal(approved.body.data.payoutAmount, 9000, '40% of the KES 22,500 sum insured');
+    assert.equal((await app.api('POST', `/claims/${id}/status`, { status: 'paid', note: 'Sent by M-Pesa' })).status, 200);
+
+    const { body } = await app.api('GET', `/claims/${id}`);
+    assert.equal(body.data.status, 'paid');
+    assert.deepEqual(body.data.history.map(entry => [entry.status, entry.by]), [
+        ['submitted', 'farmer'], ['underReview', 'admin'], ['approved', 'admin'], ['paid', 'admin']
+    ]);
+
+    const messages = await claimMessages('+254711001301');
+    assert.equal(messages.length, 4);
+    assert.ok(messages.some(text => text.includes(`your claim ${id} has been approved. Payout: KES 9,000.`)));
+    assert.ok(messages.some(text => text.includes(`the payout of KES 9,000 for claim ${id} has been paid`)));
+});
+
+test('a claim only moves along the allowed steps', async () => {
+    const policy = await insuredFarmer('+254711001302');
+    const id = await fileClaim('+254711001302', policy, 30);
+
+    const skipped = await app.api('POST', `/claims/${id}/status`, { status: 'approved', payoutAmount: 5000 });
+    assert.equal(skipped.status, 409);
+    assert.equal(skipped.body.error.code, 'invalid_transition');
+    assert.deepEqual(skipped.body.error.details, [{ field: 'status', message: 'Allowed next: underReview, rejected' }]);
+
+    const noNote = await app.api('POST', `/claims/${id}/status`, { status: 'rejected' });
+    assert.equal(noNote.status, 400);
+    assert.deepEqual(noNote.body.error.details.map(detail => detail.field), ['note']);
+    assert.equal((await app.api('POST', `/claims/${id}/status`, { status: 'underReview', payoutAmount: 100 })).status, 400);
+    assert.equal((await app.api('POST', '/claims/CL00000000/status', { status: 'underReview' })).status, 404);
+    assert.equal((await app.api('GET', '/claims?status=lost')).status, 400);
+
+    const rejected = await app.api('POST', `/claims/${id}/status`, { status: 'rejected', note: 'No loss seen on the plot visit' });
+    assert.equal(rejected.status, 200);
+    const closed = await app.api('POST', `/claims/${id}/status`, { status: 'underReview' });
+    assert.equal(closed.status, 409);
+    assert.deepEqual(closed.body.error.details, [{ field: 'status', message: 'Allowed next: none, the claim is closed' }]);
+
+    const messages = await claimMessages('+254711001302');
+    assert.ok(messages.some(text => text.endsWith(`claim ${id} was not approved. No loss seen on the plot visit`)));
+});
@@ -0,0 +1,93 @@
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { test, before, after } = require('node:test');
+const { startApp } = require('./harness');
+const { createStorage } = require('../src/storage');
+const { FarmerRepository } = require('../src/farmers/repository');
+const { createPlot } = require('../src/farmers/plots');
+const { BOM, EXPORT_COLUMNS, csvRow, exportRow } = require('../src/farmers/csv');
+const { importFarmers } = require('../src/farmers/import');
+
+const REGISTRATION = ['1', '1', '1', 'Mary Chebet', '1', '1', 'Kolowa', '1', '1', '2', '2.5', '1', '4826', '4826'];
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+async function openFarmers() {
+    const farmers = await FarmerRepository.open(createStorage({ driver: 'memory' }));
+    await farmers.save({ phoneNumber: '+254711001001', name: 'Mary Chebet', county: 'Baringo', plots: [] });
+    return farmers;
+}
+
+const plot = ward => createPlot({ county: 'Baringo', subCounty: 'Tiaty', ward, acreage: 1, crops: [{ crop: 'Maize', season: 'longRains' }] });
+
+test('concurrent updates to one farmer both take effect', async () => {
+    const farmers = await openFarmers();
+    await Promise.all([
+        farmers.update('+254711001001', { name: 'Mary J. Chebet' }, { source: 'admin' }),
+        farmers.update('0711001001', { language: 'sw' }, { source: 'ussd' })
+    ]);
+    const farmer = await farmers.get('+254711001001');
+    assert.equal(farmer.name, 'Mary J. Chebet');
+    assert.equal(farmer.language, 'sw');
+    assert.equal((await farmers.history('+254711001001')).length, 2);
+});
+
+test('concurrent plot changes keep every plot', async () => {
+    const farmers = await openFarmers();
+    await Promise.all(['Kolowa', 'Ribkwo', 'Silale'].map(ward => farmers.addPlot('+254711001001', plot(ward))));
+    assert.deepEqual((await farmers.get('+254711001001')).plots.map(entry => entry.ward).sort(), ['Kolowa', 'Ribkwo', 'Silale']);
+});
+
+test('a CSV export imports back', async () => {
+    const farmers = await openFarmers();
+    await farmers.update('+254711001001', { subCounty: 'Tiaty', ward: 'Kolowa', language: 'sw' });
+    await farmers.addPlot('+254711001001', plot('Kolowa'));
+    await farmers.addPlot('+254711001001', { ...plot('Kolowa'), acreage: 1.5, crops: [{ crop: 'Beans', season: 'shortRains' }] });
+    const exported = await farmers.get('+254711001001');
+    const csv = BOM + csvRow(EXPORT_COLUMNS) + exportRow(exported);
+
+    const copy = await FarmerRepository.open(createStorage({ driver: 'memory' }));
+    const report = await importFarmers(csv, { farmers: copy, events: new EventEmitter() });
+    assert.deepEqual(report.summary, { rows: 1, created: 1, merged: 0, rejected: 0 });
+    const imported = await copy.get('+254711001001');
+    ['name', 'county', 'subCounty', 'ward', 'language', 'registeredAt'].forEach(field => assert.equal(imported[field], exported[field], field));
+    assert.equal(imported.plots.length, 1);
+    assert.equal(imported.plots[0].acreage, 2.5);
+    assert.deepEqual(imported.plots[0].crops, [{ crop: 'Maize', season: 'longRains' }, { crop: 'Beans', season: 'shortRains' }]);
+});
+
+test('an admin PATCH changes the farmer and tells them by SMS', async () => {
+    await app.dial('+254711001002').run(REGISTRATION);
+
+    const { status, body } = await app.api('PATCH', '/farmers/0711001002', { name: 'Mary J. Chebet', ward: 'Kolowa' });
+    assert.equal(status, 200);
+    assert.equal(body.data.name, 'Mary J. Chebet');
+    assert.equal(body.data.hasPin, true);
+    assert.equal(body.data.pin, undefined);
+    assert.equal((await app.farmer('+254711001002')).name, 'Mary J. Chebet');
+
+    const { messages } = await (await fetch(`${app.baseUrl}/sms/messages?phone=%2B254711001002`)).json();
+    const updated = messages.filter(message => message.event === 'farmer.updated');
+    assert.equal(updated.length, 1);
+    assert.match(updated[0].text, /your details were updated: Name\./, 'only fields that changed are listed');
+});
+
+test('an admin PATCH reports every invalid field and changes nothing', async () => {
+    await app.dial('+254711001003').run(REGISTRATION);
+
+    const { status, body } = await app.api('PATCH', '/farmers/0711001003', { name: 'M4ry', phoneNumber: '+254711001099', subCounty: 'Westlands', plots: [] });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'validation_failed');
+    assert.deepEqual(body.error.details.map(detail => detail.field).sort(), ['name', 'phoneNumber', 'plots', 'subCounty']);
+    assert.equal((await app.farmer('+254711001003')).name, 'Mary Chebet');
+
+    assert.equal((await app.api('PATCH', '/farmers/0711001099', { name: 'Mary Chebet' })).status, 404);
+    const anonymous = await fetch(`${app.baseUrl}/api/v1/farmers/0711001003`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Mary Chebet' })
+    });
+    assert.equal(anonymous.status, 401);
+});
@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { startApp } = require('./harness');
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+/**
+ * One Beem Africa session: each call sends the next request the way Beem
+ * does, with only the latest input and the next request_id
+ */
+function beemSession(msisdn, sessionId) {
+    let requestId = 0;
+    const post = async (command, response, id) => {
+        const res = await fetch(`${app.baseUrl}/ussd/beem`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ command, msisdn, session_id: sessionId, operator: 'safaricom', payload: { request_id: id, response } })
+        });
+        assert.equal(res.status, 200, `POST /ussd/beem: ${res.status}`);
+        return res.json();
+    };
+    return {
+        initiate: () => post('initiate', undefined, requestId),
+        send: input => post('continue', input, ++requestId),
+        retry: input => post('continue', input, requestId),
+        terminate: () => post('terminate', undefined, ++requestId)
+    };
+}
+
+async function sessionState(sessionId) {
+    const response = await fetch(`${app.baseUrl}/sessions/${sessionId}`);
+    return response.status === 404 ? null : (await response.json()).session;
+}
+
+test('a Beem session starts, continues and echoes the request', async () => {
+    const call = beemSession('254711001001', 'beem-1');
+    const opened = await call.initiate();
+    assert.deepEqual(opened, {
+        msisdn: '254711001001',
+        operator: 'safaricom',
+        session_id: 'beem-1',
+        command: 'continue',
+        payload: { request_id: 0, request: opened.payload.request }
+    });
+    assert.match(opened.payload.request, /^Choose language/);
+
+    const menu = await call.send('1');
+    assert.equal(menu.command, 'continue');
+    assert.equal(menu.payload.request_id, 1);
+    assert.match(menu.payload.request, /^Welcome to Farmer Registration Service/);
+
+    const exit = await call.send('3');
+    assert.equal(exit.command, 'terminate');
+    assert.match(exit.payload.request, /^Thank you for using Farmer Registration Service\./);
+    assert.equal(await sessionState('beem-1'), null);
+});
+
+test('a retried Beem request shows the same screen without applying its input again', async () => {
+    const call = beemSession('254711001002', 'beem-2');
+    await call.initiate();
+    await call.send('1');
+    const consent = await call.send('1');
+    assert.match(consent.payload.request, /^MicroCrop keeps your name/);
+
+    const retried = await call.retry('1');
+    assert.deepEqual(retried, consent);
+    assert.equal((await sessionState('beem-2')).stage, 'CONSENT');
+    assert.match((await call.send('1')).payload.request, /^Welcome to Farmer Registration\nPlease enter your full name:/);
+});
+
+test('a Beem hangup closes the session', async () => {
+    const call = beemSession('254711001003', 'beem-3');
+    await call.initiate();
+    await call.send('1');
+    const goodbye = await call.terminate();
+    assert.equal(goodbye.command, 'terminate');
+    assert.match(goodbye.payload.request, /^Thank you for using Farmer Registration Service\./);
+    assert.equal(await sessionState('beem-3'), null);
+});
+
+test('requests without a session id or phone number are refused', async () => {
+    const africasTalking = body => fetch(`${app.baseUrl}/ussd`, { method: 'POST', body: new URLSearchParams(body) });
+    assert.equal((await africasTalking({ phoneNumber: '+254711001004', text: '' })).status, 400);
+    assert.equal((await africasTalking({ sessionId: 'at-1', text: '' })).status, 400);
+
+    const beem = body => fetch(`${app.baseUrl}/ussd/beem`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    assert.equal((await beem({ command: 'initiate', msisdn: '254711001004', payload: {} })).status, 400);
+    assert.equal((await beem({ command: 'initiate', session_id: 'beem-4', payload: {} })).status, 400);
+});
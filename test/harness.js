@@ -0,0 +1,201 @@
+/**
+ * In-process USSD conversations for tests
+ *
+ * startApp() boots index.js on a free port with in-memory storage and
+ * sessions. dial() opens a conversation for one phone number and sends
+ * inputs the way Africa's Talking does: every request carries all inputs
+ * so far joined with "*", wrong answers included.
+ *
+ *   const app = await startApp();
+ *   const call = app.dial('+254711000001');
+ *   assert.match(await call.send(), /^CON Choose language/);
+ *   assert.match(await call.send('1'), /^CON Welcome/);
+ *   await app.stop();
+ *
+ * Transcripts (test/transcripts/*.json) are recorded sessions replayed as
+ * regression fixtures; see replay() and test/record.js.
+ */
+
+const assert = require('node:assert/strict');
+const { stkCallbackBody } = require('../src/payments/mpesa');
+const { signPayload } = require('../src/payments/signature');
+
+const API_KEY = 'test-key';
+
+// index.js reads its configuration when it is first required
+Object.assign(process.env, {
+    STORAGE_DRIVER: 'memory',
+    SESSION_STORE: 'memory',
+    SMS_PROVIDER: 'fake',
+    PAYMENTS_PROVIDER: 'fake',
+    ADMIN_API_KEYS: API_KEY,
+    // The fake provider would call back to PORT, not the port the tests get;
+    // payments stay pending until a test calls pay()
+    PAYMENTS_FAKE_OUTCOME: 'timeout',
+    PAYMENTS_WEBHOOK_SECRET: 'test-secret',
+    NODE_ENV: 'test',
+    // Request logs drown the test report; TEST_LOGS=1 shows them
+    LOG_LEVEL: process.env.TEST_LOGS ? process.env.LOG_LEVEL || 'debug' : 'silent'
+});
+
+let running = null;
+
+/**
+ * Start the app once per test file (index.js holds its state in the module)
+ */
+async function startApp() {
+    if (running) return running;
+    const { start, stop } = require('..');
+    const server = await start({ port: 0 });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    let calls = 0;
+
+    running = {
+        baseUrl,
+
+        /**
+         * A new conversation; each one gets its own session id
+         */
+        dial(phoneNumber, { sessionId = `test-${process.pid}-${++calls}` } = {}) {
+            return new Conversation(baseUrl, phoneNumber, sessionId);
+        },
+
+        /**
+         * Call the admin API; `body` is sent as JSON unless it is a string,
+         * which goes as `type`. Resolves { status, body }.
+         */
+        async api(method, path, body, { type = 'application/json' } = {}) {
+            const headers = { 'X-API-Key': API_KEY };
+            if (body !== undefined) headers['Content-Type'] = type;
+            const response = await fetch(`${baseUrl}/api/v1${path}`, {
+                method,
+                headers,
+                body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+            });
+            const text = await response.text();
+            return { status: response.status, body: text ? JSON.parse(text) : null };
+        },
+
+        /**
+         * A farmer record from the admin API, or null when not registered
+         */
+        async farmer(phoneNumber) {
+            const response = await fetch(`${baseUrl}/api/v1/farmers/${encodeURIComponent(phoneNumber)}`, {
+                headers: { 'X-API-Key': API_KEY }
+            });
+            if (response.status === 404) return null;
+            assert.equal(response.status, 200, `GET farmer ${phoneNumber}: ${response.status}`);
+            return (await response.json()).data;
+        },
+
+        /**
+         * Complete a number's pending payments with a signed M-Pesa success
+         * callback, as the fake provider would; resolves the payments paid
+         */
+        async pay(phoneNumber) {
+            const response = await fetch(`${baseUrl}/payments?phone=${encodeURIComponent(phoneNumber)}`);
+            const pending = (await response.json()).payments.filter(payment => payment.status === 'pending');
+            for (const payment of pending) {
+                const body = JSON.stringify(stkCallbackBody({
+                    checkoutRequestId: payment.checkoutRequestId,
+                    merchantRequestId: payment.id,
+                    resultCode: 0,
+                    resultDesc: 'The service request is processed successfully.',
+                    amount: payment.amount,
+                    receipt: `QK${payment.id.slice(-8).toUpperCase()}`,
+                    phoneNumber
+                }));
+                const callback = await fetch(`${baseUrl}/payments/callback`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'X-Signature': signPayload(body, process.env.PAYMENTS_WEBHOOK_SECRET) },
+                    body
+                });
+                assert.equal(callback.status, 200, `Payment callback: ${callback.status}`);
+            }
+            return pending;
+        },
+
+        async stop() {
+            await new Promise(resolve => server.close(resolve));
+            await stop();
+            running = null;
+        }
+    };
+    return running;
+}
+
+class Conversation {
+    constructor(baseUrl, phoneNumber, sessionId) {
+        this.baseUrl = baseUrl;
+        this.phoneNumber = phoneNumber;
+        this.sessionId = sessionId;
+        this.inputs = [];
+        // [{ input, screen }] in the transcript format, input null for the dial
+        this.steps = [];
+        this.ended = false;
+    }
+
+    /**
+     * The `text` field of the next request
+     */
+    get text() {
+        return this.inputs.join('*');
+    }
+
+    /**
+     * Send one input (none to dial); resolves the reply, "CON ..." or "END ..."
+     */
+    async send(input) {
+        assert.ok(!this.ended, `Session ${this.sessionId} has already ended`);
+        if (input !== undefined) this.inputs.push(String(input));
+        const response = await fetch(`${this.baseUrl}/ussd`, {
+            method: 'POST',
+            body: new URLSearchParams({ sessionId: this.sessionId, phoneNumber: this.phoneNumber, serviceCode: '*384*1234#', text: this.text })
+        });
+        assert.equal(response.status, 200, `POST /ussd: ${response.status}`);
+        const screen = await response.text();
+        assert.match(screen, /^(CON|END) /, `Not a USSD reply: ${screen}`);
+        this.ended = screen.startsWith('END ');
+        this.steps.push({ input: input === undefined ? null : String(input), screen: screen.split('\n') });
+        return screen;
+    }
+
+    /**
+     * Dial, then send each input in turn; resolves the last reply
+     */
+    async run(inputs) {
+        let screen = await this.send();
+        for (const input of inputs) screen = await this.send(input);
+        return screen;
+    }
+}
+
+/**
+ * Replay a recorded transcript: every reply must match the recorded screen,
+ * and the farmer record must contain the recorded fields
+ */
+async function replay(app, transcript) {
+    const call = app.dial(transcript.phoneNumber);
+    for (const [index, step] of transcript.steps.entries()) {
+        const screen = await call.send(step.input === null ? undefined : step.input);
+        assert.deepEqual(screen.split('\n'), step.screen, `Step ${index} (input ${JSON.stringify(step.input)}) of "${transcript.description}"`);
+    }
+    if (transcript.farmer !== undefined) {
+        assertFarmer(await app.farmer(transcript.phoneNumber), transcript.farmer);
+    }
+    return call;
+}
+
+/**
+ * The farmer has every field in `expected` (other fields are not compared);
+ * `expected` null means not registered. Plot ids are random, so plots are
+ * compared without them.
+ */
+function assertFarmer(farmer, expected) {
+    if (expected === null) return assert.equal(farmer, null, 'Expected no farmer record');
+    assert.ok(farmer, 'Expected a farmer record');
+    const actual = { ...farmer, plots: (farmer.plots || []).map(({ id, ...plot }) => plot) };
+    Object.entries(expected).forEach(([field, value]) => assert.deepEqual(actual[field], value, `farmer.${field}`));
+}
+
+module.exports = { startApp, replay, assertFarmer };
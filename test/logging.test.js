@@ -0,0 +1,39 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { Logger, withContext, addContext } = require('../src/logging');
+
+function capture(level = 'debug') {
+    const lines = [];
+    return { lines, logger: new Logger({ level, write: line => lines.push(JSON.parse(line)) }) };
+}
+
+test('phone numbers and names are masked wherever they appear', () => {
+    const { lines, logger } = capture();
+    logger.info('Call from 0712345678 failed', {
+        phoneNumber: '+254712345678',
+        farmer: { name: 'Lucy Wairimu', registeredBy: '+254722000111' },
+        reason: 'no route to +254733000222',
+        error: new Error('Unknown farmer 254712345678')
+    });
+    const [line] = lines;
+    assert.equal(line.msg, 'Call from *******678 failed');
+    assert.equal(line.phoneNumber, '+*********678');
+    assert.deepEqual(line.farmer, { name: 'L. W.', registeredBy: '+*********111' });
+    assert.equal(line.reason, 'no route to +*********222');
+    assert.equal(line.error.message, 'Unknown farmer *********678');
+});
+
+test('context fields reach every line and levels filter', async () => {
+    const { lines, logger } = capture('info');
+    await withContext({ requestId: 'r-1' }, async () => {
+        addContext({ sessionId: 'ATUid_1' });
+        await new Promise(resolve => setImmediate(resolve));
+        logger.debug('hidden');
+        logger.warn('shown', { stage: 'MAIN_MENU' });
+    });
+    logger.info('outside');
+    assert.deepEqual(lines.map(({ time, ...line }) => line), [
+        { level: 'warn', msg: 'shown', requestId: 'r-1', sessionId: 'ATUid_1', stage: 'MAIN_MENU' },
+        { level: 'info', msg: 'outside' }
+    ]);
+});
@@ -0,0 +1,90 @@
+const assert = require('node:assert/strict');
+const { test, before, after, mock } = require('node:test');
+const { startApp } = require('./harness');
+const { createStorage } = require('../src/storage');
+const { Journeys } = require('../src/metrics/journeys');
+
+const REGISTRATION = ['1', '1', '1', 'Lucy Wairimu', 'ki', '1', '1', 'Kanyenyaini', '1', '1', '2', 'abc', '2.5', '1', '4826', '4826'];
+
+let app;
+before(async () => {
+    app = await startApp();
+    await app.dial('+254711000501').run(REGISTRATION);
+    await app.dial('+254711000502').run(['1', '42', '3']);
+    await app.dial('+254711000503').run(['1', '1', '1', 'Paul Kamau']);
+});
+after(() => app.stop());
+
+async function metrics() {
+    const response = await fetch(`${app.baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return response.text();
+}
+
+async function funnel(query = '') {
+    const response = await fetch(`${app.baseUrl}/api/v1/reports/funnel${query}`, { headers: { 'X-API-Key': 'test-key' } });
+    return { status: response.status, body: await response.json() };
+}
+
+test('metrics count requests, sessions and invalid inputs', async () => {
+    const text = await metrics();
+    assert.match(text, /^ussd_sessions_started_total\{gateway="africastalking"\} 3$/m);
+    assert.match(text, /^ussd_sessions_ended_total\{stage="REGISTRATION_COMPLETE"\} 1$/m);
+    assert.match(text, /^ussd_sessions_ended_total\{stage="EXIT"\} 1$/m);
+    assert.match(text, /^ussd_invalid_inputs_total\{screen="ENTER_FARM_SIZE"\} 1$/m);
+    assert.match(text, /^ussd_invalid_inputs_total\{screen="MAIN_MENU"\} 1$/m);
+    assert.match(text, /^ussd_requests_total\{gateway="africastalking",stage="REGISTRATION_COMPLETE",type="END"\} 1$/m);
+    assert.match(text, /^ussd_request_duration_seconds_count\{stage="MAIN_MENU"\} 4$/m);
+    assert.match(text, /^ussd_request_duration_seconds_bucket\{stage="MAIN_MENU",le="\+Inf"\} 4$/m);
+    assert.match(text, /^farmers_registered 1$/m);
+});
+
+test('requests for an expired session are counted', async () => {
+    const call = app.dial('+254711000504');
+    call.inputs.push('1');
+    await call.send();
+    assert.match(await metrics(), /^ussd_sessions_expired_total 1$/m);
+});
+
+test('the funnel shows where sessions were abandoned, by county', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    try {
+        mock.timers.tick(6 * 60 * 1000);
+        const { status, body } = await funnel();
+        assert.equal(status, 200);
+        const report = body.data;
+        assert.equal(report.sessions, 3, 'requests without a session are not journeys');
+        assert.equal(report.ended, 2);
+        assert.equal(report.abandoned, 1);
+        assert.deepEqual(report.stages.slice(0, 2).map(stage => stage.stage), ['SELECT_LANGUAGE', 'MAIN_MENU']);
+        const county = report.stages.find(stage => stage.stage === 'SELECT_COUNTY');
+        assert.deepEqual(county, { stage: 'SELECT_COUNTY', reached: 2, ended: 0, abandoned: 1, abandonRate: 0.5 });
+
+        const kiambu = report.byCounty.find(entry => entry.county === 'Kiambu');
+        assert.equal(kiambu.sessions, 1);
+        assert.equal(kiambu.ended, 1);
+        assert.equal(report.byDay.length, 1);
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('the funnel filters by county and checks its dates', async () => {
+    assert.equal((await funnel('?county=kiambu')).body.data.sessions, 1);
+    const { status, body } = await funnel('?from=2026-10-20&to=2026-10-01');
+    assert.equal(status, 400);
+    assert.equal(body.error.details[0].field, 'to');
+});
+
+test('journeys of one session recorded at once keep every stage, and old ones are pruned', async () => {
+    const journeys = await Journeys.open(createStorage({ driver: 'memory' }), { sessionTimeout: 5 * 60 * 1000, retentionDays: 90 });
+    const now = Date.parse('2026-10-19T09:00:00Z');
+    await Promise.all(['SELECT_LANGUAGE', 'MAIN_MENU', 'CONSENT'].map((stage, index) =>
+        journeys.record('old', { gateway: 'beem', stage, now: now - 91 * 24 * 60 * 60 * 1000 + index })));
+    await journeys.record('recent', { gateway: 'beem', stage: 'MAIN_MENU', now: now - 89 * 24 * 60 * 60 * 1000 });
+    assert.deepEqual((await journeys.collection.get('old')).stages, ['SELECT_LANGUAGE', 'MAIN_MENU', 'CONSENT']);
+
+    assert.equal(await journeys.prune(now), 1);
+    assert.deepEqual((await journeys.list()).map(journey => journey.sessionId), ['recent']);
+});
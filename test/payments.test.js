@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { test } = require('node:test');
+const { createStorage } = require('../src/storage');
+const { Payments } = require('../src/payments/payments');
+const { createPaymentProvider } = require('../src/payments');
+
+/**
+ * A provider that accepts every checkout and takes callbacks as parsed
+ */
+function testProvider() {
+    const checkouts = [];
+    return {
+        name: 'test',
+        checkouts,
+        async checkout(request) {
+            checkouts.push(request);
+            return { checkoutRequestId: `checkout-${checkouts.length}` };
+        },
+        verifyCallback: () => true,
+        parseCallback: body => body
+    };
+}
+
+async function openPayments(provider) {
+    return Payments.open(createStorage({ driver: 'memory' }), provider, { events: new EventEmitter(), timeout: 0 });
+}
+
+test('a timeout sweep during a callback does not overwrite the result', async () => {
+    const payments = await openPayments(testProvider());
+    const payment = await payments.request({ phoneNumber: '+254711000901', amount: 150, currency: 'KES', reference: 'POL1', description: 'Premium' });
+
+    const [callback, expired] = await Promise.all([
+        payments.handleCallback({ body: { checkoutRequestId: payment.checkoutRequestId, status: 'succeeded', receipt: 'QK1', amount: 150 } }),
+        payments.expire()
+    ]);
+    assert.equal(callback.outcome, 'applied');
+    assert.equal(expired, 0);
+    assert.equal((await payments.get(payment.id)).status, 'succeeded');
+});
+
+test('fractional amounts are rounded up once, when the payment is created', async () => {
+    const provider = testProvider();
+    const payments = await openPayments(provider);
+    const payment = await payments.request({ phoneNumber: '+254711000902', amount: 150.4, currency: 'KES', reference: 'POL2', description: 'Premium' });
+    assert.equal(payment.amount, 151);
+    assert.equal(provider.checkouts[0].amount, 151);
+});
+
+test('production refuses to fall back to the fake provider', () => {
+    assert.throws(() => createPaymentProvider({ provider: undefined, production: true }), /PAYMENTS_PROVIDER must be set in production/);
+    assert.equal(createPaymentProvider({ provider: 'fake', production: true }).name, 'fake');
+    assert.equal(createPaymentProvider({ provider: undefined, production: false }).name, 'fake');
+});
@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { startApp } = require('./harness');
+const { createStorage } = require('../src/storage');
+const { FarmerRepository } = require('../src/farmers/repository');
+const { AgentRepository } = require('../src/agents/repository');
+const { hashPin, PIN_MAX_ATTEMPTS } = require('../src/auth/pin');
+
+const REGISTRATION = ['1', '1', '1', 'Ann Mumbi', '1', '1', 'Kolowa', '1', '1', '2', '2.5', '1', '4826', '4826'];
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+async function openFarmers() {
+    return FarmerRepository.open(createStorage({ driver: 'memory' }));
+}
+
+test('parallel wrong PINs still lock the farmer out', async () => {
+    const farmers = await openFarmers();
+    await farmers.save({ phoneNumber: '+254711000801', name: 'Ann Mumbi', pin: await hashPin('4826'), failedPinAttempts: 0, pinLockedUntil: null });
+
+    const outcomes = await Promise.all(Array.from({ length: 20 }, () => farmers.checkPin('+254711000801', '0000')));
+    assert.equal(outcomes.filter(({ outcome }) => outcome === 'wrong').length, PIN_MAX_ATTEMPTS - 1);
+    assert.equal((await farmers.checkPin('+254711000801', '4826')).outcome, 'locked');
+});
+
+test('a PIN check does not bring back a farmer deleted meanwhile', async () => {
+    const farmers = await openFarmers();
+    await farmers.save({ phoneNumber: '+254711000802', name: 'Ann Mumbi', pin: await hashPin('4826'), failedPinAttempts: 0, pinLockedUntil: null });
+
+    const [checked] = await Promise.all([farmers.checkPin('+254711000802', '0000'), farmers.delete('+254711000802')]);
+    assert.equal(checked.outcome, 'wrong');
+    assert.equal(await farmers.get('+254711000802'), null);
+});
+
+test('redialling neither sends another code nor resets the count of wrong codes', async () => {
+    await app.dial('+254711000803').run(REGISTRATION);
+    const codesSent = async () => {
+        const response = await fetch(`${app.baseUrl}/sms/messages?phone=%2B254711000803`);
+        return (await response.json()).messages.filter(message => message.event === 'farmer.pinCode').length;
+    };
+
+    for (let dial = 1; dial < PIN_MAX_ATTEMPTS; dial++) {
+        const call = app.dial('+254711000803');
+        assert.match(await call.run(['2', '9']), /^CON Enter the 6-digit code/);
+        assert.match(await call.send('000000'), new RegExp(`^CON Wrong code\\. ${PIN_MAX_ATTEMPTS - dial} attempt`));
+    }
+    assert.equal(await codesSent(), 1);
+
+    const messages = await (await fetch(`${app.baseUrl}/sms/messages?phone=%2B254711000803`)).json();
+    const [stored] = messages.messages.filter(message => message.event === 'farmer.pinCode');
+    assert.match(stored.text, /Your code is \*{6}\./, 'the stored copy has the code masked');
+    const outbox = await (await fetch(`${app.baseUrl}/sms/outbox`)).json();
+    assert.ok(outbox.messages.some(message => /Your code is \d{6}\./.test(message.message)), 'the farmer gets the code');
+
+    const last = app.dial('+254711000803');
+    await last.run(['2', '9']);
+    assert.match(await last.send('000000'), /^END The code is wrong or has expired\./);
+    assert.match(await app.dial('+254711000803').run(['2', '9']), /^END Too many wrong codes\.\nYou can ask for a new code in 15 minutes\./);
+    assert.equal(await codesSent(), 1);
+});
+
+test('parallel wrong agent PINs lock the agent out, and a login does not undo a suspension', async () => {
+    const agents = await AgentRepository.open(createStorage({ driver: 'memory' }));
+    await agents.create({ phoneNumber: '+254722000801', name: 'Joseph Kiprop', pin: '4826' });
+
+    const outcomes = await Promise.all(Array.from({ length: 20 }, () => agents.login('+254722000801', '0000')));
+    assert.equal(outcomes.filter(({ outcome }) => outcome === 'wrong').length, PIN_MAX_ATTEMPTS - 1);
+    assert.equal((await agents.login('+254722000801', '4826')).outcome, 'locked');
+
+    await agents.update('+254722000801', { pin: '5937' });
+    await Promise.all([agents.login('+254722000801', '5937'), agents.update('+254722000801', { status: 'suspended' })]);
+    assert.equal((await agents.get('+254722000801')).status, 'suspended');
+});
+
+test('a farmer registered during a registration session keeps their record', async () => {
+    const registered = name => REGISTRATION.map(input => (input === 'Ann Mumbi' ? name : input));
+    const codeSentTo = async phoneNumber => {
+        const outbox = await (await fetch(`${app.baseUrl}/sms/outbox`)).json();
+        const [code] = outbox.messages
+            .filter(message => message.to === phoneNumber)
+            .map(message => message.message.match(/Your code is (\d{6})\./))
+            .filter(Boolean)
+            .map(match => match[1]);
+        return code;
+    };
+
+    // Registered before the session chose a PIN: the forgotten PIN path
+    // that follows changes the PIN instead of registering again
+    const slow = app.dial('+254711000804');
+    await slow.run(REGISTRATION.slice(0, 11));
+    await app.dial('+254711000804').run(registered('Grace Njeri'));
+    assert.match(await slow.send('1'), /^CON Enter your PIN:/);
+    assert.match(await slow.send('9'), /^CON Enter the 6-digit code/);
+    assert.match(await slow.send(await codeSentTo('+254711000804')), /^CON Choose a 4-digit PIN/);
+    await slow.send('5937');
+    assert.match(await slow.send('5937'), /^CON Your new PIN is saved\./);
+    assert.equal((await app.farmer('+254711000804')).name, 'Grace Njeri');
+
+    // Registered between choosing the PIN and repeating it
+    const late = app.dial('+254711000805');
+    await late.run(REGISTRATION.slice(0, 13));
+    await app.dial('+254711000805').run(registered('Grace Njeri'));
+    assert.match(await late.send('4826'), /^CON Your new PIN is saved\./);
+    assert.equal((await app.farmer('+254711000805')).name, 'Grace Njeri');
+});
+
+test('agent activity keeps every entry written at the same time', async () => {
+    const agents = await AgentRepository.open(createStorage({ driver: 'memory' }));
+    await agents.create({ phoneNumber: '+254722000802', name: 'Joseph Kiprop', pin: '4826' });
+
+    await agents.record('+254722000802', 'registered', { farmerPhoneNumber: '+254711000900' });
+    const [anonymized] = await Promise.all([
+        agents.anonymizeFarmer('+254711000900', 'erased-1'),
+        ...Array.from({ length: 4 }, (_, index) => agents.record('+254722000802', 'registered', { farmerPhoneNumber: `+25471100090${index + 1}` })),
+        agents.login('+254722000802', '0000')
+    ]);
+    const entries = await agents.activity('+254722000802');
+    assert.equal(anonymized, 1);
+    assert.equal(entries.filter(entry => entry.action === 'registered').length, 5);
+    assert.equal(entries.filter(entry => entry.action === 'loginFailed').length, 1);
+    assert.equal(entries.filter(entry => entry.farmerPhoneNumber === 'erased-1').length, 1);
+});
@@ -0,0 +1,68 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { startApp } = require('./harness');
+
+const REGISTRATION = ['1', '1', '1', 'Ann Mumbi', '1', '1', 'Kolowa', '1', '1', '2', '2.5', '1', '4826', '4826'];
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+test('a deletion asked for over USSD is carried out by staff', async () => {
+    await app.dial('+254711001201').run(REGISTRATION);
+    const call = app.dial('+254711001201');
+    assert.match(await call.run(['8', '4826', '2']), /^CON Delete your details, plots and PIN\?/);
+    const [, id] = (await call.send('1')).match(/^END Your deletion request (DR\w+) was received\./);
+    assert.match(await app.dial('+254711001201').run(['8', '4826', '2']), new RegExp(`^END Your deletion request ${id} is already being processed\\.`));
+
+    const pending = await app.api('GET', '/privacy/requests?status=pending');
+    assert.deepEqual(pending.body.data.map(request => request.id), [id]);
+
+    const { status, body } = await app.api('POST', `/privacy/requests/${id}/complete`);
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'completed');
+    assert.equal(body.data.pseudonym, `erased-${id}`);
+    assert.equal(body.data.phoneNumber, '+*********201');
+    assert.equal(body.erased.farmer, 1);
+    assert.ok(body.erased.messages > 0);
+
+    assert.equal(await app.farmer('+254711001201'), null);
+    assert.equal((await app.api('GET', '/privacy/subjects/0711001201')).status, 404);
+    assert.equal((await app.api('POST', `/privacy/requests/${id}/complete`)).body.error.code, 'already_closed');
+
+    const audit = await app.api('GET', '/privacy/audit');
+    const entries = audit.body.data.filter(entry => entry.requestId === id);
+    assert.deepEqual(entries.map(entry => entry.action), ['erasureRequested', 'erased']);
+    assert.ok(!JSON.stringify(audit.body).includes('+254711001201'), 'the audit trail masks the number');
+});
+
+test('staff erase a number directly and financial records keep a pseudonym', async () => {
+    await app.dial('+254711001202').run(REGISTRATION);
+    assert.match(await app.dial('+254711001202').run(['6', '4826', '1', '1', '1']), /^END Policy MC\w+ created\./);
+
+    const exported = await app.api('GET', '/privacy/subjects/0711001202');
+    assert.equal(exported.body.data.farmer.name, 'Ann Mumbi');
+    assert.equal(exported.body.data.policies.length, 1);
+    assert.equal(exported.body.data.payments.length, 1);
+
+    const { status, body } = await app.api('POST', '/privacy/erasures', { phoneNumber: '0711001202' });
+    assert.equal(status, 201);
+    assert.equal(body.data.via, 'admin');
+    assert.deepEqual({ farmer: body.erased.farmer, policies: body.erased.policies, payments: body.erased.payments }, { farmer: 1, policies: 1, payments: 1 });
+
+    const payments = await (await fetch(`${app.baseUrl}/payments?phone=%2B254711001202`)).json();
+    assert.equal(payments.count, 0, 'the payment no longer carries the number');
+    assert.equal((await app.api('POST', '/privacy/erasures', { phoneNumber: '0711001202' })).status, 404);
+    assert.equal((await app.api('POST', '/privacy/erasures', { phoneNumber: '12345' })).status, 400);
+});
+
+test('a declined deletion needs a reason and keeps the farmer', async () => {
+    await app.dial('+254711001203').run(REGISTRATION);
+    const [, id] = (await app.dial('+254711001203').run(['8', '4826', '2', '1'])).match(/request (DR\w+)/);
+
+    assert.equal((await app.api('POST', `/privacy/requests/${id}/reject`, {})).status, 400);
+    const { status, body } = await app.api('POST', `/privacy/requests/${id}/reject`, { note: 'Policy claim still open' });
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'rejected');
+    assert.equal((await app.farmer('+254711001203')).name, 'Ann Mumbi');
+});
@@ -0,0 +1,36 @@
+/**
+ * Record a transcript fixture from a list of inputs
+ *
+ *   node test/record.js <phone> "<input*input*...>" "<description>" > test/transcripts/<name>.json
+ *
+ * Inputs are what was typed on the handset, joined with "*" as in the
+ * gateway's `text`. Use test numbers and made-up names: fixtures are
+ * committed. Fields that change from run to run (timestamps, PIN state,
+ * plot ids) are left out of the recorded farmer.
+ */
+
+const { startApp } = require('./harness');
+
+const VOLATILE_FIELDS = ['registrationDate', 'registeredAt', 'updatedAt', 'hasPin', 'failedPinAttempts', 'pinLockedUntil', 'consent'];
+
+async function record([phoneNumber, text = '', description = ''] = []) {
+    if (!phoneNumber) {
+        process.stderr.write('Usage: node test/record.js <phone> "<input*input*...>" "<description>"\n');
+        process.exit(2);
+    }
+    const app = await startApp();
+    const call = app.dial(phoneNumber);
+    await call.run(text === '' ? [] : text.split('*'));
+    const farmer = await app.farmer(phoneNumber);
+    if (farmer) {
+        VOLATILE_FIELDS.forEach(field => delete farmer[field]);
+        farmer.plots = farmer.plots.map(({ id, ...plot }) => plot);
+    }
+    await app.stop();
+    process.stdout.write(`${JSON.stringify({ description, phoneNumber, steps: call.steps, farmer }, null, 2)}\n`);
+}
+
+record(process.argv.slice(2)).catch(error => {
+    process.stderr.write(`${error.stack}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,81 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { startApp, assertFarmer } = require('./harness');
+
+const FARM = ['1', '1', 'Kolowa', '1', '1', '2', '2.5'];
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+test('a new caller registers in English', async () => {
+    const call = app.dial('+254711000201');
+    assert.match(await call.send(), /^CON Choose language/);
+    assert.match(await call.send('1'), /^CON Welcome to Farmer Registration Service\n/);
+    assert.match(await call.send('1'), /^CON MicroCrop keeps your name/);
+    assert.match(await call.send('1'), /^CON Welcome to Farmer Registration\nPlease enter your full name:/);
+    assert.match(await call.send('Mary Njeri'), /^CON Select your county/);
+    assert.match(await call.send('1'), /^CON Select your sub-county in Baringo:/);
+    assert.match(await call.send('1'), /^CON Please type your ward name:/);
+    assert.match(await call.send('Kolowa'), /^CON Select your main crop:/);
+    assert.match(await call.send('1'), /^CON When do you plant Maize\?/);
+    assert.match(await call.send('1'), /^CON Crops: Maize \(Long rains\)/);
+    assert.match(await call.send('2'), /^CON Enter your farm size in acres:/);
+    assert.match(await call.send('2.5'), /^CON Confirm your details:\nName: Mary Njeri\n/);
+    assert.match(await call.send('1'), /^CON Choose a 4-digit PIN/);
+    assert.match(await call.send('4826'), /^CON Enter the same PIN again:/);
+    assert.match(await call.send('4826'), /^END Registration successful!\nThank you Mary Njeri\./);
+    assert.equal(call.text, '1*1*1*Mary Njeri*1*1*Kolowa*1*1*2*2.5*1*4826*4826');
+
+    const farmer = await app.farmer('+254711000201');
+    assertFarmer(farmer, {
+        name: 'Mary Njeri',
+        county: 'Baringo',
+        subCounty: 'Tiaty',
+        ward: 'Kolowa',
+        language: 'en',
+        registeredBy: null,
+        hasPin: true,
+        plots: [{ county: 'Baringo', subCounty: 'Tiaty', ward: 'Kolowa', acreage: 2.5, crops: [{ crop: 'Maize', season: 'longRains' }] }]
+    });
+    assert.equal(farmer.consent.via, 'ussd');
+});
+
+test('a name with digits is asked for again', async () => {
+    const call = app.dial('+254711000202');
+    await call.run(['1', '1', '1']);
+    assert.match(await call.send('M4ry'), /^CON A name cannot contain numbers\.\nWelcome to Farmer Registration\n/);
+    assert.match(await call.send('Mary Wambui'), /^CON Select your county/);
+});
+
+test('a farm size that is not a number is asked for again', async () => {
+    const call = app.dial('+254711000203');
+    await call.run(['1', '1', '1', 'Peter Otieno', ...FARM.slice(0, -1)]);
+    assert.match(await call.send('two'), /^CON Enter the size as a number of acres/);
+    assert.match(await call.send('5000'), /^CON The size must be between 0.1 and 1000 acres\./);
+    assert.match(await call.send('3'), /^CON Confirm your details:/);
+});
+
+test('a weak or mismatched PIN is refused', async () => {
+    const call = app.dial('+254711000204');
+    await call.run(['1', '1', '1', 'Grace Chebet', ...FARM, '1']);
+    assert.match(await call.send('1111'), /^CON That PIN is too easy to guess/);
+    assert.match(await call.send('48'), /^CON Enter exactly 4 digits\./);
+    assert.match(await call.send('4826'), /^CON Enter the same PIN again:/);
+    assert.match(await call.send('4827'), /^CON The PINs do not match\./);
+    assertFarmer(await app.farmer('+254711000204'), null);
+});
+
+test('declining consent saves nothing', async () => {
+    const call = app.dial('+254711000205');
+    const screen = await call.run(['1', '1', '2']);
+    assert.match(screen, /^END Without your consent we cannot register you\./);
+    assertFarmer(await app.farmer('+254711000205'), null);
+});
+
+test('a registered farmer choosing register is asked for their PIN', async () => {
+    await app.dial('+254711000206').run(['1', '1', '1', 'Ann Muthoni', ...FARM, '1', '4826', '4826']);
+    const call = app.dial('+254711000206');
+    assert.match(await call.send(), /^CON Welcome to Farmer Registration Service/);
+    assert.match(await call.send('1'), /^CON Enter your PIN:/);
+});
@@ -0,0 +1,36 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { once } = require('events');
+const { MemorySessionStore } = require('../src/sessions/memory');
+const { RedisClient, RedisSessionStore } = require('../src/sessions/redis');
+const { createRedisStandin } = require('../src/sessions/redis-standin');
+
+test('the memory store counts live sessions only', async () => {
+    const store = new MemorySessionStore();
+    await store.set('a', { stage: 'MAIN_MENU' }, 60000);
+    await store.set('b', { stage: 'MAIN_MENU' }, 60000);
+    await store.set('c', { stage: 'MAIN_MENU' }, -1);
+    assert.equal(await store.count(), 2);
+});
+
+test('the Redis store counts sessions without reading them', async () => {
+    const { server } = createRedisStandin();
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const client = new RedisClient(`redis://127.0.0.1:${server.address().port}`);
+    const store = new RedisSessionStore({ client });
+    try {
+        for (const sessionId of ['a', 'b', 'c']) await store.set(sessionId, { stage: 'MAIN_MENU' }, 60000);
+        const commands = [];
+        const command = client.command.bind(client);
+        client.command = (...args) => {
+            commands.push(args[0]);
+            return command(...args);
+        };
+        assert.equal(await store.count(), 3);
+        assert.deepEqual([...new Set(commands)], ['SCAN']);
+    } finally {
+        await store.close();
+        server.close();
+    }
+});
@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const { test, before, after, mock } = require('node:test');
+const { startApp } = require('./harness');
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+test('exit ends the session with a goodbye', async () => {
+    const call = app.dial('+254711000401');
+    const screen = await call.run(['1', '3']);
+    assert.equal(screen, 'END Thank you for using Farmer Registration Service.\nGoodbye!');
+    assert.ok(call.ended);
+});
+
+test('an invalid choice shows the menu again', async () => {
+    const call = app.dial('+254711000402');
+    await call.run(['1']);
+    assert.match(await call.send('42'), /^CON Invalid selection\. Please try again\.\nWelcome to Farmer Registration Service/);
+    assert.match(await call.send('3'), /^END Thank you/);
+    assert.equal(call.text, '1*42*3');
+});
+
+test('a retried request shows the same screen without repeating the input', async () => {
+    const call = app.dial('+254711000403');
+    await call.run(['1', '1', '1']);
+    const first = await call.send('Rose Achieng');
+    call.inputs.pop();
+    call.inputs.push('Rose Achieng');
+    const retried = await call.send();
+    assert.equal(retried, first);
+    assert.match(await call.send('1'), /^CON Select your sub-county in Baringo:/);
+});
+
+test('an unsupported phone number is refused', async () => {
+    const screen = await app.dial('+14155550100').send();
+    assert.match(screen, /^END This phone number is not supported\./);
+});
+
+test('a session past its timeout has expired', async () => {
+    const call = app.dial('+254711000404');
+    await call.run(['1', '1']);
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    try {
+        mock.timers.tick(6 * 60 * 1000);
+        assert.match(await call.send('1'), /^END Your session has expired\.\nPlease dial again to continue\./);
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('a session that was never started has expired', async () => {
+    const call = app.dial('+254711000405');
+    call.inputs.push('1', '1');
+    assert.match(await call.send(), /^END Your session has expired\./);
+});
+
+test('a session cannot be continued from another phone number', async () => {
+    const registration = name => ['1', '1', '1', name, '1', '1', 'Kolowa', '1', '1', '2', '2.5', '1', '4826', '4826'];
+    await app.dial('+254711000406').run(registration('Grace Njeri'));
+    await app.dial('+254711000407').run(registration('Peter Otieno'));
+
+    const own = app.dial('+254711000406');
+    assert.match(await own.run(['2', '4826']), /^CON .*Grace Njeri/s);
+    const other = app.dial('+254711000407', { sessionId: own.sessionId });
+    other.inputs.push(...own.inputs);
+    assert.match(await other.send('00'), /^END Your session has expired\./);
+    assert.match(await own.send('00'), /^CON /, 'the owner\'s session is left alone');
+});
@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { createStorage } = require('../src/storage');
+const { Messenger } = require('../src/sms/messenger');
+const { FakeSmsProvider } = require('../src/sms/fake');
+const { createSmsProvider } = require('../src/sms');
+
+test('sending, retrying and delivery reports work without reading every message', async t => {
+    const storage = createStorage({ driver: 'memory' });
+    const provider = new FakeSmsProvider();
+    const messenger = await Messenger.open(storage, provider, { baseDelay: 1 });
+    const scans = t.mock.method(messenger.collection, 'values');
+
+    provider.failNext(1);
+    const message = await messenger.send('+254711001201', 'Karibu');
+    await messenger.process();
+    assert.equal((await messenger.get(message.id)).status, 'retrying');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await messenger.process();
+
+    const sent = await messenger.get(message.id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 2);
+    const delivered = await messenger.handleDeliveryReport({ id: sent.providerMessageId, status: 'Success' });
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(await messenger.handleDeliveryReport({ id: 'unknown', status: 'Success' }), null);
+    assert.equal(scans.mock.callCount(), 0);
+});
+
+test('messages still queued are picked up after a restart', async t => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'messages-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const first = createStorage({ driver: 'file', dir });
+    const message = await (await Messenger.open(first, new FakeSmsProvider())).send('+254711001202', 'Karibu');
+    await first.close();
+
+    const second = createStorage({ driver: 'file', dir });
+    const provider = new FakeSmsProvider();
+    const messenger = await Messenger.open(second, provider);
+    await messenger.process();
+    assert.equal((await messenger.get(message.id)).status, 'sent');
+    assert.equal(provider.outbox().length, 1);
+    await second.close();
+});
+
+test('production refuses to fall back to the fake provider', () => {
+    assert.throws(() => createSmsProvider({ provider: undefined, production: true }), /SMS_PROVIDER must be set in production/);
+    assert.equal(createSmsProvider({ provider: 'fake', production: true }).name, 'fake');
+    assert.equal(createSmsProvider({ provider: undefined, production: false }).name, 'fake');
+});
@@ -0,0 +1,39 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { startApp } = require('./harness');
+
+const PHONE = '+254711000301';
+
+let app;
+before(async () => {
+    app = await startApp();
+    await app.dial(PHONE).run(['1', '1', '1', 'Samuel Kiprop', '1', '1', 'Kolowa', '1', '1', '2', '2.5', '1', '4826', '4826']);
+});
+after(() => app.stop());
+
+test('an unregistered caller is told to register', async () => {
+    const screen = await app.dial('+254711000302').run(['1', '2']);
+    assert.match(screen, /^END You are not registered yet\./);
+});
+
+test('a registered farmer sees their details after the PIN', async () => {
+    const call = app.dial(PHONE);
+    assert.match(await call.send(), /^CON Welcome to Farmer Registration Service/, 'returning farmers skip the language picker');
+    assert.match(await call.send('2'), /^CON Enter your PIN:/);
+    const screen = await call.send('4826');
+    assert.match(screen, /^CON Your Registration Details:\nName: Samuel Kiprop\nCounty: Baringo\nSub-county: Tiaty\nWard: Kolowa\n/);
+});
+
+test('a wrong PIN is refused and can be retried', async () => {
+    const call = app.dial(PHONE);
+    await call.run(['2']);
+    assert.match(await call.send('1397'), /^CON Wrong PIN\. 2 attempt\(s\) left\./);
+    assert.match(await call.send('4826'), /^CON Your Registration Details:/);
+    assert.equal(call.text, '2*1397*4826');
+});
+
+test('the number can be written without the country code', async () => {
+    const call = app.dial('0711000301');
+    await call.run(['2']);
+    assert.match(await call.send('4826'), /Name: Samuel Kiprop/);
+});
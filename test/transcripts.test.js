@@ -0,0 +1,15 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { test, before, after } = require('node:test');
+const { startApp, replay } = require('./harness');
+
+const DIR = path.join(__dirname, 'transcripts');
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+fs.readdirSync(DIR).filter(file => file.endsWith('.json')).sort().forEach(file => {
+    const transcript = JSON.parse(fs.readFileSync(path.join(DIR, file), 'utf8'));
+    test(`${file}: ${transcript.description}`, () => replay(app, transcript));
+});
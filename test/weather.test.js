@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { startApp } = require('./harness');
+
+const REGISTRATION = ['1', '1', '1', 'Ann Mumbi', '1', '1', 'Kolowa', '1', '1', '2', '2.5', '1', '4826', '4826'];
+const DAY = 24 * 60 * 60 * 1000;
+const COUNTIES = ['Nakuru', 'Kericho', 'Baringo', 'Nyeri', 'Meru', 'Kisumu'];
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.stop());
+
+/**
+ * A year of daily readings for each county
+ */
+function yearOfReadings(year = 2025) {
+    const readings = [];
+    for (let day = 0; day < 365; day++) {
+        const date = new Date(Date.UTC(year, 0, 1 + day)).toISOString().slice(0, 10);
+        COUNTIES.forEach(county => readings.push({ date, county, rainfallMm: 2.4, minTempC: 11.5, maxTempC: 25.5 }));
+    }
+    return readings;
+}
+
+/**
+ * Register in Baringo, buy the maize drought cover for the 2.5 acre plot
+ * (KES 22,500 insured) and pay for it; resolves the active policy
+ */
+async function insuredFarmer(phoneNumber) {
+    await app.dial(phoneNumber).run(REGISTRATION);
+    await app.dial(phoneNumber).run(['6', '4826', '1', '1', '1']);
+    await app.pay(phoneNumber);
+    const [policy] = (await app.api('GET', `/farmers/${encodeURIComponent(phoneNumber)}/policies`)).body.data;
+    assert.equal(policy.status, 'active');
+    return policy;
+}
+
+test('a large dataset uploads as JSON as well as CSV', async () => {
+    const readings = yearOfReadings();
+    const json = JSON.stringify(readings);
+    assert.ok(json.length > 100 * 1024, 'bigger than the app-wide JSON limit');
+
+    const uploaded = await app.api('POST', '/weather/datasets?source=2025.json', readings);
+    assert.equal(uploaded.status, 201);
+    assert.equal(uploaded.body.data.readingCount, 365 * COUNTIES.length);
+
+    const csv = ['date,county,rainfallMm,minTempC,maxTempC',
+        ...readings.map(reading => [reading.date, reading.county, reading.rainfallMm, reading.minTempC, reading.maxTempC].join(','))].join('\n');
+    const again = await app.api('POST', '/weather/datasets?source=2025.csv', csv, { type: 'text/csv' });
+    assert.equal(again.status, 200, 'the same readings are the same dataset');
+    assert.equal(again.body.data.id, uploaded.body.data.id);
+});
+
+test('a body over the limit is refused with 413', async () => {
+    const { status, body } = await app.api('PATCH', '/farmers/+254711000901', { name: 'x'.repeat(200 * 1024) });
+    assert.equal(status, 413);
+    assert.equal(body.error.code, 'payload_too_large');
+});
+
+test('a drought during the cover pays each trigger once', async () => {
+    const policy = await insuredFarmer('+254711001401');
+    const start = Date.parse(policy.coverageStart);
+    const drought = Array.from({ length: 40 }, (_, day) => ({
+        date: new Date(start + day * DAY).toISOString().slice(0, 10), county: 'Baringo', rainfallMm: 0, minTempC: 14, maxTempC: 31
+    }));
+    const { body: { data: dataset } } = await app.api('POST', '/weather/datasets?source=drought.json', drought);
+
+    const dryRun = await app.api('POST', '/weather/runs', { datasetId: dataset.id, dryRun: true });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.data.id, null);
+    assert.equal(dryRun.body.data.payoutTotal, 18000);
+    assert.deepEqual((await app.api('GET', `/weather/payouts?policyId=${policy.id}`)).body.data, [], 'a dry run pays nothing');
+
+    const run = await app.api('POST', '/weather/runs', { datasetId: dataset.id });
+    assert.equal(run.status, 201);
+    assert.match(run.body.data.id, /^TR/);
+    const fired = run.body.data.fired.filter(entry => entry.policyId === policy.id);
+    assert.deepEqual(fired.map(entry => [entry.trigger.id, entry.amount, entry.outcome]), [
+        ['low-rainfall', 11250, 'paid'], ['dry-spell', 6750, 'paid']
+    ]);
+    assert.ok(fired.every(entry => entry.evidence), 'each payout keeps the readings behind it');
+
+    const payouts = await app.api('GET', '/weather/payouts?phone=0711001401');
+    assert.deepEqual(payouts.body.data.map(payout => [payout.id, payout.runId, payout.status]), [
+        [`${policy.id}-dry-spell`, run.body.data.id, 'triggered'], [`${policy.id}-low-rainfall`, run.body.data.id, 'triggered']
+    ]);
+
+    const again = await app.api('POST', '/weather/runs', { datasetId: dataset.id });
+    assert.equal(again.body.data.payoutCount, 0);
+    assert.deepEqual(again.body.data.fired.filter(entry => entry.policyId === policy.id).map(entry => entry.outcome), ['alreadyTriggered', 'alreadyTriggered']);
+    assert.equal((await app.api('GET', '/weather/payouts?phone=0711001401')).body.data.length, 2);
+
+    const runs = await app.api('GET', `/weather/runs?datasetId=${dataset.id.toLowerCase()}`);
+    assert.deepEqual(runs.body.data.map(entry => entry.id).sort(), [run.body.data.id, again.body.data.id].sort());
+    assert.equal((await app.api('GET', `/weather/runs/${run.body.data.id}`)).body.data.payoutTotal, 18000);
+
+    const { messages } = await (await fetch(`${app.baseUrl}/sms/messages?phone=%2B254711001401`)).json();
+    assert.equal(messages.filter(message => message.event === 'payout.triggered').length, 2);
+});
+
+test('readings from before the cover trigger nothing', async () => {
+    const policy = await insuredFarmer('+254711001402');
+    const { body: { data: dataset } } = await app.api('POST', '/weather/datasets?source=2025.json', yearOfReadings());
+
+    const { body } = await app.api('POST', '/weather/runs', { datasetId: dataset.id });
+    assert.deepEqual(body.data.skipped.find(entry => entry.policyId === policy.id), { policyId: policy.id, reason: 'outsideCover' });
+    assert.ok(!body.data.fired.some(entry => entry.policyId === policy.id));
+
+    assert.equal((await app.api('POST', '/weather/runs', { datasetId: 'WD00000000' })).status, 404);
+    const invalid = await app.api('POST', '/weather/runs', { dryRun: 'yes' });
+    assert.deepEqual(invalid.body.error.details.map(detail => detail.field), ['datasetId', 'dryRun']);
+});